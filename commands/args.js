@@ -0,0 +1,10 @@
+/**
+ * Read the value following a command line flag
+ * @param args - Command line arguments
+ * @param names - Flag names (long and short forms)
+ * @returns The flag value, or undefined when the flag is absent
+ */
+export function getFlagValue(args, ...names) {
+    const index = args.findIndex(arg => names.includes(arg));
+    return index !== -1 ? args[index + 1] : undefined;
+}
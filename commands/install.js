@@ -0,0 +1,68 @@
+import { installComponent, formatInstallReport } from '../utils/installer.js';
+import { CATEGORIES, LANGUAGES, STYLINGS } from '../utils/constants.js';
+import { normalizeComponentName } from '../utils/validation.js';
+import { getFlagValue } from './args.js';
+/**
+ * Help text of the install command
+ */
+export const INSTALL_USAGE = `
+Usage:
+  npx react-bits-mcp-server install <ComponentName> [options]
+
+Writes a React Bits component into a project. TypeScript is used when the project
+has a tsconfig.json, Tailwind when it has a Tailwind config or dependency.
+
+Options:
+  --project <dir>                 Project root (default: current directory)
+  --dir <path>                    Components directory relative to the project root
+                                  (default: src/components, or components without src/)
+  --category <category>           ${CATEGORIES.join(' | ')}
+  --language <${LANGUAGES.join('|')}>               Override the detected language
+  --styling <${STYLINGS.join('|')}>          Override the detected styling
+  --dry-run                       Print a diff of the changes without writing
+  --force                         Overwrite existing files that differ
+  --json                          Print the report as JSON
+
+Component source options (--source, --source-dir, --snapshot, --github-repo,
+--github-ref, --github-api-key) work as for the server.
+`;
+/**
+ * Run `react-bits-mcp install`
+ * @param args - Arguments following the command name
+ * @returns Promise with the process exit code
+ */
+export async function runInstallCommand(args) {
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(INSTALL_USAGE);
+        return 0;
+    }
+    const [componentName] = args;
+    if (!componentName || componentName.startsWith('-')) {
+        console.error(INSTALL_USAGE);
+        return 1;
+    }
+    const options = {
+        projectRoot: getFlagValue(args, '--project') || process.cwd(),
+        componentsDir: getFlagValue(args, '--dir'),
+        category: getFlagValue(args, '--category'),
+        language: getFlagValue(args, '--language'),
+        styling: getFlagValue(args, '--styling'),
+        dryRun: args.includes('--dry-run'),
+        force: args.includes('--force')
+    };
+    for (const [name, allowed] of [['category', CATEGORIES], ['language', LANGUAGES], ['styling', STYLINGS]]) {
+        if (options[name] && !allowed.includes(options[name])) {
+            console.error(`Invalid --${name} '${options[name]}' (expected one of: ${allowed.join(', ')})`);
+            return 1;
+        }
+    }
+    try {
+        const report = await installComponent(normalizeComponentName(componentName), options);
+        console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatInstallReport(report));
+        return 0;
+    }
+    catch (error) {
+        console.error(error instanceof Error ? error.message : error);
+        return 1;
+    }
+}
@@ -0,0 +1,49 @@
+import { formatUsageReport, summarizeUsage } from '../utils/analytics.js';
+import { getFlagValue } from './args.js';
+/**
+ * Help text of the usage-report command
+ */
+export const USAGE_REPORT_USAGE = `
+Usage:
+  npx react-bits-mcp-server usage-report [options]
+
+Summarizes the usage recorded by a server started with --record-usage: most
+requested components, failed lookups and error rates per tool.
+
+Options:
+  --since <when>                  Start of the range: ISO date or time, or a duration
+                                  ago (30m, 24h, 7d, 4w)
+  --until <when>                  End of the range (default: now)
+  --top <n>                       Rows per ranking (default: 10)
+  --usage-file <path>             Usage file (default: the server's)
+  --json                          Print the report as JSON
+`;
+/**
+ * Run `react-bits-mcp usage-report`
+ * @param args - Arguments following the command name
+ * @returns Promise with the process exit code
+ */
+export async function runUsageReportCommand(args) {
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(USAGE_REPORT_USAGE);
+        return 0;
+    }
+    const top = getFlagValue(args, '--top');
+    if (top !== undefined && !(Number.isInteger(Number(top)) && Number(top) > 0)) {
+        console.error(`Invalid --top '${top}' (expected a positive integer)`);
+        return 1;
+    }
+    try {
+        const report = await summarizeUsage({
+            since: getFlagValue(args, '--since'),
+            until: getFlagValue(args, '--until'),
+            top: top === undefined ? undefined : Number(top)
+        });
+        console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatUsageReport(report));
+        return 0;
+    }
+    catch (error) {
+        console.error(error instanceof Error ? error.message : error);
+        return 1;
+    }
+}
@@ -1,38 +1,37 @@
-import { z } from 'zod';
-import { ListResourcesRequestSchema, ListResourceTemplatesRequestSchema, ListToolsRequestSchema, ReadResourceRequestSchema, ListPromptsRequestSchema, GetPromptRequestSchema, CallToolRequestSchema, } from '@modelcontextprotocol/sdk/types.js';
-import { logInfo, logError } from './utils/logger.js';
-import { circuitBreakers } from './utils/circuit-breaker.js';
-import { resources, resourceHandlers, resourceTemplateHandlers } from './resources.js';
+import { ListResourcesRequestSchema, ListResourceTemplatesRequestSchema, ListToolsRequestSchema, ReadResourceRequestSchema, ListPromptsRequestSchema, GetPromptRequestSchema, CallToolRequestSchema, SetLevelRequestSchema, McpError, ErrorCode, } from '@modelcontextprotocol/sdk/types.js';
+import { logInfo, logError, setClientLogLevel, withRequestContext } from './utils/logger.js';
+import { NotFoundError, toMcpError, toToolErrorResult } from './utils/errors.js';
+import { normalizeComponentName } from './utils/validation.js';
+import { trackUsage } from './utils/analytics.js';
+import { listResources, resourceHandlers, resourceTemplates, resourceTemplateHandlers, matchUriTemplate } from './resources.js';
 import { prompts, promptHandlers } from './prompts.js';
-import { toolHandlers } from './tools/index.js';
-// Validation schemas
-const componentSchema = {
-    componentName: z.string().min(1, 'Component name is required'),
-    category: z.enum(['Animations', 'Backgrounds', 'Components', 'TextAnimations']).optional(),
-};
-const searchSchema = {
-    query: z.string().min(1, 'Search query is required'),
-    category: z.enum(['Animations', 'Backgrounds', 'Components', 'TextAnimations']).optional(),
-};
+import { getTool, getToolDefinitions } from './tools/index.js';
 /**
- * Generic request handler with error handling and validation
- * Following MCP SDK 1.16.0 best practices for error handling
+ * Generic request handler with error handling and validation.
+ * Errors are rethrown as McpError so clients receive the matching JSON-RPC code.
+ * Everything logged while the handler runs carries a per-request correlation ID, and
+ * tool calls, prompts and resource reads are recorded when usage recording is on.
  * @param operation - Name of the operation for logging
  * @param params - Request parameters
  * @param handler - The actual handler function
+ * @param context - Where the request came from
+ * @param context.server - MCP server that received the request
+ * @param context.extra - Request metadata passed by the SDK (JSON-RPC ID, session ID)
  * @returns Promise with the handler result
  */
-const handleRequest = async (operation, params, handler) => {
-    try {
-        logInfo(`Handling ${operation} request`, { params });
-        const result = await handler(params);
-        logInfo(`${operation} completed successfully`);
-        return result;
-    }
-    catch (error) {
-        logError(`Error in ${operation}`, error);
-        throw error;
-    }
+const handleRequest = async (operation, params, handler, { server, extra } = {}) => {
+    return withRequestContext({ operation, server, mcpRequestId: extra?.requestId, sessionId: extra?.sessionId }, async () => {
+        try {
+            logInfo(`Handling ${operation} request`, { params });
+            const result = await trackUsage(operation, params, () => handler(params));
+            logInfo(`${operation} completed successfully`);
+            return result;
+        }
+        catch (error) {
+            logError(`Error in ${operation}`, error);
+            throw toMcpError(error);
+        }
+    });
 };
 /**
  * Sets up all request handlers for the MCP server
@@ -42,114 +41,19 @@ const handleRequest = async (operation, params, handler) => {
 export const setupHandlers = (server) => {
     logInfo('Setting up request handlers...');
     // List available resources when clients request them
-    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
-        return await handleRequest('list_resources', request.params, async () => ({ resources }));
+    server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+        return await handleRequest('list_resources', request.params, async () => ({ resources: await listResources() }), { server, extra });
     });
     // Resource Templates
-    server.setRequestHandler(ListResourceTemplatesRequestSchema, async (request) => {
-        return await handleRequest('list_resource_templates', request.params, async () => ({ resourceTemplates }));
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async (request, extra) => {
+        return await handleRequest('list_resource_templates', request.params, async () => ({ resourceTemplates }), { server, extra });
     });
     // List available tools
-    server.setRequestHandler(ListToolsRequestSchema, async (request) => {
-        return await handleRequest('list_tools', request.params, async () => {
-            // Return the tools that are registered with the server
-            const registeredTools = [
-                {
-                    name: 'get_component',
-                    description: 'Get the source code for a specific React Bits component',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            componentName: {
-                                type: 'string',
-                                description: 'Name of the React Bits component (e.g., "AnimatedList", "BlobCursor")',
-                            },
-                            category: {
-                                type: 'string',
-                                description: 'Category of the component (Animations, Backgrounds, Components, TextAnimations)',
-                                enum: ['Animations', 'Backgrounds', 'Components', 'TextAnimations']
-                            }
-                        },
-                        required: ['componentName'],
-                    },
-                },
-                {
-                    name: 'get_component_demo',
-                    description: 'Get demo code illustrating how a React Bits component should be used',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            componentName: {
-                                type: 'string',
-                                description: 'Name of the React Bits component (e.g., "AnimatedList", "BlobCursor")',
-                            },
-                            category: {
-                                type: 'string',
-                                description: 'Category of the component (Animations, Backgrounds, Components, TextAnimations)',
-                                enum: ['Animations', 'Backgrounds', 'Components', 'TextAnimations']
-                            }
-                        },
-                        required: ['componentName'],
-                    },
-                },
-                {
-                    name: 'list_components',
-                    description: 'Get all available React Bits components',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            category: {
-                                type: 'string',
-                                description: 'Filter by category (Animations, Backgrounds, Components, TextAnimations)',
-                                enum: ['Animations', 'Backgrounds', 'Components', 'TextAnimations']
-                            }
-                        },
-                    },
-                },
-                {
-                    name: 'get_component_metadata',
-                    description: 'Get metadata for a specific React Bits component',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            componentName: {
-                                type: 'string',
-                                description: 'Name of the React Bits component (e.g., "AnimatedList", "BlobCursor")',
-                            },
-                            category: {
-                                type: 'string',
-                                description: 'Category of the component (Animations, Backgrounds, Components, TextAnimations)',
-                                enum: ['Animations', 'Backgrounds', 'Components', 'TextAnimations']
-                            }
-                        },
-                        required: ['componentName'],
-                    },
-                },
-                {
-                    name: 'search_components',
-                    description: 'Search for React Bits components by name or functionality',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            query: {
-                                type: 'string',
-                                description: 'Search query (e.g., "animation", "cursor", "text")',
-                            },
-                            category: {
-                                type: 'string',
-                                description: 'Filter by category (Animations, Backgrounds, Components, TextAnimations)',
-                                enum: ['Animations', 'Backgrounds', 'Components', 'TextAnimations']
-                            }
-                        },
-                        required: ['query'],
-                    },
-                },
-            ];
-            return { tools: registeredTools };
-        });
+    server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
+        return await handleRequest('list_tools', request.params, async () => ({ tools: getToolDefinitions() }), { server, extra });
     });
     // Return resource content when clients request it
-    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
         return await handleRequest('read_resource', request.params, async (validatedParams) => {
             const { uri } = validatedParams;
             // Check if this is a static resource
@@ -159,76 +63,71 @@ export const setupHandlers = (server) => {
                 return result;
             }
             // Check if this is a generated resource from a template
-            for (const [pattern, handler] of Object.entries(resourceTemplateHandlers)) {
-                const regex = new RegExp(pattern.replace(/\{[^}]+\}/g, '(.+)'));
-                if (regex.test(uri)) {
-                    const result = await Promise.resolve(handler(uri));
+            for (const [template, handler] of Object.entries(resourceTemplateHandlers)) {
+                const variables = matchUriTemplate(template, uri);
+                if (variables) {
+                    variables.name = normalizeComponentName(variables.name, 'name');
+                    const result = await Promise.resolve(handler(uri, variables));
                     return result;
                 }
             }
-            throw new Error(`Resource not found: ${uri}`);
-        });
+            throw new NotFoundError(`Resource not found: ${uri}`, { data: { uri } });
+        }, { server, extra });
     });
     // List available prompts
-    server.setRequestHandler(ListPromptsRequestSchema, async (request) => {
-        return await handleRequest('list_prompts', request.params, async () => ({ prompts: Object.values(prompts) }));
+    server.setRequestHandler(ListPromptsRequestSchema, async (request, extra) => {
+        return await handleRequest('list_prompts', request.params, async () => ({ prompts: Object.values(prompts) }), { server, extra });
     });
     // Get specific prompt content with optional arguments
-    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
         return await handleRequest('get_prompt', request.params, async (validatedParams) => {
             const { name, arguments: args } = validatedParams;
             const promptHandler = promptHandlers[name];
             if (!promptHandler) {
-                throw new Error(`Prompt not found: ${name}`);
+                throw new McpError(ErrorCode.InvalidParams, `Prompt not found: ${name}`);
             }
             return promptHandler(args);
-        });
+        }, { server, extra });
     });
     // Tool request Handler - executes the requested tool with provided parameters
-    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
         return await handleRequest('call_tool', request.params, async (validatedParams) => {
             const { name, arguments: params } = validatedParams;
             if (!name || typeof name !== 'string') {
-                throw new Error("Tool name is required");
+                throw new McpError(ErrorCode.InvalidParams, 'Tool name is required');
             }
-            const handler = toolHandlers[name];
-            if (!handler) {
-                throw new Error(`Tool not found: ${name}`);
+            const tool = getTool(name);
+            if (!tool) {
+                throw new McpError(ErrorCode.InvalidParams, `Tool not found: ${name}`);
             }
-            // Execute handler with circuit breaker protection
-            const result = await circuitBreakers.external.execute(() => Promise.resolve(handler(params || {})));
-            return result;
-        });
+            // Validate arguments against the tool's schema before dispatch
+            const parsed = tool.schema.safeParse(params || {});
+            if (!parsed.success) {
+                const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`);
+                throw new McpError(ErrorCode.InvalidParams, `Invalid arguments for ${name}: ${issues.join('; ')}`);
+            }
+            // Failures become isError results so the calling model can see and correct them.
+            // Backends are guarded by their own circuit breakers (utils/circuit-breaker.js)
+            try {
+                const result = await tool.handler(parsed.data);
+                return result;
+            }
+            catch (error) {
+                logError(`Tool ${name} failed`, error);
+                return toToolErrorResult(error);
+            }
+        }, { server, extra });
+    });
+    // Forward log records to the client at the level it asks for (see utils/logger.js)
+    server.setRequestHandler(SetLevelRequestSchema, async (request, extra) => {
+        return await handleRequest('set_log_level', request.params, async (validatedParams) => {
+            setClientLogLevel(server, validatedParams.level);
+            return {};
+        }, { server, extra });
     });
     // Add global error handler
     server.onerror = (error) => {
         logError('MCP server error', error);
     };
     logInfo('Handlers setup complete');
-};
-/**
- * Get Zod schema for tool validation if available
- * Following MCP SDK 1.16.0 best practices for schema validation
- * @param toolName Name of the tool
- * @returns Zod schema or undefined
- */
-function getToolSchema(toolName) {
-    try {
-        switch (toolName) {
-            case 'get_component':
-            case 'get_component_demo':
-            case 'get_component_metadata':
-                return z.object(componentSchema);
-            case 'search_components':
-                return z.object(searchSchema);
-            case 'list_components':
-                return z.object({ category: z.string().optional() });
-            default:
-                return undefined;
-        }
-    }
-    catch (error) {
-        logError('Schema error', error);
-        return undefined;
-    }
-}
\ No newline at end of file
+};
\ No newline at end of file
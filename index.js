@@ -9,26 +9,78 @@
  *   npx react-bits-mcp-server
  *   npx react-bits-mcp-server --github-api-key YOUR_TOKEN
  *   npx react-bits-mcp-server -g YOUR_TOKEN
+ *   npx react-bits-mcp-server --transport http --port 3000
+ *   npx react-bits-mcp-server install BlobCursor --project ./my-app
+ *   npx react-bits-mcp-server usage-report --since 7d
  */
+import path from 'path';
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
-import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { setupHandlers } from './handler.js';
-import { logError, logInfo } from './utils/logger.js';
+import { TRANSPORTS, startHttpTransport, startStdioTransport } from './transports.js';
+import { configureRegistry } from './utils/registry.js';
+import { configureCircuitBreakers } from './utils/circuit-breaker.js';
+import { loadConfig, setConfig } from './utils/config.js';
+import { configureTools } from './tools/index.js';
+import { configureLogger, logError, logInfo } from './utils/logger.js';
+import { getFlagValue } from './commands/args.js';
+import { runInstallCommand } from './commands/install.js';
+import { runUsageReportCommand } from './commands/usage-report.js';
+import { configureUsage } from './utils/analytics.js';
+import { InvalidArgumentError } from './utils/errors.js';
+/**
+ * CLI subcommands; without one the MCP server is started
+ */
+const COMMANDS = {
+    install: runInstallCommand,
+    'usage-report': runUsageReportCommand
+};
 /**
  * Parse command line arguments
  */
 async function parseArgs() {
     const args = process.argv.slice(2);
+    // Subcommands handle their own --help
+    const command = COMMANDS[args[0]] ? args[0] : null;
     // Help flag
-    if (args.includes('--help') || args.includes('-h')) {
+    if (!command && (args.includes('--help') || args.includes('-h'))) {
         console.log(`
 React Bits MCP Server
 
 Usage:
   npx react-bits-mcp-server [options]
+  npx react-bits-mcp-server install <ComponentName> [options]
+  npx react-bits-mcp-server usage-report [options]
+
+Commands:
+  install                         Write a component into a project (see install --help)
+  usage-report                    Summarize recorded usage (see usage-report --help)
 
 Options:
   --github-api-key, -g <token>    GitHub Personal Access Token for API access
+  --config <file>                 Configuration file (default: react-bits-mcp.config.json or the
+                                  "reactBitsMcp" key of package.json, looked up from the working directory)
+  --source <local|snapshot|github> Force a component source
+  --source-dir <path>             Read components from a local React Bits checkout
+  --snapshot <file>               Read components from a JSON snapshot
+  --github-repo <owner/repo>      Upstream repository (default: DavidHDev/react-bits)
+  --github-ref <ref>              Branch, tag or commit to read (default: main)
+  --cache-dir <path>              Disk cache for GitHub files (default: ~/.cache/react-bits-mcp)
+  --cache-ttl <seconds>           Time to live of cached files (default: 86400)
+  --no-cache                      Do not cache GitHub files on disk
+  --offline                       Serve only from the disk cache (fill it with refresh_cache)
+  --transport <stdio|http|sse>    Transport to serve (default: stdio)
+  --host <host>                   Interface for the http/sse transports (default: 127.0.0.1)
+  --port <port>                   Port for the http/sse transports (default: 3000)
+  --project-roots <list>          Comma-separated directories install_component may write into and
+                                  diff_component may read from (default for diff_component: the working
+                                  directory); required to expose install_component over the http/sse transports
+  --allowed-hosts <list>          Comma-separated Host header values accepted besides the bound host and localhost
+  --allowed-origins <list>        Comma-separated Origin header values accepted from browser clients
+  --log-level <level>             Least severe level logged: debug, info, warn or error (default: info)
+  --log-format <text|json>        One text line or one JSON object per log record (default: text)
+  --log-file <path>               Append logs to a file instead of stderr
+  --record-usage                  Record tool calls locally for usage-report (never sent anywhere)
+  --usage-file <path>             Usage file (default: ~/.local/state/react-bits-mcp/usage.jsonl)
   --help, -h                      Show this help message
   --version, -v                   Show version information
 
@@ -36,17 +88,36 @@ Examples:
   npx react-bits-mcp-server
   npx react-bits-mcp-server --github-api-key ghp_your_token_here
   npx react-bits-mcp-server -g ghp_your_token_here
+  npx react-bits-mcp-server --source-dir ../react-bits
+  npx react-bits-mcp-server --transport http --host 0.0.0.0 --port 3000
 
 Environment Variables:
   GITHUB_PERSONAL_ACCESS_TOKEN    Alternative way to provide GitHub token
-  LOG_LEVEL                       Log level (debug, info, warn, error) - default: info
+  REACT_BITS_CONFIG               Alternative way to provide --config
+  REACT_BITS_PATH                 Alternative way to provide --source-dir
+  REACT_BITS_SNAPSHOT             Alternative way to provide --snapshot
+  REACT_BITS_SOURCE               Alternative way to provide --source
+  REACT_BITS_GITHUB_REPO          Alternative way to provide --github-repo
+  REACT_BITS_GITHUB_REF           Alternative way to provide --github-ref
+  GITHUB_API_URL, GITHUB_RAW_URL  Override the GitHub endpoints (e.g. for a local mirror)
+  REACT_BITS_CACHE_DIR, REACT_BITS_CACHE_TTL  Alternative way to provide --cache-dir, --cache-ttl
+  REACT_BITS_CACHE=off            Alternative way to provide --no-cache
+  REACT_BITS_OFFLINE=1            Alternative way to provide --offline
+  MCP_TRANSPORT, MCP_HOST, MCP_PORT  Alternative way to provide --transport, --host, --port
+  MCP_ALLOWED_HOSTS, MCP_ALLOWED_ORIGINS  Alternative way to provide --allowed-hosts, --allowed-origins
+  REACT_BITS_PROJECT_ROOTS        Alternative way to provide --project-roots
+  LOG_LEVEL, LOG_FORMAT, LOG_FILE  Alternative way to provide --log-level, --log-format, --log-file
+  REACT_BITS_USAGE=on             Alternative way to provide --record-usage
+  REACT_BITS_USAGE_FILE           Alternative way to provide --usage-file
+
+Command line flags override the configuration file, which overrides environment variables.
 
 For more information, visit: https://github.com/react-bits/react-bits
 `);
         process.exit(0);
     }
     // Version flag
-    if (args.includes('--version') || args.includes('-v')) {
+    if (!command && (args.includes('--version') || args.includes('-v'))) {
         // Read version from package.json
         try {
             const fs = await import('fs');
@@ -73,183 +144,159 @@ For more information, visit: https://github.com/react-bits/react-bits
     else if (process.env.GITHUB_PERSONAL_ACCESS_TOKEN) {
         githubApiKey = process.env.GITHUB_PERSONAL_ACCESS_TOKEN;
     }
-    return { githubApiKey };
+    // Configuration file; flags override it
+    const { path: configPath, config } = await loadConfig({ file: getFlagValue(args, '--config') || process.env.REACT_BITS_CONFIG });
+    // Component source
+    const source = getFlagValue(args, '--source') || config.source?.type;
+    const sourceDir = getFlagValue(args, '--source-dir') || config.source?.dir;
+    const snapshot = getFlagValue(args, '--snapshot') || config.source?.snapshot;
+    // Upstream repository for the GitHub source
+    const githubRepo = getFlagValue(args, '--github-repo') || config.source?.repo || process.env.REACT_BITS_GITHUB_REPO;
+    const [githubOwner, githubRepoName] = githubRepo ? githubRepo.split('/') : [];
+    const githubRef = getFlagValue(args, '--github-ref') || config.source?.ref || process.env.REACT_BITS_GITHUB_REF;
+    // Disk cache; unset values fall back to the environment in resolveCacheOptions
+    const cache = {
+        enabled: args.includes('--no-cache') ? false : config.cache?.enabled,
+        dir: getFlagValue(args, '--cache-dir') || config.cache?.dir,
+        ttl: getFlagValue(args, '--cache-ttl') ?? config.cache?.ttl,
+        offline: args.includes('--offline') ? true : config.cache?.offline
+    };
+    // Transport
+    const transport = getFlagValue(args, '--transport') || config.transport?.type || process.env.MCP_TRANSPORT || 'stdio';
+    if (!TRANSPORTS.includes(transport)) {
+        throw new Error(`Unknown transport '${transport}' (expected one of: ${TRANSPORTS.join(', ')})`);
+    }
+    const host = getFlagValue(args, '--host') || config.transport?.host || process.env.MCP_HOST || '127.0.0.1';
+    const port = Number(getFlagValue(args, '--port') ?? config.transport?.port ?? process.env.MCP_PORT ?? 3000);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${port}`);
+    }
+    const splitList = value => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value);
+    // Directories install_component may write into and diff_component read from; flag and environment paths are relative to the working directory
+    const projectRoots = splitList(getFlagValue(args, '--project-roots'))?.map(root => path.resolve(root)) || config.projectRoots ||
+        splitList(process.env.REACT_BITS_PROJECT_ROOTS)?.map(root => path.resolve(root));
+    // Host and Origin headers accepted by the http/sse transports, besides the bound host and localhost
+    const allowedHosts = splitList(getFlagValue(args, '--allowed-hosts')) || config.transport?.allowedHosts || splitList(process.env.MCP_ALLOWED_HOSTS) || [];
+    const allowedOrigins = splitList(getFlagValue(args, '--allowed-origins')) || config.transport?.allowedOrigins || splitList(process.env.MCP_ALLOWED_ORIGINS) || [];
+    // Logging; stdout is reserved for the protocol
+    const logging = {
+        level: getFlagValue(args, '--log-level') || config.logging?.level || process.env.LOG_LEVEL || undefined,
+        format: getFlagValue(args, '--log-format') || config.logging?.format || process.env.LOG_FORMAT || undefined,
+        file: getFlagValue(args, '--log-file') || config.logging?.file || process.env.LOG_FILE || undefined
+    };
+    // Local usage recording; unset values fall back to the environment in resolveUsageOptions
+    const usage = {
+        enabled: args.includes('--record-usage') ? true : config.usage?.enabled,
+        file: getFlagValue(args, '--usage-file') || config.usage?.file
+    };
+    return {
+        command,
+        commandArgs: args.slice(1),
+        configPath,
+        config,
+        githubApiKey,
+        source,
+        sourceDir,
+        snapshot,
+        github: { owner: githubOwner, repo: githubRepoName, ref: githubRef, token: githubApiKey },
+        cache,
+        transport,
+        host,
+        port,
+        projectRoots,
+        allowedHosts,
+        allowedOrigins,
+        logging,
+        usage
+    };
+}
+/**
+ * Create an MCP server with every request handler registered.
+ * Called once for stdio and once per session for the HTTP transports.
+ * @returns The MCP server
+ */
+function createServer() {
+    // Initialize the MCP server with metadata and capabilities
+    // Following MCP SDK 1.16.0 best practices
+    const server = new Server({
+        name: "react-bits-mcp-server",
+        version: "1.0.0",
+    }, {
+        capabilities: {
+            // Resources and resource templates live in resources.js and resource-templates.js
+            resources: {},
+            // Prompt definitions live in prompts.js
+            prompts: {},
+            // Tool definitions are generated from the tool registry in tools/index.js
+            tools: {},
+            // Log records are forwarded after logging/setLevel, see utils/logger.js
+            logging: {}
+        }
+    });
+    // Set up request handlers and register components (tools, resources, etc.)
+    setupHandlers(server);
+    return server;
 }
 /**
  * Main function to start the MCP server
  */
 async function main() {
     try {
+        const { command, commandArgs, configPath, config, githubApiKey, source, sourceDir, snapshot, github, cache, transport, host, port, projectRoots, allowedHosts, allowedOrigins, logging, usage } = await parseArgs();
+        configureLogger({ ...logging, secrets: [githubApiKey] });
+        if (configPath) {
+            logInfo(`Loaded configuration from ${configPath}`);
+        }
+        setConfig({ ...config, projectRoots });
+        // Any HTTP client could make install_component write wherever the server can: require an allow-list
+        const remote = !command && transport !== 'stdio';
+        if (remote && !projectRoots) {
+            logInfo('install_component is disabled over HTTP until projectRoots is configured');
+        }
+        configureTools(remote && !projectRoots ? { ...config.tools, disabled: [...(config.tools?.disabled || []), 'install_component'] } : config.tools);
+        configureCircuitBreakers(config.breakers);
+        configureUsage(usage);
+        // Select the component source backing every tool, prompt and resource
+        configureRegistry({ source, sourceDir, snapshot, github, cache });
+        if (command) {
+            process.exitCode = await COMMANDS[command](commandArgs);
+            return;
+        }
         logInfo('Starting React Bits MCP Server...');
-        const { githubApiKey } = await parseArgs();
-        // Note: GitHub API key provided but not used in file-based React Bits MCP server
         if (githubApiKey) {
-            logInfo('GitHub API key provided (not used for file-based operations)');
+            logInfo('GitHub API key provided, using authenticated GitHub requests');
         }
-        // Initialize the MCP server with metadata and capabilities
-        // Following MCP SDK 1.16.0 best practices
-        const server = new Server({
-            name: "react-bits-mcp-server",
-            version: "1.0.0",
-        }, {
-            capabilities: {
-                resources: {
-                    "get_components": {
-                        description: "List of available React Bits components that can be used in the project",
-                        uri: "resource:get_components",
-                        contentType: "text/plain"
-                    }
-                },
-                prompts: {
-                    "component_usage": {
-                        description: "Get usage examples for a specific component",
-                        arguments: {
-                            componentName: {
-                                type: "string",
-                                description: "Name of the component to get usage for"
-                            }
-                        }
-                    },
-                    "component_search": {
-                        description: "Search for components by name or description",
-                        arguments: {
-                            query: {
-                                type: "string",
-                                description: "Search query"
-                            }
-                        }
-                    },
-                    "component_comparison": {
-                        description: "Compare two components side by side",
-                        arguments: {
-                            component1: {
-                                type: "string",
-                                description: "First component name"
-                            },
-                            component2: {
-                                type: "string",
-                                description: "Second component name"
-                            }
-                        }
-                    },
-                    "component_recommendation": {
-                        description: "Get component recommendations based on use case",
-                        arguments: {
-                            useCase: {
-                                type: "string",
-                                description: "Use case description"
-                            }
-                        }
-                    },
-                    "component_tutorial": {
-                        description: "Get a step-by-step tutorial for using a component",
-                        arguments: {
-                            componentName: {
-                                type: "string",
-                                description: "Name of the component for tutorial"
-                            }
-                        }
-                    }
-                },
-                tools: {
-                    "get_component": {
-                        description: "Get the source code for a specific React Bits component",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                componentName: {
-                                    type: "string",
-                                    description: "Name of the React Bits component (e.g., \"AnimatedList\", \"BlobCursor\")"
-                                },
-                                category: {
-                                    type: "string",
-                                    description: "Category of the component (Animations, Backgrounds, Components, TextAnimations)",
-                                    enum: ["Animations", "Backgrounds", "Components", "TextAnimations"]
-                                }
-                            },
-                            required: ["componentName"]
-                        }
-                    },
-                    "get_component_demo": {
-                        description: "Get demo code illustrating how a React Bits component should be used",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                componentName: {
-                                    type: "string",
-                                    description: "Name of the React Bits component (e.g., \"AnimatedList\", \"BlobCursor\")"
-                                },
-                                category: {
-                                    type: "string",
-                                    description: "Category of the component (Animations, Backgrounds, Components, TextAnimations)",
-                                    enum: ["Animations", "Backgrounds", "Components", "TextAnimations"]
-                                }
-                            },
-                            required: ["componentName"]
-                        }
-                    },
-                    "list_components": {
-                        description: "Get all available React Bits components",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                category: {
-                                    type: "string",
-                                    description: "Filter by category (Animations, Backgrounds, Components, TextAnimations)",
-                                    enum: ["Animations", "Backgrounds", "Components", "TextAnimations"]
-                                }
-                            }
-                        }
-                    },
-                    "get_component_metadata": {
-                        description: "Get metadata for a specific React Bits component",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                componentName: {
-                                    type: "string",
-                                    description: "Name of the React Bits component (e.g., \"AnimatedList\", \"BlobCursor\")"
-                                },
-                                category: {
-                                    type: "string",
-                                    description: "Category of the component (Animations, Backgrounds, Components, TextAnimations)",
-                                    enum: ["Animations", "Backgrounds", "Components", "TextAnimations"]
-                                }
-                            },
-                            required: ["componentName"]
-                        }
-                    },
-                    "search_components": {
-                        description: "Search for React Bits components by name or functionality",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                query: {
-                                    type: "string",
-                                    description: "Search query (e.g., \"animation\", \"cursor\", \"text\")"
-                                },
-                                category: {
-                                    type: "string",
-                                    description: "Filter by category (Animations, Backgrounds, Components, TextAnimations)",
-                                    enum: ["Animations", "Backgrounds", "Components", "TextAnimations"]
-                                }
-                            },
-                            required: ["query"]
-                        }
-                    }
-                }
+        const handle = transport === 'stdio'
+            ? await startStdioTransport(createServer)
+            : await startHttpTransport(createServer, { transport, host, port, allowedHosts, allowedOrigins });
+        // Graceful shutdown: close sessions and stop listening before exiting
+        let shuttingDown = false;
+        const shutdown = async (signal) => {
+            if (shuttingDown) {
+                return;
             }
-        });
-        // Set up request handlers and register components (tools, resources, etc.)
-        setupHandlers(server);
-        // Start server using stdio transport
-        const transport = new StdioServerTransport();
-        logInfo('Transport initialized: stdio');
-        await server.connect(transport);
+            shuttingDown = true;
+            logInfo(`Received ${signal}, shutting down`);
+            try {
+                await handle.close();
+            }
+            catch (error) {
+                logError('Error during shutdown', error);
+            }
+            process.exit(0);
+        };
+        process.on('SIGINT', () => shutdown('SIGINT'));
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
         logInfo('Server started successfully');
     }
     catch (error) {
-        logError('Failed to start server', error);
+        // Bad settings are the user's to fix: the message lists them, a stack trace would only bury it
+        if (error instanceof InvalidArgumentError) {
+            process.stderr.write(`${error.message}\n`);
+        }
+        else {
+            logError('Failed to start server', error);
+        }
         process.exit(1);
     }
 }
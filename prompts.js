@@ -0,0 +1,252 @@
+import { getAvailableComponents, getComponentDemo, getComponentMetadata, getComponentSource, searchComponents } from './utils/file-reader.js';
+import { logInfo } from './utils/logger.js';
+import { InvalidArgumentError } from './utils/errors.js';
+import { validateAndSanitizeParams } from './utils/validation.js';
+/**
+ * Prompt definitions advertised through prompts/list
+ */
+export const prompts = {
+    component_usage: {
+        name: 'component_usage',
+        description: 'Get usage examples for a specific component',
+        arguments: [
+            { name: 'componentName', description: 'Name of the component to get usage for', required: true }
+        ]
+    },
+    component_search: {
+        name: 'component_search',
+        description: 'Search for components by name or description',
+        arguments: [
+            { name: 'query', description: 'Search query', required: true }
+        ]
+    },
+    component_comparison: {
+        name: 'component_comparison',
+        description: 'Compare two components side by side',
+        arguments: [
+            { name: 'component1', description: 'First component name', required: true },
+            { name: 'component2', description: 'Second component name', required: true }
+        ]
+    },
+    component_recommendation: {
+        name: 'component_recommendation',
+        description: 'Get component recommendations based on use case',
+        arguments: [
+            { name: 'useCase', description: 'Use case description', required: true }
+        ]
+    },
+    component_tutorial: {
+        name: 'component_tutorial',
+        description: 'Get a step-by-step tutorial for using a component',
+        arguments: [
+            { name: 'componentName', description: 'Name of the component for tutorial', required: true }
+        ]
+    }
+};
+/**
+ * Check that every required prompt argument is present, then validate them like tool arguments
+ * @param name - Prompt name
+ * @param args - Prompt arguments
+ * @returns The sanitized arguments
+ */
+function requireArguments(name, args = {}) {
+    const missing = prompts[name].arguments
+        .filter(argument => argument.required && !args[argument.name]?.trim())
+        .map(argument => argument.name);
+    if (missing.length > 0) {
+        throw new InvalidArgumentError(`Missing required argument${missing.length === 1 ? '' : 's'} for prompt ${name}: ${missing.join(', ')}`);
+    }
+    return validateAndSanitizeParams(name, args);
+}
+/**
+ * Build a single-message prompt result
+ * @param description - Prompt result description
+ * @param text - User message text
+ * @returns Prompt result
+ */
+function userPrompt(description, text) {
+    return {
+        description,
+        messages: [
+            {
+                role: 'user',
+                content: { type: 'text', text }
+            }
+        ]
+    };
+}
+/**
+ * Load everything a prompt may embed about a component
+ * @param componentName - Component name
+ * @returns Promise with metadata, source and demo
+ * @throws ComponentNotFoundError when the component does not exist
+ */
+async function loadComponent(componentName) {
+    const metadata = await getComponentMetadata(componentName);
+    const [source, demo] = await Promise.all([
+        getComponentSource(metadata.name, { category: metadata.category }),
+        getComponentDemo(metadata.name, { category: metadata.category })
+    ]);
+    return { metadata, source, demo };
+}
+/**
+ * Format a fenced code block
+ * @param code - Code to fence
+ * @param language - Language tag
+ * @returns Markdown code block
+ */
+function codeBlock(code, language = 'jsx') {
+    return `\`\`\`${language}\n${code.trim()}\n\`\`\``;
+}
+/**
+ * Format the props of a component as a markdown list
+ * @param props - Props keyed by name
+ * @returns Markdown list, or a placeholder when no props are documented
+ */
+function formatProps(props) {
+    const entries = Object.entries(props || {});
+    if (entries.length === 0) {
+        return '_No documented props_';
+    }
+    return entries
+        .map(([propName, prop]) => `- \`${propName}\`${prop.type ? ` (${prop.type})` : ''}${prop.default !== undefined ? `, default \`${prop.default}\`` : ''}${prop.description ? `: ${prop.description}` : ''}`)
+        .join('\n');
+}
+/**
+ * Extract the lines of a demo that show how the component is imported and rendered
+ * @param demo - Demo file content
+ * @param componentName - Component name
+ * @returns Import lines (rewritten to a sibling path) and the first JSX element rendering the component
+ */
+export function extractDemoUsage(demo, componentName) {
+    // Point imports of the component at a sibling file instead of the upstream content tree
+    const modulePath = new RegExp(`(['"])[^'"]*/${componentName}(?:\\.[jt]sx?)?\\1`);
+    const imports = demo
+        .split('\n')
+        .filter(line => /^\s*import\b/.test(line) && modulePath.test(line))
+        .map(line => line.trim().replace(modulePath, `'./${componentName}'`));
+    const element = demo.match(new RegExp(`<${componentName}\\b[\\s\\S]*?(?:/>|</${componentName}>)`));
+    return { imports, element: element ? element[0] : null };
+}
+/**
+ * Prompt handlers keyed by prompt name
+ */
+export const promptHandlers = {
+    component_usage: async (args) => {
+        const { componentName } = requireArguments('component_usage', args);
+        logInfo(`Building component_usage prompt for: ${componentName}`);
+        const { metadata, source, demo } = await loadComponent(componentName);
+        const sections = [
+            `Explain how to use the React Bits component **${metadata.name}** (${metadata.category}) in a React project.`,
+            'Cover installation, the props that matter most, and a minimal example. Base the answer on the files below.',
+            `## Dependencies\n${metadata.dependencies.length > 0 ? metadata.dependencies.map(dep => `- ${dep}`).join('\n') : '_None_'}`,
+            `## Props\n${formatProps(metadata.props)}`
+        ];
+        if (metadata.examples.length > 0) {
+            sections.push(`## Upstream usage example\n${codeBlock(metadata.examples[0])}`);
+        }
+        if (source) {
+            sections.push(`## Source\n${codeBlock(source)}`);
+        }
+        if (demo) {
+            sections.push(`## Demo\n${codeBlock(demo)}`);
+        }
+        return userPrompt(`Usage guide for ${metadata.name}`, sections.join('\n\n'));
+    },
+    component_search: async (args) => {
+        const { query } = requireArguments('component_search', args);
+        logInfo(`Building component_search prompt for: "${query}"`);
+        const results = await searchComponents(query);
+        const listing = results.length > 0
+            ? results.map(component => `- ${component.name} (${component.category}; score ${component.score}; variants: ${component.variants.join(', ')})`).join('\n')
+            : '_No components matched this query._';
+        return userPrompt(`Search results for "${query}"`, [
+            `I am looking for a React Bits component matching: "${query}".`,
+            `## Matching components\n${listing}`,
+            results.length > 0
+                ? 'Describe what each of these components does and which one best fits the query. Use the get_component tool to fetch the source of the one you recommend.'
+                : 'Suggest alternative search terms, and use the list_components tool to browse the catalog.'
+        ].join('\n\n'));
+    },
+    component_comparison: async (args) => {
+        const { component1, component2 } = requireArguments('component_comparison', args);
+        logInfo(`Building component_comparison prompt for: ${component1} vs ${component2}`);
+        const [first, second] = await Promise.all([loadComponent(component1), loadComponent(component2)]);
+        const propNames = [...new Set([...Object.keys(first.metadata.props), ...Object.keys(second.metadata.props)])].sort();
+        const cell = (props, propName) => {
+            const prop = props[propName];
+            if (!prop) {
+                return '—';
+            }
+            // Union types contain pipes, which would split the table cell
+            return [prop.type, prop.default !== undefined ? `default \`${prop.default}\`` : null].filter(Boolean).join(', ').replace(/\|/g, '\\|') || '✓';
+        };
+        const rows = [
+            `| | ${first.metadata.name} | ${second.metadata.name} |`,
+            '|---|---|---|',
+            `| Category | ${first.metadata.category} | ${second.metadata.category} |`,
+            `| Variants | ${first.metadata.variants.join(', ')} | ${second.metadata.variants.join(', ')} |`,
+            `| Dependencies | ${first.metadata.dependencies.join(', ') || 'none'} | ${second.metadata.dependencies.join(', ') || 'none'} |`,
+            ...propNames.map(propName => `| \`${propName}\` | ${cell(first.metadata.props, propName)} | ${cell(second.metadata.props, propName)} |`)
+        ];
+        const sections = [
+            `Compare the React Bits components **${first.metadata.name}** and **${second.metadata.name}**.`,
+            'Explain how they differ visually and technically, their performance and dependency cost, and when to pick one over the other.',
+            `## Side by side\n${rows.join('\n')}`
+        ];
+        for (const { metadata, source } of [first, second]) {
+            if (source) {
+                sections.push(`## ${metadata.name} source\n${codeBlock(source)}`);
+            }
+        }
+        return userPrompt(`Comparison of ${first.metadata.name} and ${second.metadata.name}`, sections.join('\n\n'));
+    },
+    component_recommendation: async (args) => {
+        const { useCase } = requireArguments('component_recommendation', args);
+        logInfo(`Building component_recommendation prompt for: "${useCase}"`);
+        const [catalog, candidates] = await Promise.all([
+            getAvailableComponents(),
+            searchComponents(useCase, { limit: 8 })
+        ]);
+        const byCategory = catalog.reduce((acc, component) => {
+            (acc[component.category] = acc[component.category] || []).push(component.name);
+            return acc;
+        }, {});
+        const sections = [
+            `Recommend React Bits components for this use case: "${useCase}".`,
+            'Pick up to three components, explain why each fits, and note their dependencies. Only recommend components from the catalog below.'
+        ];
+        if (candidates.length > 0) {
+            sections.push(`## Best search matches\n${candidates.map(component => `- ${component.name} (${component.category}; matched ${component.matches.map(match => `${match.field} "${match.snippet}"`).join(', ')})`).join('\n')}`);
+        }
+        sections.push(`## Catalog\n${Object.entries(byCategory).map(([category, names]) => `### ${category}\n${names.join(', ')}`).join('\n\n')}`);
+        return userPrompt(`Recommendations for "${useCase}"`, sections.join('\n\n'));
+    },
+    component_tutorial: async (args) => {
+        const { componentName } = requireArguments('component_tutorial', args);
+        logInfo(`Building component_tutorial prompt for: ${componentName}`);
+        const { metadata, source, demo } = await loadComponent(componentName);
+        const usage = demo ? extractDemoUsage(demo, metadata.name) : { imports: [], element: null };
+        const steps = [];
+        if (metadata.dependencies.length > 0) {
+            steps.push(`Install the dependencies:\n${codeBlock(`npm install ${metadata.dependencies.join(' ')}`, 'bash')}`);
+        }
+        steps.push(`Add \`${metadata.name}\` to your project (variants: ${metadata.variants.join(', ')}); the JS + CSS source is below.${source ? `\n${codeBlock(source)}` : ''}`);
+        steps.push(`Import it where you need it:\n${codeBlock(usage.imports.length > 0 ? usage.imports.join('\n') : `import ${metadata.name} from './${metadata.name}';`)}`);
+        if (usage.element) {
+            steps.push(`Render it the way the official demo does:\n${codeBlock(usage.element)}`);
+        }
+        if (Object.keys(metadata.props).length > 0) {
+            steps.push(`Customize it through its props:\n${formatProps(metadata.props)}`);
+        }
+        const sections = [
+            `Write a step-by-step tutorial for adding the React Bits component **${metadata.name}** to a React app.`,
+            'Expand each step below into clear instructions, keeping the code accurate to the upstream demo.',
+            steps.map((step, index) => `### Step ${index + 1}\n${step}`).join('\n\n')
+        ];
+        if (demo) {
+            sections.push(`## Full demo file\n${codeBlock(demo)}`);
+        }
+        return userPrompt(`Tutorial for ${metadata.name}`, sections.join('\n\n'));
+    }
+};
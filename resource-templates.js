@@ -0,0 +1,170 @@
+import { VARIANTS } from './utils/constants.js';
+import { getRegistry } from './utils/registry.js';
+import { findComponent, getComponentMetadata } from './utils/file-reader.js';
+import { InvalidArgumentError, NotFoundError } from './utils/errors.js';
+/**
+ * MIME types by file extension
+ */
+const MIME_TYPES = {
+    jsx: 'text/jsx',
+    js: 'text/javascript',
+    tsx: 'text/tsx',
+    ts: 'text/typescript',
+    css: 'text/css'
+};
+/**
+ * Guess the MIME type of a repository file
+ * @param filePath - Repository-relative path
+ * @returns MIME type
+ */
+export function mimeTypeFor(filePath) {
+    return MIME_TYPES[filePath.split('.').pop()] || 'text/plain';
+}
+/**
+ * Build the URI of a component resource
+ * @param entry - Index entry
+ * @param kind - 'source', 'css', 'demo' or 'metadata'
+ * @param variant - Variant key; optional for demo and metadata
+ * @returns The resource URI
+ */
+export function componentResourceUri(entry, kind, variant) {
+    const base = `react-bits://components/${entry.category}/${entry.name}`;
+    return variant ? `${base}/${variant}/${kind}` : `${base}/${kind}`;
+}
+/**
+ * Match a URI against an RFC 6570 level 1 template
+ * @param template - URI template, e.g. `react-bits://components/{category}/{name}/demo`
+ * @param uri - URI to match
+ * @returns Template variables, or null when the URI does not match
+ * @throws InvalidArgumentError when a variable is not valid percent-encoding
+ */
+export function matchUriTemplate(template, uri) {
+    const names = [];
+    const toPattern = (part) => {
+        if (part.startsWith('{')) {
+            names.push(part.slice(1, -1));
+            return '([^/]+)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    };
+    const pattern = template.split(/(\{[^}]+\})/).map(toPattern).join('');
+    const match = uri.match(new RegExp(`^${pattern}$`));
+    if (!match) {
+        return null;
+    }
+    return Object.fromEntries(names.map((name, index) => {
+        try {
+            return [name, decodeURIComponent(match[index + 1])];
+        }
+        catch {
+            throw new InvalidArgumentError(`Invalid percent-encoding in ${name} of ${uri}`, { data: { uri, param: name } });
+        }
+    }));
+}
+/**
+ * Find the component of a variant URI, checking that it has the variant
+ * @param uri - Resource URI
+ * @param variables - Template variables
+ * @returns Promise with the index entry
+ * @throws NotFoundError when the component has no such variant
+ */
+async function findVariant(uri, variables) {
+    const entry = await findComponent(variables.name, variables.category);
+    if (!entry.variants[variables.variant]) {
+        throw new NotFoundError(`Resource not found: ${uri} (variants of ${entry.name}: ${Object.keys(entry.variants).join(', ')})`, { data: { uri } });
+    }
+    return entry;
+}
+/**
+ * Read one file of a component variant as resource contents
+ * @param uri - Resource URI
+ * @param variables - Template variables
+ * @param field - Variant field holding the file path ('source' or 'css')
+ * @returns Promise with the resource contents
+ */
+async function readVariantFile(uri, variables, field) {
+    const entry = await findVariant(uri, variables);
+    const filePath = entry.variants[variables.variant][field];
+    const text = filePath ? await getRegistry().readFile(filePath) : null;
+    if (text === null) {
+        throw new NotFoundError(`Resource not found: ${uri}`, { data: { uri } });
+    }
+    return { contents: [{ uri, mimeType: mimeTypeFor(filePath), text }] };
+}
+/**
+ * Read the demo of a component; every variant shares it
+ * @param uri - Resource URI
+ * @param entry - Index entry
+ * @returns Promise with the resource contents
+ */
+async function readDemo(uri, entry) {
+    const text = await getRegistry().readFile(entry.demo);
+    if (text === null) {
+        throw new NotFoundError(`Resource not found: ${uri}`, { data: { uri } });
+    }
+    return { contents: [{ uri, mimeType: mimeTypeFor(entry.demo), text }] };
+}
+/**
+ * Read the metadata of a component as resource contents
+ * @param uri - Resource URI
+ * @param entry - Index entry
+ * @param variantKey - Variant whose source is analyzed (default: the TypeScript one when available)
+ * @returns Promise with the resource contents
+ */
+async function readMetadata(uri, entry, variantKey) {
+    const variant = variantKey ? VARIANTS[variantKey] : {};
+    const metadata = await getComponentMetadata(entry.name, { category: entry.category, language: variant.language, styling: variant.styling });
+    return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(metadata, null, 2) }] };
+}
+/**
+ * Resource templates advertised through resources/templates/list
+ */
+export const resourceTemplates = [
+    {
+        uriTemplate: 'react-bits://components/{category}/{name}/{variant}/source',
+        name: 'component-source',
+        description: `Source of a component variant (${Object.keys(VARIANTS).join(', ')})`
+    },
+    {
+        uriTemplate: 'react-bits://components/{category}/{name}/{variant}/css',
+        name: 'component-css',
+        description: 'Companion stylesheet of a CSS component variant',
+        mimeType: 'text/css'
+    },
+    {
+        uriTemplate: 'react-bits://components/{category}/{name}/{variant}/demo',
+        name: 'component-variant-demo',
+        description: 'Demo page showing how a component is used (shared by every variant)',
+        mimeType: 'text/jsx'
+    },
+    {
+        uriTemplate: 'react-bits://components/{category}/{name}/{variant}/metadata',
+        name: 'component-variant-metadata',
+        description: 'Category, variants, dependencies, props and examples of a component, with props and dependencies taken from the given variant',
+        mimeType: 'application/json'
+    },
+    {
+        uriTemplate: 'react-bits://components/{category}/{name}/demo',
+        name: 'component-demo',
+        description: 'Demo page showing how a component is used',
+        mimeType: 'text/jsx'
+    },
+    {
+        uriTemplate: 'react-bits://components/{category}/{name}/metadata',
+        name: 'component-metadata',
+        description: 'Category, variants, dependencies, props and examples of a component',
+        mimeType: 'application/json'
+    }
+];
+/**
+ * Resource template handlers keyed by URI template
+ */
+export const resourceTemplateHandlers = {
+    'react-bits://components/{category}/{name}/{variant}/source': (uri, variables) => readVariantFile(uri, variables, 'source'),
+    'react-bits://components/{category}/{name}/{variant}/css': (uri, variables) => readVariantFile(uri, variables, 'css'),
+    'react-bits://components/{category}/{name}/{variant}/demo': async (uri, variables) => readDemo(uri, await findVariant(uri, variables)),
+    'react-bits://components/{category}/{name}/{variant}/metadata': async (uri, variables) => readMetadata(uri, await findVariant(uri, variables), variables.variant),
+    // Short forms, kept as aliases of the variant-qualified URIs
+    'react-bits://components/{category}/{name}/demo': async (uri, variables) => readDemo(uri, await findComponent(variables.name, variables.category)),
+    'react-bits://components/{category}/{name}/metadata': async (uri, variables) => readMetadata(uri, await findComponent(variables.name, variables.category))
+};
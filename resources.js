@@ -0,0 +1,84 @@
+import { getAvailableComponents } from './utils/file-reader.js';
+import { getRegistry } from './utils/registry.js';
+import { componentResourceUri, mimeTypeFor } from './resource-templates.js';
+export { resourceTemplates, resourceTemplateHandlers, matchUriTemplate } from './resource-templates.js';
+/**
+ * Static resources, always listed
+ */
+export const resources = [
+    {
+        uri: 'react-bits://components',
+        name: 'components',
+        description: 'Catalog of React Bits components with their categories and variants',
+        mimeType: 'application/json'
+    },
+    {
+        uri: 'resource:get_components',
+        name: 'get_components',
+        description: 'List of available React Bits components that can be used in the project',
+        mimeType: 'text/plain'
+    }
+];
+/**
+ * Static resource handlers keyed by URI
+ */
+export const resourceHandlers = {
+    'react-bits://components': async () => ({
+        contents: [
+            {
+                uri: 'react-bits://components',
+                mimeType: 'application/json',
+                text: JSON.stringify(await getAvailableComponents(), null, 2)
+            }
+        ]
+    }),
+    'resource:get_components': async () => {
+        const components = await getAvailableComponents();
+        return {
+            contents: [
+                {
+                    uri: 'resource:get_components',
+                    mimeType: 'text/plain',
+                    text: components.map(component => `${component.category}/${component.name}`).join('\n')
+                }
+            ]
+        };
+    }
+};
+/**
+ * List the static resources plus one resource per component file
+ * @returns Promise with resource descriptors
+ */
+export async function listResources() {
+    const entries = await getRegistry().list();
+    const componentResources = [];
+    for (const entry of entries) {
+        for (const [variantKey, variant] of Object.entries(entry.variants)) {
+            componentResources.push({
+                uri: componentResourceUri(entry, 'source', variantKey),
+                name: `${entry.name} (${variantKey})`,
+                mimeType: mimeTypeFor(variant.source)
+            });
+            if (variant.css) {
+                componentResources.push({
+                    uri: componentResourceUri(entry, 'css', variantKey),
+                    name: `${entry.name} stylesheet (${variantKey})`,
+                    mimeType: 'text/css'
+                });
+            }
+        }
+        if (entry.demo) {
+            componentResources.push({
+                uri: componentResourceUri(entry, 'demo'),
+                name: `${entry.name} demo`,
+                mimeType: mimeTypeFor(entry.demo)
+            });
+        }
+        componentResources.push({
+            uri: componentResourceUri(entry, 'metadata'),
+            name: `${entry.name} metadata`,
+            mimeType: 'application/json'
+        });
+    }
+    return [...resources, ...componentResources];
+}
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Build a React Bits snapshot from a local checkout, for the snapshot source.
+ *
+ * Usage:
+ *   node scripts/build-snapshot.js <react-bits-dir> [output-file]
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { LocalSource } from '../utils/sources/local-source.js';
+import { createSnapshot } from '../utils/sources/snapshot-source.js';
+import { buildIndex, referencedFiles } from '../utils/registry.js';
+async function main() {
+    const [rootDir, output = 'react-bits.snapshot.json'] = process.argv.slice(2);
+    if (!rootDir) {
+        console.error('Usage: node scripts/build-snapshot.js <react-bits-dir> [output-file]');
+        process.exit(1);
+    }
+    const source = new LocalSource({ rootDir });
+    const entries = buildIndex(await source.listFiles());
+    const snapshot = await createSnapshot(source, referencedFiles(entries), process.env.REACT_BITS_REF);
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    await fs.writeFile(output, JSON.stringify(snapshot));
+    console.log(`Wrote ${entries.length} components (${Object.keys(snapshot.files).length} files) to ${output}`);
+}
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
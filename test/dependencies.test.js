@@ -0,0 +1,51 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { InvalidArgumentError } from '../utils/errors.js';
+import { setConfig } from '../utils/config.js';
+import { readPackageJson } from '../utils/dependencies.js';
+describe('readPackageJson', () => {
+    let dir;
+    let project;
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'react-bits-dependencies-'));
+        project = path.join(dir, 'app');
+        await fs.mkdir(path.join(project, 'broken'), { recursive: true });
+        await fs.writeFile(path.join(project, 'package.json'), JSON.stringify({ dependencies: { gsap: '^3.13.0' } }));
+        await fs.writeFile(path.join(project, 'broken', 'package.json'), 'root:x:0:0:root:/root:/bin/bash\n');
+        await fs.writeFile(path.join(project, 'secrets.json'), '{}');
+        await fs.mkdir(path.join(project, 'linked'));
+        await fs.writeFile(path.join(dir, 'package.json'), '{}');
+        await fs.symlink(path.join(dir, 'package.json'), path.join(project, 'linked', 'package.json'));
+        setConfig({ projectRoots: [project] });
+    });
+    after(async () => {
+        setConfig({});
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+    it('reads a package.json, or the one in a directory', async () => {
+        const expected = { root: project, packageJson: { dependencies: { gsap: '^3.13.0' } } };
+        assert.deepEqual(await readPackageJson(path.join(project, 'package.json')), expected);
+        assert.deepEqual(await readPackageJson(project), expected);
+    });
+    it('rejects paths outside the project roots', async () => {
+        for (const target of [dir, '/etc/passwd', path.join(project, '..', 'package.json'), path.join(project, 'linked')]) {
+            await assert.rejects(readPackageJson(target), /packageJsonPath must be inside/, target);
+        }
+    });
+    it('rejects files other than package.json', async () => {
+        await assert.rejects(readPackageJson(path.join(project, 'secrets.json')), InvalidArgumentError);
+    });
+    it('reports unparsable files without quoting them', async () => {
+        await assert.rejects(readPackageJson(path.join(project, 'broken')), (error) => {
+            assert.ok(error instanceof InvalidArgumentError);
+            assert.equal(error.message, `Cannot parse ${path.join(project, 'broken', 'package.json')}`);
+            return true;
+        });
+    });
+    it('reports missing files', async () => {
+        await assert.rejects(readPackageJson(path.join(project, 'missing', 'package.json')), { name: 'InvalidArgumentError', message: /^Cannot read / });
+    });
+});
@@ -0,0 +1,178 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import { GitHubClient } from '../utils/github-client.js';
+import { configureCircuitBreakers } from '../utils/circuit-breaker.js';
+import { RateLimitedError, SourceUnavailableError } from '../utils/errors.js';
+import { configureLogger } from '../utils/logger.js';
+const TREE = { sha: 'abc123', tree: [{ path: 'src/content/TextAnimations/SplitText/SplitText.jsx', type: 'blob' }], truncated: false };
+const SOURCE = 'export default function SplitText() {}\n';
+/**
+ * Stand-in for the GitHub API and raw hosts: `respond` decides each answer,
+ * `requests` records what the client sent
+ */
+const standIn = {
+    server: null,
+    url: null,
+    requests: [],
+    respond: null
+};
+/**
+ * Answer with the tree on the API path and the source on the raw path
+ * @param req - Incoming request
+ * @param res - Server response
+ * @param headers - Extra response headers
+ */
+function serveFiles(req, res, headers = {}) {
+    if (req.url.startsWith('/api/repos/owner/repo/git/trees/')) {
+        res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(TREE));
+    }
+    else if (req.url === '/raw/owner/repo/main/SplitText.jsx') {
+        res.writeHead(200, { 'Content-Type': 'text/plain', ...headers });
+        res.end(SOURCE);
+    }
+    else {
+        res.writeHead(404, headers);
+        res.end('Not Found');
+    }
+}
+/**
+ * Client pointed at the stand-in
+ * @param options - Extra client options
+ * @returns GitHubClient
+ */
+function createClient(options = {}) {
+    return new GitHubClient({ apiUrl: `${standIn.url}/api`, rawUrl: `${standIn.url}/raw`, ...options });
+}
+/**
+ * Epoch seconds of a rate-limit reset, from now
+ * @param seconds - Seconds from now
+ * @returns Header value
+ */
+function resetIn(seconds) {
+    return String(Math.round(Date.now() / 1000) + seconds);
+}
+before(async () => {
+    // No retries and no breaker tripping, so every test sees the stand-in's answer as is
+    configureCircuitBreakers({ github: { retries: 0, failureThreshold: 1000, timeout: 5000 } });
+    configureLogger({ file: os.devNull });
+    standIn.server = http.createServer((req, res) => {
+        standIn.requests.push({ url: req.url, headers: req.headers });
+        standIn.respond(req, res);
+    });
+    await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+    standIn.url = `http://127.0.0.1:${standIn.server.address().port}`;
+});
+after(async () => {
+    standIn.server.closeAllConnections();
+    await new Promise(resolve => standIn.server.close(resolve));
+    configureLogger({ file: null });
+});
+beforeEach(() => {
+    standIn.requests = [];
+    standIn.respond = serveFiles;
+});
+describe('GitHubClient', () => {
+    it('fetches trees and raw files', async () => {
+        const client = createClient();
+        assert.deepEqual(await client.getJson('/repos/owner/repo/git/trees/main?recursive=1'), TREE);
+        assert.equal(await client.getRaw('/owner/repo/main/SplitText.jsx'), SOURCE);
+        assert.equal(standIn.requests[0].headers.accept, 'application/vnd.github+json');
+        assert.equal(standIn.requests[0].headers['user-agent'], 'react-bits-mcp-server');
+    });
+    it('returns null for missing files', async () => {
+        assert.equal(await createClient().getRaw('/owner/repo/main/Missing.jsx'), null);
+    });
+    it('sends the token as a bearer token', async () => {
+        await createClient({ token: 'ghp_test_token' }).getRaw('/owner/repo/main/SplitText.jsx');
+        await createClient().getRaw('/owner/repo/main/SplitText.jsx');
+        assert.equal(standIn.requests[0].headers.authorization, 'Bearer ghp_test_token');
+        assert.equal(standIn.requests[1].headers.authorization, undefined);
+    });
+    it('revalidates with the ETag and serves the cached copy on 304', async () => {
+        const client = createClient();
+        standIn.respond = (req, res) => {
+            if (req.headers['if-none-match'] === '"v1"') {
+                res.writeHead(304, { ETag: '"v1"' });
+                res.end();
+                return;
+            }
+            serveFiles(req, res, { ETag: '"v1"' });
+        };
+        assert.equal(await client.getRaw('/owner/repo/main/SplitText.jsx'), SOURCE);
+        assert.equal(await client.getRaw('/owner/repo/main/SplitText.jsx'), SOURCE);
+        assert.equal(standIn.requests[0].headers['if-none-match'], undefined);
+        assert.equal(standIn.requests[1].headers['if-none-match'], '"v1"');
+    });
+    it('records the rate-limit headers', async () => {
+        const client = createClient();
+        const reset = resetIn(3600);
+        standIn.respond = (req, res) => serveFiles(req, res, { 'X-RateLimit-Limit': '60', 'X-RateLimit-Remaining': '59', 'X-RateLimit-Reset': reset });
+        await client.getRaw('/owner/repo/main/SplitText.jsx');
+        assert.deepEqual(client.rateLimit, { limit: 60, remaining: 59, resetAt: new Date(Number(reset) * 1000) });
+        assert.equal(client.isRateLimited(), false);
+    });
+    it('throws RateLimitedError on a 403 with the quota exhausted, then stops calling', async () => {
+        const client = createClient();
+        const reset = resetIn(3600);
+        standIn.respond = (req, res) => {
+            res.writeHead(403, { 'X-RateLimit-Limit': '60', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': reset });
+            res.end('API rate limit exceeded');
+        };
+        await assert.rejects(client.getRaw('/owner/repo/main/SplitText.jsx'), error => error instanceof RateLimitedError && error.data.resetAt === new Date(Number(reset) * 1000).toISOString());
+        await assert.rejects(client.getRaw('/owner/repo/main/SplitText.jsx'), RateLimitedError);
+        assert.equal(standIn.requests.length, 1);
+    });
+    it('throws RateLimitedError on a 429 with Retry-After', async () => {
+        const client = createClient();
+        standIn.respond = (req, res) => {
+            res.writeHead(429, { 'Retry-After': '120' });
+            res.end('Too Many Requests');
+        };
+        const requestedAt = Date.now();
+        await assert.rejects(client.getRaw('/owner/repo/main/SplitText.jsx'), RateLimitedError);
+        assert.equal(client.rateLimit.remaining, 0);
+        assert.ok(client.rateLimit.resetAt.getTime() >= requestedAt + 119000);
+    });
+    it('reports a 403 that is not a rate limit as unavailable', async () => {
+        standIn.respond = (req, res) => {
+            res.writeHead(403, { 'X-RateLimit-Remaining': '42' });
+            res.end('Forbidden');
+        };
+        await assert.rejects(createClient().getRaw('/owner/repo/main/SplitText.jsx'), error => error instanceof SourceUnavailableError && error.data.status === 403);
+    });
+    it('serves the last fetched copy when rate limited', async () => {
+        const client = createClient();
+        assert.equal(await client.getRaw('/owner/repo/main/SplitText.jsx'), SOURCE);
+        standIn.respond = (req, res) => {
+            res.writeHead(429, { 'Retry-After': '60' });
+            res.end();
+        };
+        assert.equal(await client.getRaw('/owner/repo/main/SplitText.jsx'), SOURCE);
+        // Still limited: answered from the cache without calling GitHub
+        assert.equal(await client.getRaw('/owner/repo/main/SplitText.jsx'), SOURCE);
+        assert.equal(standIn.requests.length, 2);
+    });
+    it('serves the last fetched copy on server errors and network failures', async () => {
+        const client = createClient();
+        assert.deepEqual(await client.getJson('/repos/owner/repo/git/trees/main'), TREE);
+        standIn.respond = (req, res) => {
+            res.writeHead(502);
+            res.end('Bad Gateway');
+        };
+        assert.deepEqual(await client.getJson('/repos/owner/repo/git/trees/main'), TREE);
+        standIn.respond = req => req.socket.destroy();
+        assert.deepEqual(await client.getJson('/repos/owner/repo/git/trees/main'), TREE);
+    });
+    it('throws SourceUnavailableError when nothing was fetched before', async () => {
+        standIn.respond = (req, res) => {
+            res.writeHead(500);
+            res.end();
+        };
+        await assert.rejects(createClient().getRaw('/owner/repo/main/SplitText.jsx'), SourceUnavailableError);
+        standIn.respond = req => req.socket.destroy();
+        await assert.rejects(createClient().getRaw('/owner/repo/main/SplitText.jsx'), SourceUnavailableError);
+    });
+});
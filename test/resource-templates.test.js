@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvalidArgumentError } from '../utils/errors.js';
+import { matchUriTemplate } from '../resource-templates.js';
+const TEMPLATE = 'react-bits://components/{category}/{name}/{variant}/source';
+describe('matchUriTemplate', () => {
+    it('returns the decoded template variables', () => {
+        assert.deepEqual(matchUriTemplate(TEMPLATE, 'react-bits://components/TextAnimations/Split%54ext/ts-css/source'), {
+            category: 'TextAnimations',
+            name: 'SplitText',
+            variant: 'ts-css'
+        });
+    });
+    it('returns null when the URI does not match', () => {
+        assert.equal(matchUriTemplate(TEMPLATE, 'react-bits://components/TextAnimations/SplitText/demo'), null);
+        assert.equal(matchUriTemplate(TEMPLATE, 'react-bits://components/TextAnimations/SplitText/ts-css/source/extra'), null);
+    });
+    it('rejects malformed percent-encoding', () => {
+        assert.throws(() => matchUriTemplate(TEMPLATE, 'react-bits://components/TextAnimations/%E0/ts-css/source'), error => error instanceof InvalidArgumentError && error.data.param === 'name');
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { InvalidArgumentError } from '../utils/errors.js';
+import { MAX_NAME_LENGTH, MAX_PATH_LENGTH, MAX_STRING_LENGTH, normalizeComponentName, resolveInside, resolveInsideRoots, validateAndSanitizeParams } from '../utils/validation.js';
+const root = path.join(os.tmpdir(), 'react-bits-validation');
+describe('normalizeComponentName', () => {
+    it('joins kebab, snake and spaced names in PascalCase', () => {
+        assert.equal(normalizeComponentName('split-text'), 'SplitText');
+        assert.equal(normalizeComponentName('split_text'), 'SplitText');
+        assert.equal(normalizeComponentName('Split Text'), 'SplitText');
+        assert.equal(normalizeComponentName('  split  text  '), 'SplitText');
+        assert.equal(normalizeComponentName('blob-cursor_v2'), 'BlobCursorV2');
+    });
+    it('keeps single words as given, since lookups ignore case', () => {
+        assert.equal(normalizeComponentName('SplitText'), 'SplitText');
+        assert.equal(normalizeComponentName('splittext'), 'splittext');
+        assert.equal(normalizeComponentName(' Aurora '), 'Aurora');
+    });
+    it('rejects path traversal and separators', () => {
+        for (const name of ['..', '../SplitText', 'Split..Text', 'a/b', 'a\\b', '..\\..\\etc']) {
+            assert.throws(() => normalizeComponentName(name), InvalidArgumentError, name);
+        }
+    });
+    it('rejects encoded separators', () => {
+        for (const name of ['..%2F..%2Fetc', 'Split%2FText', '%2e%2e', 'Split%5CText']) {
+            assert.throws(() => normalizeComponentName(name), InvalidArgumentError, name);
+        }
+    });
+    it('rejects NUL and other control characters', () => {
+        for (const name of ['Split\u0000Text', 'Split\nText', 'Split\tText', 'Split\u001bText', 'Split\u007fText', 'Split\u0085Text']) {
+            assert.throws(() => normalizeComponentName(name), InvalidArgumentError, JSON.stringify(name));
+        }
+    });
+    it('rejects empty, over-length and non-string names', () => {
+        assert.throws(() => normalizeComponentName(''), InvalidArgumentError);
+        assert.throws(() => normalizeComponentName('   '), InvalidArgumentError);
+        assert.throws(() => normalizeComponentName('a'.repeat(MAX_NAME_LENGTH + 1)), InvalidArgumentError);
+        assert.equal(normalizeComponentName('a'.repeat(MAX_NAME_LENGTH)), 'a'.repeat(MAX_NAME_LENGTH));
+        assert.throws(() => normalizeComponentName(42), InvalidArgumentError);
+        assert.throws(() => normalizeComponentName(null), InvalidArgumentError);
+    });
+    it('rejects punctuation and names starting with a separator', () => {
+        for (const name of ['Split.Text', '<script>', 'Split;rm', '-SplitText', '_SplitText']) {
+            assert.throws(() => normalizeComponentName(name), InvalidArgumentError, name);
+        }
+    });
+    it('names the parameter in the error', () => {
+        assert.throws(() => normalizeComponentName('../x', 'components[2]'), error => error instanceof InvalidArgumentError && error.message.startsWith('components[2]') && error.data.param === 'components[2]');
+    });
+});
+describe('resolveInside', () => {
+    it('resolves paths below the root', () => {
+        assert.equal(resolveInside(root, 'src/components/SplitText.jsx'), path.join(root, 'src', 'components', 'SplitText.jsx'));
+        assert.equal(resolveInside(root, 'src/../lib/a.js'), path.join(root, 'lib', 'a.js'));
+        assert.equal(resolveInside(root, ''), root);
+    });
+    it('rejects paths climbing out of the root', () => {
+        for (const relativePath of ['..', '../etc/passwd', 'src/../../etc/passwd', 'a/b/../../../c']) {
+            assert.throws(() => resolveInside(root, relativePath), InvalidArgumentError, relativePath);
+        }
+    });
+    it('rejects absolute paths', () => {
+        assert.throws(() => resolveInside(root, '/etc/passwd'), InvalidArgumentError);
+        assert.throws(() => resolveInside(root, `${root}/a.js`), InvalidArgumentError);
+    });
+    it('does not decode encoded separators', () => {
+        // `%2F` is a literal file name character, so the path stays inside the root
+        assert.equal(resolveInside(root, 'a%2F..%2Fb'), path.join(root, 'a%2F..%2Fb'));
+        assert.throws(() => resolveInside(root, '..%2Fetc'), InvalidArgumentError);
+    });
+    it('rejects backslash traversal', () => {
+        assert.throws(() => resolveInside(root, '..\\..\\etc\\passwd'), InvalidArgumentError);
+    });
+    it('rejects NUL and other control characters', () => {
+        for (const relativePath of ['a\u0000.js', 'a\n.js', 'a\u001f/b']) {
+            assert.throws(() => resolveInside(root, relativePath), InvalidArgumentError, JSON.stringify(relativePath));
+        }
+    });
+    it('reports the root and the offending path', () => {
+        assert.throws(() => resolveInside(root, '../x'), error => error.data.root === path.resolve(root) && error.data.path === '../x');
+    });
+});
+describe('resolveInsideRoots', () => {
+    const other = path.join(os.tmpdir(), 'react-bits-vendor');
+    it('accepts paths inside any root, relative ones against the first', () => {
+        assert.equal(resolveInsideRoots([root, other], 'src'), path.join(root, 'src'));
+        assert.equal(resolveInsideRoots([root, other], path.join(other, 'ui')), path.join(other, 'ui'));
+    });
+    it('rejects paths outside every root', () => {
+        assert.throws(() => resolveInsideRoots([root, other], '/etc/shadow', 'localPath'), error => error instanceof InvalidArgumentError && error.data.param === 'localPath');
+        assert.throws(() => resolveInsideRoots([root], '../react-bits-vendor'), InvalidArgumentError);
+        assert.throws(() => resolveInsideRoots([root], 'src\u0000'), InvalidArgumentError);
+    });
+});
+describe('validateAndSanitizeParams', () => {
+    it('normalizes component names, alone or in lists', () => {
+        assert.deepEqual(validateAndSanitizeParams('get_component', { componentName: 'split-text', language: 'ts' }), { componentName: 'SplitText', language: 'ts' });
+        assert.deepEqual(validateAndSanitizeParams('check_dependencies', { componentNames: ['blob cursor', 'Aurora'] }).componentNames, ['BlobCursor', 'Aurora']);
+    });
+    it('normalizes the component names of prompt arguments', () => {
+        assert.deepEqual(validateAndSanitizeParams('component_comparison', { component1: 'split-text', component2: 'blob_cursor' }), { component1: 'SplitText', component2: 'BlobCursor' });
+    });
+    it('rejects hostile component names with the tool and parameter', () => {
+        assert.throws(() => validateAndSanitizeParams('get_component', { componentName: '../../etc/passwd' }), error => error instanceof InvalidArgumentError && error.data.tool === 'get_component' && error.data.param === 'componentName');
+        assert.throws(() => validateAndSanitizeParams('check_dependencies', { componentNames: ['Aurora', 'a\u0000b'] }), error => error.data.param === 'componentNames[1]');
+    });
+    it('accepts separators in path parameters but not control characters', () => {
+        assert.equal(validateAndSanitizeParams('install_component', { projectRoot: '/home/me/app' }).projectRoot, '/home/me/app');
+        assert.throws(() => validateAndSanitizeParams('install_component', { projectRoot: '/home/me/app\u0000' }), InvalidArgumentError);
+    });
+    it('caps the length of strings and paths', () => {
+        assert.throws(() => validateAndSanitizeParams('search_components', { query: 'a'.repeat(MAX_STRING_LENGTH + 1) }), InvalidArgumentError);
+        assert.doesNotThrow(() => validateAndSanitizeParams('search_components', { query: 'a'.repeat(MAX_STRING_LENGTH) }));
+        assert.throws(() => validateAndSanitizeParams('diff_component', { localPath: 'a'.repeat(MAX_PATH_LENGTH + 1) }), InvalidArgumentError);
+        assert.doesNotThrow(() => validateAndSanitizeParams('diff_component', { localPath: 'a'.repeat(MAX_STRING_LENGTH + 1) }));
+    });
+    it('checks the strings of array parameters', () => {
+        assert.throws(() => validateAndSanitizeParams('browse_components', { tags: ['ok', 'bad\nvalue'] }), error => error.data.param === 'tags[1]');
+    });
+    it('passes raw props and non-string values through', () => {
+        const props = { text: 'line\nbreak', onDone: { $expression: '() => {}' } };
+        assert.deepEqual(validateAndSanitizeParams('generate_usage', { props, dryRun: true, context: 3 }), { props, dryRun: true, context: 3 });
+    });
+    it('rejects arguments that are not an object', () => {
+        for (const params of [null, [], 'SplitText']) {
+            assert.throws(() => validateAndSanitizeParams('get_component', params), InvalidArgumentError);
+        }
+        assert.deepEqual(validateAndSanitizeParams('list_components'), {});
+    });
+});
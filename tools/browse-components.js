@@ -0,0 +1,71 @@
+import { z } from 'zod';
+import { CATEGORIES } from '../utils/constants.js';
+import { INTERACTIONS, RENDERINGS, TAGS } from '../utils/taxonomy.js';
+import { browseComponents } from '../utils/file-reader.js';
+import { validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+const TAG_NAMES = Object.keys(TAGS);
+/**
+ * Schema for browse_components tool parameters
+ */
+export const browseComponentsSchema = z.object({
+    tags: z.array(z.enum(TAG_NAMES)).optional().describe('Tags every result must have'),
+    excludeTags: z.array(z.enum(TAG_NAMES)).optional().describe('Tags no result may have (e.g., ["webgl"] for lightweight effects)'),
+    rendering: z.array(z.enum(RENDERINGS)).optional().describe('Accepted rendering technologies'),
+    interactions: z.array(z.enum(INTERACTIONS)).optional().describe('Accepted interaction models'),
+    category: z.enum(CATEGORIES).optional().describe('Filter by category'),
+    format: formatSchema
+});
+/**
+ * Render facet counts as a markdown line
+ * @param counts - Counts keyed by value
+ * @returns Markdown text
+ */
+function formatCounts(counts) {
+    const entries = Object.entries(counts);
+    return entries.length > 0 ? entries.map(([value, count]) => `${value} (${count})`).join(', ') : 'none';
+}
+/**
+ * Handle browse_components tool requests
+ * @param params - Tool parameters
+ * @returns Promise with the matching components and facet counts
+ */
+export async function handleBrowseComponents(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('browse_components', params);
+    const { format = 'markdown', ...filters } = browseComponentsSchema.parse(validatedParams);
+    logInfo('Browsing components', filters);
+    const result = await browseComponents(filters);
+    logInfo(`Browse matched ${result.total} components`);
+    if (format === 'json') {
+        return jsonResult({ filters, ...result });
+    }
+    let output = `# Browse Components\n\n`;
+    output += `Found ${result.total} matching component${result.total === 1 ? '' : 's'}\n\n`;
+    result.components.forEach(component => {
+        output += `- **${component.name}** (${component.category}) — ${component.rendering}; ${component.interactions.join(', ')}${component.tags.length > 0 ? `; tags: ${component.tags.join(', ')}` : ''}\n`;
+    });
+    output += `\n**Refine by:**\n`;
+    output += `- Tags: ${formatCounts(result.facets.tags)}\n`;
+    output += `- Rendering: ${formatCounts(result.facets.rendering)}\n`;
+    output += `- Interactions: ${formatCounts(result.facets.interactions)}\n`;
+    output += `- Categories: ${formatCounts(result.facets.categories)}\n`;
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * browse_components tool definition
+ */
+export const browseComponentsTool = {
+    name: 'browse_components',
+    description: `Browse React Bits components by taxonomy instead of free text: filter by tags (${TAG_NAMES.join(', ')}), excluded tags, rendering technology (${RENDERINGS.join(', ')}) and interaction model (${INTERACTIONS.join(', ')}). Returns the matches with counts per facet to narrow the search further`,
+    schema: browseComponentsSchema,
+    handler: handleBrowseComponents
+};
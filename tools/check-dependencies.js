@@ -0,0 +1,76 @@
+import { z } from 'zod';
+import { checkDependencies, PACKAGE_MANAGERS } from '../utils/dependencies.js';
+import { validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+/**
+ * Schema for check_dependencies tool parameters
+ */
+export const checkDependenciesSchema = z.object({
+    componentNames: z.array(z.string().min(1)).min(1, 'At least one component name is required').max(25).describe('Components that will be used together (e.g., ["Aurora", "SplashCursor", "SplitText"])'),
+    packageJsonPath: z.string().optional().describe('Path to the project\'s package.json, or the directory containing it, inside the project roots; installed versions in node_modules are checked too'),
+    packageManager: z.enum(Object.keys(PACKAGE_MANAGERS)).optional().describe('Package manager for the install command (default: detected from the project, else npm)'),
+    format: formatSchema
+});
+/**
+ * Status labels shown in the markdown report
+ */
+const STATUS_LABELS = {
+    ok: 'ok',
+    missing: 'missing',
+    conflict: '**conflict**',
+    unknown: 'not comparable',
+    assumed: 'assumed present'
+};
+/**
+ * Handle check_dependencies tool requests
+ * @param params - Tool parameters
+ * @returns Promise with the dependency report
+ */
+export async function handleCheckDependencies(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('check_dependencies', params);
+    const { componentNames, packageJsonPath, packageManager, format = 'markdown' } = checkDependenciesSchema.parse(validatedParams);
+    logInfo(`Checking dependencies of: ${componentNames.join(', ')}`, { packageJsonPath });
+    const report = await checkDependencies(componentNames, { packageJsonPath, packageManager });
+    logInfo(`Dependency check completed: ${report.missing.length} missing, ${report.conflicts.length} conflicts`);
+    if (format === 'json') {
+        return jsonResult(report);
+    }
+    let output = `# Dependencies of ${report.components.map(component => component.name).join(', ')}\n\n`;
+    output += report.packageJson ? `Checked against \`${report.packageJson}\`\n\n` : 'No package.json given; every package is reported as missing, except peer packages, which are assumed present.\n\n';
+    output += '| Package | Required | Found | Status | Needed by |\n';
+    output += '|---------|----------|-------|--------|-----------|\n';
+    report.packages.forEach(entry => {
+        const found = entry.installed ? `${entry.installed} (installed)` : entry.declared || '—';
+        // Ranges such as `^1 || ^2` would split the table cell
+        const range = (entry.required || 'any').replace(/\|/g, '\\|');
+        output += `| ${entry.name}${entry.peer ? ' (peer)' : ''} | ${range} | ${found.replace(/\|/g, '\\|')} | ${STATUS_LABELS[entry.status]} | ${entry.requiredBy.join(', ')} |\n`;
+    });
+    if (report.conflicts.length > 0) {
+        output += `\n**Version conflicts:**\n`;
+        report.conflicts.forEach(conflict => {
+            output += `- ${conflict.name}: project has ${conflict.found}, components need ${conflict.required}\n`;
+        });
+    }
+    output += report.installCommand
+        ? `\n**Install command (${report.packageManager}):**\n\`\`\`bash\n${report.installCommand}\n\`\`\`\n`
+        : '\nAll required packages are installed.\n';
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * check_dependencies tool definition
+ */
+export const checkDependenciesTool = {
+    name: 'check_dependencies',
+    description: 'Resolve the npm packages needed by one or more React Bits components, check them against a project\'s package.json for missing packages and version conflicts, and return the exact install command',
+    schema: checkDependenciesSchema,
+    handler: handleCheckDependencies
+};
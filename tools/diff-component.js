@@ -0,0 +1,78 @@
+import { z } from 'zod';
+import { CATEGORIES, GIT_REF_PATTERN, LANGUAGES, STYLINGS } from '../utils/constants.js';
+import { diffComponent } from '../utils/component-diff.js';
+import { validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+const refSchema = z.string().regex(GIT_REF_PATTERN, 'Invalid git ref');
+/**
+ * Schema for diff_component tool parameters
+ */
+export const diffComponentSchema = z.object({
+    componentName: z.string().min(1, 'Component name is required').describe('Name of the React Bits component (e.g., "SplitText")'),
+    category: z.enum(CATEGORIES).optional().describe('Category of the component, used when a name exists in several categories'),
+    language: z.enum(LANGUAGES).optional().describe('Language of the variant to compare (default: detected from localPath, else js)'),
+    styling: z.enum(STYLINGS).optional().describe('Styling of the variant to compare (default: detected from localPath, else css)'),
+    from: refSchema.optional().describe('Older upstream branch, tag or commit SHA (e.g., the one a vendored copy was taken from)'),
+    to: refSchema.optional().describe('Newer upstream branch, tag or commit SHA (default: the configured source)'),
+    localPath: z.string().min(1).optional().describe('Vendored copy to compare with upstream instead of `from`: the entry file or the component directory, inside the configured project roots (absolute, or relative to the first root; default root: the server working directory). Only the component\'s own .jsx, .tsx, .js and .css files are read'),
+    context: z.number().int().min(0).max(20).optional().describe('Unchanged lines shown around each change (default: 3)'),
+    format: formatSchema
+});
+/**
+ * Handle diff_component tool requests
+ * @param params - Tool parameters
+ * @returns Promise with a unified diff per file and the commits in between
+ */
+export async function handleDiffComponent(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('diff_component', params);
+    const { componentName, format = 'markdown', ...options } = diffComponentSchema.parse(validatedParams);
+    logInfo(`Diffing component: ${componentName}`, options);
+    const result = await diffComponent(componentName, options);
+    logInfo(`Diffed ${result.name} (${result.variant})`, { changed: result.files.filter(file => file.status !== 'unchanged').length });
+    if (format === 'json') {
+        return jsonResult(result);
+    }
+    const fromLabel = result.from.path || result.from.ref;
+    const toLabel = result.to.ref || 'current upstream';
+    let output = `# ${result.name} (${result.variant}): ${fromLabel} → ${toLabel}\n\n`;
+    if (!result.changed) {
+        output += `No differences.\n`;
+    }
+    result.files.forEach(file => {
+        output += `- \`${file.path}\`: ${file.status}\n`;
+    });
+    if (result.localOnly.length > 0) {
+        output += `\n**Only in the local copy (not compared):**\n`;
+        result.localOnly.forEach(filePath => {
+            output += `- \`${filePath}\`\n`;
+        });
+    }
+    if (result.changelog) {
+        output += `\n**Commits touching ${result.name}:**${result.changelog.length === 0 ? ' none' : ''}\n`;
+        result.changelog.forEach(commit => {
+            output += `- ${commit.sha.slice(0, 7)} ${commit.message}${commit.author ? ` (${commit.author}${commit.date ? `, ${commit.date.slice(0, 10)}` : ''})` : ''}\n`;
+        });
+    }
+    result.files.filter(file => file.diff).forEach(file => {
+        output += `\n\`\`\`diff\n${file.diff}\`\`\`\n`;
+    });
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * diff_component tool definition
+ */
+export const diffComponentTool = {
+    name: 'diff_component',
+    description: 'Show what changed in a React Bits component, as unified diffs: between two upstream branches, tags or commits (with the commits touching it), or between a vendored local copy and upstream before re-syncing it',
+    schema: diffComponentSchema,
+    handler: handleDiffComponent
+};
@@ -0,0 +1,22 @@
+import { z } from 'zod';
+/**
+ * Shared `format` parameter of tools that can return structured output
+ */
+export const formatSchema = z.enum(['markdown', 'json']).optional().describe('Output format (default: markdown)');
+/**
+ * Build a tool result carrying JSON data, both as pretty-printed text for
+ * clients that only read content and as MCP structuredContent
+ * @param data - Plain object to return
+ * @returns Tool result
+ */
+export function jsonResult(data) {
+    return {
+        content: [
+            {
+                type: 'text',
+                text: JSON.stringify(data, null, 2)
+            }
+        ],
+        structuredContent: data
+    };
+}
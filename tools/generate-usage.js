@@ -0,0 +1,58 @@
+import { z } from 'zod';
+import { CATEGORIES, LANGUAGES, STYLINGS } from '../utils/constants.js';
+import { EXPRESSION_KEY, generateUsage } from '../utils/usage.js';
+import { validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+/**
+ * Schema for generate_usage tool parameters
+ */
+export const generateUsageSchema = z.object({
+    componentName: z.string().min(1, 'Component name is required').describe('Name of the React Bits component (e.g., "AnimatedList", "BlobCursor")'),
+    props: z.record(z.any()).optional().describe(`Desired prop values as JSON (e.g., { "padding": 50, "children": "Hover me" }); pass functions and JSX as { "${EXPRESSION_KEY}": "<code>" }`),
+    category: z.enum(CATEGORIES).optional().describe('Category of the component, used when a name exists in several categories'),
+    language: z.enum(LANGUAGES).optional().describe('Language of the variant whose props are checked (default: ts when available)'),
+    styling: z.enum(STYLINGS).optional().describe('Styling of the variant whose props are checked'),
+    importPath: z.string().min(1).optional().describe('Module path to import the component from (default: where install_component puts it, seen from src/)'),
+    format: formatSchema
+});
+/**
+ * Handle generate_usage tool requests
+ * @param params - Tool parameters
+ * @returns Promise with the usage snippet and diagnostics
+ */
+export async function handleGenerateUsage(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('generate_usage', params);
+    const { componentName, props = {}, format = 'markdown', ...options } = generateUsageSchema.parse(validatedParams);
+    logInfo(`Generating usage for: ${componentName}`, { props: Object.keys(props) });
+    const usage = await generateUsage(componentName, props, options);
+    if (format === 'json') {
+        return jsonResult(usage);
+    }
+    let output = `# ${usage.name} Usage\n\n`;
+    output += `\`\`\`jsx\n${usage.snippet}\n\`\`\`\n`;
+    if (usage.diagnostics.length > 0) {
+        output += `\n**Notes:**\n`;
+        usage.diagnostics.forEach(diagnostic => {
+            output += `- ${diagnostic.level}: ${diagnostic.message}\n`;
+        });
+    }
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * generate_usage tool definition
+ */
+export const generateUsageTool = {
+    name: 'generate_usage',
+    description: 'Generate a minimal JSX usage snippet for a React Bits component from a JSON object of prop values. Values are checked against the props extracted from the source: unknown props, wrong types and missing required props are reported, and values equal to the default are left out',
+    schema: generateUsageSchema,
+    handler: handleGenerateUsage
+};
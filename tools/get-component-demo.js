@@ -1,12 +1,15 @@
 import { z } from 'zod';
+import { CATEGORIES } from '../utils/constants.js';
 import { getComponentDemo } from '../utils/file-reader.js';
 import { validateAndSanitizeParams } from '../utils/validation.js';
-import { logError, logInfo } from '../utils/logger.js';
+import { logInfo } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
 /**
  * Schema for get_component_demo tool parameters
  */
 export const getComponentDemoSchema = z.object({
-    componentName: z.string().describe('Name of the React Bits component (e.g., "AnimatedList", "GradientButton")')
+    componentName: z.string().min(1, 'Component name is required').describe('Name of the React Bits component (e.g., "AnimatedList", "BlobCursor")'),
+    category: z.enum(CATEGORIES).optional().describe('Category of the component, used when a name exists in several categories')
 });
 /**
  * Handle get_component_demo tool requests
@@ -14,37 +17,31 @@ export const getComponentDemoSchema = z.object({
  * @returns Promise with component demo code
  */
 export async function handleGetComponentDemo(params) {
-    try {
-        // Validate and sanitize input parameters
-        const validatedParams = validateAndSanitizeParams('get_component_demo', params);
-        const { componentName } = getComponentDemoSchema.parse(validatedParams);
-        logInfo(`Getting component demo for: ${componentName}`);
-        // Get component demo code from file system
-        const demoCode = await getComponentDemo(componentName);
-        if (!demoCode) {
-            throw new Error(`Demo for component '${componentName}' not found`);
-        }
-        logInfo(`Successfully retrieved component demo for: ${componentName}`);
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: demoCode
-                }
-            ]
-        };
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('get_component_demo', params);
+    const { componentName, category } = getComponentDemoSchema.parse(validatedParams);
+    logInfo(`Getting component demo for: ${componentName}`);
+    // Get component demo code from file system
+    const demoCode = await getComponentDemo(componentName, { category });
+    if (!demoCode) {
+        throw new NotFoundError(`Component '${componentName}' has no demo`, { data: { componentName } });
     }
-    catch (error) {
-        logError('Error in handleGetComponentDemo', error);
-        // Return error information in a user-friendly format
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `Error retrieving component demo: ${errorMessage}`
-                }
-            ]
-        };
-    }
-}
\ No newline at end of file
+    logInfo(`Successfully retrieved component demo for: ${componentName}`);
+    return {
+        content: [
+            {
+                type: 'text',
+                text: demoCode
+            }
+        ]
+    };
+}
+/**
+ * get_component_demo tool definition
+ */
+export const getComponentDemoTool = {
+    name: 'get_component_demo',
+    description: 'Get demo code illustrating how a React Bits component should be used',
+    schema: getComponentDemoSchema,
+    handler: handleGetComponentDemo
+};
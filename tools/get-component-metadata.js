@@ -1,12 +1,18 @@
 import { z } from 'zod';
+import { CATEGORIES, LANGUAGES, STYLINGS } from '../utils/constants.js';
 import { getComponentMetadata } from '../utils/file-reader.js';
 import { validateAndSanitizeParams } from '../utils/validation.js';
-import { logError, logInfo } from '../utils/logger.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
 /**
  * Schema for get_component_metadata tool parameters
  */
 export const getComponentMetadataSchema = z.object({
-    componentName: z.string().describe('Name of the React Bits component (e.g., "AnimatedList", "GradientButton")')
+    componentName: z.string().min(1, 'Component name is required').describe('Name of the React Bits component (e.g., "AnimatedList", "BlobCursor")'),
+    category: z.enum(CATEGORIES).optional().describe('Category of the component, used when a name exists in several categories'),
+    language: z.enum(LANGUAGES).optional().describe('Language of the variant to analyze (default: ts when available)'),
+    styling: z.enum(STYLINGS).optional().describe('Styling of the variant to analyze'),
+    format: formatSchema
 });
 /**
  * Handle get_component_metadata tool requests
@@ -14,64 +20,89 @@ export const getComponentMetadataSchema = z.object({
  * @returns Promise with component metadata
  */
 export async function handleGetComponentMetadata(params) {
-    try {
-        // Validate and sanitize input parameters
-        const validatedParams = validateAndSanitizeParams('get_component_metadata', params);
-        const { componentName } = getComponentMetadataSchema.parse(validatedParams);
-        logInfo(`Getting component metadata for: ${componentName}`);
-        // Get component metadata from file system
-        const metadata = await getComponentMetadata(componentName);
-        if (!metadata) {
-            throw new Error(`Metadata for component '${componentName}' not found`);
-        }
-        // Format metadata as readable text
-        let output = `# ${metadata.name} Component Metadata\n\n`;
-        output += `**Category:** ${metadata.category}\n\n`;
-        if (metadata.description) {
-            output += `**Description:** ${metadata.description}\n\n`;
-        }
-        if (metadata.dependencies && metadata.dependencies.length > 0) {
-            output += `**Dependencies:**\n`;
-            metadata.dependencies.forEach(dep => {
-                output += `- ${dep}\n`;
-            });
-            output += '\n';
-        }
-        if (metadata.props && Object.keys(metadata.props).length > 0) {
-            output += `**Props:**\n`;
-            Object.entries(metadata.props).forEach(([propName, propInfo]) => {
-                output += `- ${propName}: ${typeof propInfo === 'string' ? propInfo : JSON.stringify(propInfo)}\n`;
-            });
-            output += '\n';
-        }
-        if (metadata.examples && metadata.examples.length > 0) {
-            output += `**Examples:**\n`;
-            metadata.examples.forEach((example, index) => {
-                output += `${index + 1}. ${example}\n`;
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('get_component_metadata', params);
+    const { componentName, category, language, styling, format = 'markdown' } = getComponentMetadataSchema.parse(validatedParams);
+    logInfo(`Getting component metadata for: ${componentName}`);
+    // Get component metadata from file system
+    const metadata = await getComponentMetadata(componentName, { category, language, styling });
+    if (format === 'json') {
+        logInfo(`Successfully retrieved component metadata for: ${componentName}`);
+        return jsonResult(metadata);
+    }
+    // Format metadata as readable text
+    let output = `# ${metadata.name} Component Metadata\n\n`;
+    output += `**Category:** ${metadata.category}\n\n`;
+    if (metadata.variants && metadata.variants.length > 0) {
+        output += `**Variants:** ${metadata.variants.join(', ')} (props extracted from ${metadata.analyzedVariant})\n\n`;
+    }
+    if (metadata.rendering) {
+        output += `**Rendering:** ${metadata.rendering} | **Interactions:** ${metadata.interactions.join(', ')}\n\n`;
+    }
+    if (metadata.tags && metadata.tags.length > 0) {
+        output += `**Tags:** ${metadata.tags.join(', ')}\n\n`;
+    }
+    if (metadata.performance) {
+        output += `**Weight:** ${metadata.performance.weight} (${metadata.performance.reasons.join('; ')})\n\n`;
+    }
+    if (metadata.accessibility) {
+        output += `**Reduced motion:** ${metadata.accessibility.respectsReducedMotion ? 'respected' : 'not respected'}\n\n`;
+        if (metadata.accessibility.warnings.length > 0) {
+            output += `**Accessibility warnings:**\n`;
+            metadata.accessibility.warnings.forEach(warning => {
+                output += `- ${warning}\n`;
             });
             output += '\n';
         }
-        logInfo(`Successfully retrieved component metadata for: ${componentName}`);
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: output
-                }
-            ]
-        };
     }
-    catch (error) {
-        logError('Error in handleGetComponentMetadata', error);
-        // Return error information in a user-friendly format
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `Error retrieving component metadata: ${errorMessage}`
-                }
-            ]
-        };
+    if (metadata.description) {
+        output += `**Description:** ${metadata.description}\n\n`;
+    }
+    if (metadata.dependencies && metadata.dependencies.length > 0) {
+        output += `**Dependencies:**\n`;
+        metadata.dependencies.forEach(dep => {
+            output += `- ${dep}\n`;
+        });
+        output += '\n';
     }
-}
\ No newline at end of file
+    if (metadata.peerDependencies && metadata.peerDependencies.length > 0) {
+        output += `**Peer Dependencies:** ${metadata.peerDependencies.join(', ')}\n\n`;
+    }
+    if (metadata.props && Object.keys(metadata.props).length > 0) {
+        output += `**Props:**\n`;
+        Object.entries(metadata.props).forEach(([propName, prop]) => {
+            const details = [
+                prop.type ? `\`${prop.type}\`` : null,
+                prop.required ? 'required' : null,
+                prop.default !== undefined ? `default \`${prop.default}\`` : null
+            ].filter(Boolean).join(', ');
+            output += `- **${propName}**${details ? ` (${details})` : ''}${prop.description ? ` — ${prop.description}` : ''}\n`;
+        });
+        output += '\n';
+    }
+    if (metadata.examples && metadata.examples.length > 0) {
+        output += `**Examples:**\n`;
+        metadata.examples.forEach((example, index) => {
+            output += `${index + 1}. ${example}\n`;
+        });
+        output += '\n';
+    }
+    logInfo(`Successfully retrieved component metadata for: ${componentName}`);
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * get_component_metadata tool definition
+ */
+export const getComponentMetadataTool = {
+    name: 'get_component_metadata',
+    description: 'Get metadata for a specific React Bits component including dependencies, props, taxonomy, a performance weight class and accessibility warnings',
+    schema: getComponentMetadataSchema,
+    handler: handleGetComponentMetadata
+};
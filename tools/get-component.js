@@ -1,12 +1,20 @@
 import { z } from 'zod';
-import { getComponentSource } from '../utils/file-reader.js';
+import { CATEGORIES, GIT_REF_PATTERN, LANGUAGES, STYLINGS } from '../utils/constants.js';
+import { getComponentFiles } from '../utils/file-reader.js';
 import { validateAndSanitizeParams } from '../utils/validation.js';
-import { logError, logInfo } from '../utils/logger.js';
+import { logInfo } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+import { formatSchema, jsonResult } from './format.js';
 /**
  * Schema for get_component tool parameters
  */
 export const getComponentSchema = z.object({
-    componentName: z.string().describe('Name of the React Bits component (e.g., "AnimatedList", "GradientButton")')
+    componentName: z.string().min(1, 'Component name is required').describe('Name of the React Bits component (e.g., "AnimatedList", "BlobCursor")'),
+    category: z.enum(CATEGORIES).optional().describe('Category of the component, used when a name exists in several categories'),
+    language: z.enum(LANGUAGES).optional().describe('Source language of the variant (default: js)'),
+    styling: z.enum(STYLINGS).optional().describe('Styling approach of the variant (default: css)'),
+    ref: z.string().regex(GIT_REF_PATTERN, 'Invalid git ref').optional().describe('Upstream branch, tag or commit SHA to read the component at, to pin a vendored version (default: the configured source)'),
+    format: formatSchema.describe('Output format: markdown returns the raw files as text, json returns the variant and its files as one object (default: markdown)')
 });
 /**
  * Handle get_component tool requests
@@ -14,37 +22,40 @@ export const getComponentSchema = z.object({
  * @returns Promise with component source code
  */
 export async function handleGetComponent(params) {
-    try {
-        // Validate and sanitize input parameters
-        const validatedParams = validateAndSanitizeParams('get_component', params);
-        const { componentName } = getComponentSchema.parse(validatedParams);
-        logInfo(`Getting component source for: ${componentName}`);
-        // Get component source code from file system
-        const sourceCode = await getComponentSource(componentName);
-        if (!sourceCode) {
-            throw new Error(`Component '${componentName}' not found`);
-        }
-        logInfo(`Successfully retrieved component source for: ${componentName}`);
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: sourceCode
-                }
-            ]
-        };
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('get_component', params);
+    const { componentName, category, language, styling, ref, format = 'markdown' } = getComponentSchema.parse(validatedParams);
+    logInfo(`Getting component source for: ${componentName}`, { category, language, styling, ref });
+    // Get the requested code variant with its companion files
+    const component = await getComponentFiles(componentName, { category, language, styling, ref });
+    if (component.files.length === 0) {
+        throw new NotFoundError(`Source files of ${component.name} (${component.variant}) are missing from the component source`);
     }
-    catch (error) {
-        logError('Error in handleGetComponent', error);
-        // Return error information in a user-friendly format
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `Error retrieving component: ${errorMessage}`
-                }
-            ]
-        };
+    logInfo(`Successfully retrieved component source for: ${component.name} (${component.variant}${ref ? ` at ${ref}` : ''})`);
+    if (format === 'json') {
+        return jsonResult(component);
     }
-}
\ No newline at end of file
+    // Entry file first, then companion files labelled with their file name
+    const [entryFile, ...companionFiles] = component.files;
+    return {
+        content: [
+            {
+                type: 'text',
+                text: entryFile.content
+            },
+            ...companionFiles.map(file => ({
+                type: 'text',
+                text: `${file.fileName.endsWith('.css') ? `/* ${file.fileName} */` : `// ${file.fileName}`}\n${file.content}`
+            }))
+        ]
+    };
+}
+/**
+ * get_component tool definition
+ */
+export const getComponentTool = {
+    name: 'get_component',
+    description: 'Get the source code for a specific React Bits component, in the requested language and styling variant, optionally at a pinned upstream branch, tag or commit',
+    schema: getComponentSchema,
+    handler: handleGetComponent
+};
@@ -0,0 +1,118 @@
+import { z } from 'zod';
+import { CATEGORIES, LANGUAGES, STYLINGS } from '../utils/constants.js';
+import { getComponentsBundle, MAX_BUNDLE_ITEMS } from '../utils/bundle.js';
+import { PACKAGE_MANAGERS } from '../utils/dependencies.js';
+import { normalizeComponentName, validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+/**
+ * One requested component, with an optional variant
+ */
+const bundleItemSchema = z.object({
+    componentName: z.string().min(1, 'Component name is required').describe('Name of the React Bits component'),
+    category: z.enum(CATEGORIES).optional().describe('Category of the component, used when a name exists in several categories'),
+    language: z.enum(LANGUAGES).optional().describe('Source language of this component (default: the bundle\'s)'),
+    styling: z.enum(STYLINGS).optional().describe('Styling of this component (default: the bundle\'s)')
+}).strict();
+/**
+ * Schema for get_components_bundle tool parameters
+ */
+export const getComponentsBundleSchema = z.object({
+    components: z.array(z.union([z.string().min(1), bundleItemSchema])).min(1, 'At least one component is required').max(MAX_BUNDLE_ITEMS)
+        .describe('Components to fetch: names (e.g., ["Aurora", "SplitText", "Dock"]) or objects with componentName and an optional category, language and styling'),
+    language: z.enum(LANGUAGES).optional().describe('Source language of every component that does not set one (default: js)'),
+    styling: z.enum(STYLINGS).optional().describe('Styling of every component that does not set one (default: css)'),
+    includeDemos: z.boolean().optional().describe('Include each component\'s demo (default: true)'),
+    maxBytes: z.number().int().positive().optional().describe('Cap on the returned file contents, in bytes; sources come before demos and earlier components before later ones (default and maximum: the server\'s bundle.maxBytes, 512 KiB unless configured)'),
+    packageJsonPath: z.string().optional().describe('Project package.json (or its directory), inside the project roots, to check the merged dependencies against'),
+    packageManager: z.enum(Object.keys(PACKAGE_MANAGERS)).optional().describe('Package manager for the install command (default: detected from the project, else npm)'),
+    format: formatSchema
+});
+/**
+ * Code fence language of a file
+ * @param fileName - File name
+ * @returns Fence language
+ */
+function fenceLanguage(fileName) {
+    return fileName.split('.').pop();
+}
+/**
+ * Handle get_components_bundle tool requests
+ * @param params - Tool parameters
+ * @returns Promise with the sources, demos and merged dependencies of the components
+ */
+export async function handleGetComponentsBundle(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('get_components_bundle', params);
+    const { components, format = 'markdown', ...options } = getComponentsBundleSchema.parse(validatedParams);
+    const items = components.map((item, index) => {
+        const { componentName, ...variant } = typeof item === 'string' ? { componentName: item } : item;
+        return { componentName: normalizeComponentName(componentName, `components[${index}]`), ...variant };
+    });
+    logInfo(`Getting components bundle: ${items.map(item => item.componentName).join(', ')}`, { maxBytes: options.maxBytes });
+    const bundle = await getComponentsBundle(items, options);
+    logInfo(`Bundle completed: ${bundle.succeeded} fetched, ${bundle.omitted} omitted, ${bundle.failed} failed`, { bytes: bundle.totalBytes });
+    // Nothing usable came back: report it as an error, with the per-item details
+    const isError = bundle.succeeded === 0;
+    if (format === 'json') {
+        return { ...jsonResult(bundle), ...(isError ? { isError } : {}) };
+    }
+    let output = `# Components Bundle\n\n`;
+    output += `${bundle.succeeded} of ${bundle.components.length} components fetched (${bundle.totalBytes} of ${bundle.maxBytes} bytes)`;
+    output += `${bundle.omitted > 0 ? `, ${bundle.omitted} omitted for size` : ''}${bundle.failed > 0 ? `, ${bundle.failed} failed` : ''}\n`;
+    const problems = bundle.components.filter(component => component.status !== 'ok');
+    if (problems.length > 0) {
+        output += `\n**Not included:**\n`;
+        problems.forEach(component => {
+            output += component.status === 'error'
+                ? `- \`${component.requested}\`: ${component.error.message}\n`
+                : `- ${component.name}: ${component.reason}\n`;
+        });
+    }
+    const { dependencies } = bundle;
+    if (dependencies?.error) {
+        output += `\n**Dependencies unavailable:** ${dependencies.error.message}\n`;
+    }
+    else if (dependencies) {
+        output += `\n## Dependencies\n\n`;
+        if (dependencies.packages.length === 0) {
+            output += `No npm packages needed.\n`;
+        }
+        dependencies.packages.forEach(entry => {
+            output += `- \`${entry.name}\`${entry.required ? ` ${entry.required}` : ''}${entry.peer ? ' (peer)' : ''}: ${entry.requiredBy.join(', ')}${dependencies.packageJson && entry.status !== 'ok' ? ` — **${entry.status}**` : ''}\n`;
+        });
+        if (dependencies.installCommand) {
+            output += `\n\`\`\`bash\n${dependencies.installCommand}\n\`\`\`\n`;
+        }
+    }
+    bundle.components.filter(component => component.status === 'ok').forEach(component => {
+        output += `\n## ${component.name} (${component.category}, ${component.variant})\n`;
+        component.files.forEach(file => {
+            output += `\n### ${file.fileName}\n\n\`\`\`${fenceLanguage(file.fileName)}\n${file.content.trimEnd()}\n\`\`\`\n`;
+        });
+        if (component.demo) {
+            output += `\n### Demo\n\n\`\`\`jsx\n${component.demo.trimEnd()}\n\`\`\`\n`;
+        }
+        else if (component.demoOmitted) {
+            output += `\n*Demo omitted to stay under the size cap; fetch it with get_component_demo.*\n`;
+        }
+    });
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ],
+        ...(isError ? { isError } : {})
+    };
+}
+/**
+ * get_components_bundle tool definition
+ */
+export const getComponentsBundleTool = {
+    name: 'get_components_bundle',
+    description: 'Fetch several React Bits components in one call (e.g., the background, text animation, cards and dock of a landing page): the source and companion CSS of each requested variant, its demo, and the merged npm dependencies with an install command. Components are fetched concurrently; failures are reported per component, and output is capped in size',
+    schema: getComponentsBundleSchema,
+    handler: handleGetComponentsBundle
+};
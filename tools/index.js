@@ -1,112 +1,86 @@
-import { z } from 'zod';
-import { handleGetComponent } from './get-component.js';
-import { handleGetComponentDemo } from './get-component-demo.js';
-import { handleListComponents } from './list-components.js';
-import { handleGetComponentMetadata } from './get-component-metadata.js';
-import { handleSearchComponents } from './search-components.js';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { InvalidArgumentError } from '../utils/errors.js';
+import { getComponentTool } from './get-component.js';
+import { getComponentDemoTool } from './get-component-demo.js';
+import { getComponentsBundleTool } from './get-components-bundle.js';
+import { listComponentsTool } from './list-components.js';
+import { getComponentMetadataTool } from './get-component-metadata.js';
+import { searchComponentsTool } from './search-components.js';
+import { browseComponentsTool } from './browse-components.js';
+import { diffComponentTool } from './diff-component.js';
+import { installComponentTool } from './install-component.js';
+import { checkDependenciesTool } from './check-dependencies.js';
+import { refreshCacheTool } from './refresh-cache.js';
+import { serverStatusTool } from './server-status.js';
+import { usageReportTool } from './usage-report.js';
+import { generateUsageTool } from './generate-usage.js';
+import { transformComponentTool } from './transform-component.js';
 /**
- * Tool handlers mapping
+ * Tool registry: every tool module exports its name, description, zod schema and handler.
+ * Adding a tool means exporting a definition from its module and listing it here.
  */
-export const toolHandlers = {
-    get_component: handleGetComponent,
-    get_component_demo: handleGetComponentDemo,
-    list_components: handleListComponents,
-    get_component_metadata: handleGetComponentMetadata,
-    search_components: handleSearchComponents
-};
+export const toolRegistry = Object.fromEntries([
+    getComponentTool,
+    getComponentDemoTool,
+    getComponentsBundleTool,
+    listComponentsTool,
+    getComponentMetadataTool,
+    generateUsageTool,
+    transformComponentTool,
+    searchComponentsTool,
+    browseComponentsTool,
+    diffComponentTool,
+    installComponentTool,
+    checkDependenciesTool,
+    refreshCacheTool,
+    serverStatusTool,
+    usageReportTool
+].map(tool => [tool.name, tool]));
 /**
- * Tool schemas for validation
+ * Names of the tools exposed to clients, see configureTools
  */
-export const toolSchemas = {
-    get_component: z.object({
-        componentName: z.string().describe('Name of the React Bits component (e.g., "AnimatedList", "GradientButton")')
-    }),
-    get_component_demo: z.object({
-        componentName: z.string().describe('Name of the React Bits component (e.g., "AnimatedList", "GradientButton")')
-    }),
-    list_components: z.object({
-        category: z.enum(['Animations', 'Backgrounds', 'Components', 'TextAnimations']).optional().describe('Filter by category')
-    }),
-    get_component_metadata: z.object({
-        componentName: z.string().describe('Name of the React Bits component (e.g., "AnimatedList", "GradientButton")')
-    }),
-    search_components: z.object({
-        query: z.string().describe('Search query to find components'),
-        category: z.enum(['Animations', 'Backgrounds', 'Components', 'TextAnimations']).optional().describe('Filter by category')
-    })
-};
+let enabledTools = new Set(Object.keys(toolRegistry));
 /**
- * Tools configuration for MCP server
+ * Choose which tools are exposed to clients
+ * @param options - Tool selection
+ * @param options.enabled - Only expose these tools (default: all)
+ * @param options.disabled - Hide these tools
+ * @throws InvalidArgumentError when a name is not a known tool
  */
-export const tools = {
-    get_component: {
-        description: 'Get the source code for a specific React Bits component',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                componentName: {
-                    type: 'string',
-                    description: 'Name of the React Bits component (e.g., "AnimatedList", "GradientButton")'
-                }
-            },
-            required: ['componentName']
-        }
-    },
-    get_component_demo: {
-        description: 'Get demo code illustrating how a React Bits component should be used',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                componentName: {
-                    type: 'string',
-                    description: 'Name of the React Bits component (e.g., "AnimatedList", "GradientButton")'
-                }
-            },
-            required: ['componentName']
-        }
-    },
-    list_components: {
-        description: 'Get all available React Bits components, optionally filtered by category',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                category: {
-                    type: 'string',
-                    enum: ['Animations', 'Backgrounds', 'Components', 'TextAnimations'],
-                    description: 'Filter components by category'
-                }
-            }
-        }
-    },
-    get_component_metadata: {
-        description: 'Get metadata for a specific React Bits component including dependencies and props',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                componentName: {
-                    type: 'string',
-                    description: 'Name of the React Bits component (e.g., "AnimatedList", "GradientButton")'
-                }
-            },
-            required: ['componentName']
-        }
-    },
-    search_components: {
-        description: 'Search for React Bits components by name or description',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'Search query to find components'
-                },
-                category: {
-                    type: 'string',
-                    enum: ['Animations', 'Backgrounds', 'Components', 'TextAnimations'],
-                    description: 'Filter search results by category'
-                }
-            },
-            required: ['query']
+export function configureTools({ enabled, disabled = [] } = {}) {
+    for (const [key, names] of [['enabled', enabled || []], ['disabled', disabled]]) {
+        const unknown = names.filter(name => !toolRegistry[name]);
+        if (unknown.length > 0) {
+            throw new InvalidArgumentError(`Unknown tool(s) in tools.${key}: ${unknown.join(', ')} (available: ${Object.keys(toolRegistry).join(', ')})`);
         }
     }
-};
\ No newline at end of file
+    enabledTools = new Set((enabled || Object.keys(toolRegistry)).filter(name => !disabled.includes(name)));
+}
+/**
+ * Get an exposed tool
+ * @param name - Tool name
+ * @returns The tool definition, or undefined when it does not exist or is disabled
+ */
+export function getTool(name) {
+    return enabledTools.has(name) ? toolRegistry[name] : undefined;
+}
+/**
+ * Convert a tool's zod schema to the JSON Schema advertised to clients
+ * @param schema - zod object schema
+ * @returns JSON Schema object
+ */
+function toInputSchema(schema) {
+    const { $schema, ...inputSchema } = zodToJsonSchema(schema, { $refStrategy: 'none' });
+    return inputSchema;
+}
+/**
+ * Tool definitions for the ListTools response
+ * @returns Array of { name, description, inputSchema }
+ */
+export function getToolDefinitions() {
+    return Object.values(toolRegistry).filter(tool => enabledTools.has(tool.name)).map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: toInputSchema(tool.schema)
+    }));
+}
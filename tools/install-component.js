@@ -0,0 +1,53 @@
+import { z } from 'zod';
+import { CATEGORIES, LANGUAGES, STYLINGS } from '../utils/constants.js';
+import { installComponent, formatInstallReport } from '../utils/installer.js';
+import { validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+/**
+ * Schema for install_component tool parameters
+ */
+export const installComponentSchema = z.object({
+    componentName: z.string().min(1, 'Component name is required').describe('Name of the React Bits component (e.g., "AnimatedList", "BlobCursor")'),
+    projectRoot: z.string().min(1, 'Project root is required').describe('Absolute path of the project to install into'),
+    category: z.enum(CATEGORIES).optional().describe('Category of the component, used when a name exists in several categories'),
+    language: z.enum(LANGUAGES).optional().describe('Source language (default: ts when the project has a tsconfig.json)'),
+    styling: z.enum(STYLINGS).optional().describe('Styling approach (default: tailwind when the project uses Tailwind)'),
+    componentsDir: z.string().optional().describe('Destination directory relative to the project root (default: src/components, or components without a src directory)'),
+    dryRun: z.boolean().optional().describe('Show a diff of the changes without writing anything'),
+    force: z.boolean().optional().describe('Overwrite existing files that differ'),
+    format: formatSchema
+});
+/**
+ * Handle install_component tool requests
+ * @param params - Tool parameters
+ * @returns Promise with the install report
+ */
+export async function handleInstallComponent(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('install_component', params);
+    const { componentName, format = 'markdown', ...options } = installComponentSchema.parse(validatedParams);
+    logInfo(`Installing component ${componentName} into ${options.projectRoot}`, { dryRun: Boolean(options.dryRun), force: Boolean(options.force) });
+    const report = await installComponent(componentName, options);
+    logInfo(`${report.dryRun ? 'Planned' : 'Completed'} install of ${report.name} (${report.variant})`);
+    if (format === 'json') {
+        return jsonResult(report);
+    }
+    return {
+        content: [
+            {
+                type: 'text',
+                text: formatInstallReport(report)
+            }
+        ]
+    };
+}
+/**
+ * install_component tool definition
+ */
+export const installComponentTool = {
+    name: 'install_component',
+    description: 'Write a React Bits component into a project: picks the TS/JS and Tailwind/CSS variant from the project setup, writes it with its companion files and reports the npm dependencies to add. Supports a dry-run diff and refuses to overwrite files unless forced',
+    schema: installComponentSchema,
+    handler: handleInstallComponent
+};
@@ -1,12 +1,18 @@
 import { z } from 'zod';
-import { getAvailableComponents } from '../utils/file-reader.js';
+import { CATEGORIES } from '../utils/constants.js';
+import { WEIGHTS } from '../utils/profile.js';
+import { getAvailableComponents, getComponentCatalog } from '../utils/file-reader.js';
 import { validateAndSanitizeParams } from '../utils/validation.js';
-import { logError, logInfo } from '../utils/logger.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
 /**
  * Schema for list_components tool parameters
  */
 export const listComponentsSchema = z.object({
-    category: z.enum(['Animations', 'Backgrounds', 'Components', 'TextAnimations']).optional().describe('Filter by category')
+    category: z.enum(CATEGORIES).optional().describe('Filter by category'),
+    maxWeight: z.enum(WEIGHTS).optional().describe('Only list components up to this weight class: light (CSS only), medium (animation loop, canvas or animation library), heavy (WebGL or heavy dependencies)'),
+    respectsReducedMotion: z.boolean().optional().describe('Only list components that honor prefers-reduced-motion'),
+    format: formatSchema
 });
 /**
  * Handle list_components tool requests
@@ -14,65 +20,67 @@ export const listComponentsSchema = z.object({
  * @returns Promise with list of available components
  */
 export async function handleListComponents(params) {
-    try {
-        // Validate and sanitize input parameters
-        const validatedParams = validateAndSanitizeParams('list_components', params);
-        const { category } = listComponentsSchema.parse(validatedParams);
-        logInfo(`Listing components${category ? ` for category: ${category}` : ''}`);
-        // Get available components from file system
-        const components = await getAvailableComponents(category);
-        if (components.length === 0) {
-            const message = category
-                ? `No components found in category '${category}'`
-                : 'No components found';
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: message
-                    }
-                ]
-            };
-        }
-        // Group components by category
-        const componentsByCategory = components.reduce((acc, component) => {
-            if (!acc[component.category]) {
-                acc[component.category] = [];
-            }
-            acc[component.category].push(component.name);
-            return acc;
-        }, {});
-        // Format the output
-        let output = 'Available React Bits Components:\n\n';
-        for (const [cat, componentNames] of Object.entries(componentsByCategory)) {
-            output += `## ${cat}\n`;
-            componentNames.sort().forEach(name => {
-                output += `- ${name}\n`;
-            });
-            output += '\n';
-        }
-        output += `\nTotal: ${components.length} components`;
-        logInfo(`Successfully listed ${components.length} components`);
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: output
-                }
-            ]
-        };
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('list_components', params);
+    const { category, maxWeight, respectsReducedMotion, format = 'markdown' } = listComponentsSchema.parse(validatedParams);
+    logInfo(`Listing components${category ? ` for category: ${category}` : ''}`, { maxWeight, respectsReducedMotion });
+    const profiled = Boolean(maxWeight || respectsReducedMotion);
+    if (format === 'json') {
+        const catalog = await getComponentCatalog(category, { maxWeight, respectsReducedMotion });
+        logInfo(`Successfully listed ${catalog.length} components`);
+        return jsonResult({ total: catalog.length, components: catalog });
     }
-    catch (error) {
-        logError('Error in handleListComponents', error);
-        // Return error information in a user-friendly format
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+    // Profile filters need every component analyzed; a plain listing only needs the index
+    const components = profiled
+        ? await getComponentCatalog(category, { maxWeight, respectsReducedMotion })
+        : await getAvailableComponents(category);
+    if (components.length === 0) {
+        const message = category
+            ? `No components found in category '${category}'${profiled ? ' matching the filters' : ''}`
+            : `No components found${profiled ? ' matching the filters' : ''}`;
         return {
             content: [
                 {
                     type: 'text',
-                    text: `Error listing components: ${errorMessage}`
+                    text: message
                 }
             ]
         };
     }
-}
\ No newline at end of file
+    // Group components by category
+    const componentsByCategory = components.reduce((acc, component) => {
+        if (!acc[component.category]) {
+            acc[component.category] = [];
+        }
+        acc[component.category].push(component);
+        return acc;
+    }, {});
+    // Format the output
+    let output = 'Available React Bits Components:\n\n';
+    for (const [cat, categoryComponents] of Object.entries(componentsByCategory)) {
+        output += `## ${cat}\n`;
+        categoryComponents.sort((a, b) => a.name.localeCompare(b.name)).forEach(component => {
+            output += `- ${component.name}${component.weight ? ` (${component.weight}${component.respectsReducedMotion ? ', reduced motion' : ''})` : ''}\n`;
+        });
+        output += '\n';
+    }
+    output += `\nTotal: ${components.length} components`;
+    logInfo(`Successfully listed ${components.length} components`);
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * list_components tool definition
+ */
+export const listComponentsTool = {
+    name: 'list_components',
+    description: 'Get all available React Bits components, optionally filtered by category, weight class (light, medium, heavy) and prefers-reduced-motion support',
+    schema: listComponentsSchema,
+    handler: handleListComponents
+};
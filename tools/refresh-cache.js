@@ -0,0 +1,57 @@
+import { z } from 'zod';
+import { refreshCache } from '../utils/registry.js';
+import { validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+/**
+ * Schema for refresh_cache tool parameters
+ */
+export const refreshCacheSchema = z.object({
+    force: z.boolean().optional().describe('Fetch every file again, even when its cached copy has not expired'),
+    format: formatSchema
+});
+/**
+ * Handle refresh_cache tool requests
+ * @param params - Tool parameters
+ * @returns Promise with a summary of the refresh
+ */
+export async function handleRefreshCache(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('refresh_cache', params);
+    const { force = false, format = 'markdown' } = refreshCacheSchema.parse(validatedParams);
+    logInfo(`Refreshing component cache${force ? ' (forced)' : ''}`);
+    const summary = await refreshCache({ force });
+    if (format === 'json') {
+        return jsonResult(summary);
+    }
+    const { cache } = summary;
+    let output = `# Component cache refreshed\n\n`;
+    output += `**Cache:** ${cache.dir} (${cache.namespace})\n`;
+    output += `**Upstream:** ${cache.meta.ref || 'unknown ref'}${cache.meta.treeSha ? ` (tree ${cache.meta.treeSha.slice(0, 12)})` : ''}\n\n`;
+    output += `- Components: ${summary.components}\n`;
+    output += `- Files: ${summary.files} (${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.cached} still fresh, ${summary.stale} stale)\n`;
+    output += `- Pruned: ${summary.removedEntries} entries, ${summary.removedObjects} objects\n`;
+    if (summary.failed.length > 0) {
+        output += `\n**Failed (${summary.failed.length}):**\n`;
+        summary.failed.forEach(failure => {
+            output += `- ${failure.path}: ${failure.error}\n`;
+        });
+    }
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * refresh_cache tool definition
+ */
+export const refreshCacheTool = {
+    name: 'refresh_cache',
+    description: 'Refresh the on-disk component cache from the upstream source so the server can later run offline; reports what changed',
+    schema: refreshCacheSchema,
+    handler: handleRefreshCache
+};
@@ -1,13 +1,17 @@
 import { z } from 'zod';
+import { CATEGORIES } from '../utils/constants.js';
 import { searchComponents } from '../utils/file-reader.js';
 import { validateAndSanitizeParams } from '../utils/validation.js';
-import { logError, logInfo } from '../utils/logger.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
 /**
  * Schema for search_components tool parameters
  */
 export const searchComponentsSchema = z.object({
-    query: z.string().describe('Search query to find components'),
-    category: z.enum(['Animations', 'Backgrounds', 'Components', 'TextAnimations']).optional().describe('Filter by category')
+    query: z.string().min(1, 'Search query is required').describe('Search query (e.g., "animation", "cursor", "text")'),
+    category: z.enum(CATEGORIES).optional().describe('Filter by category'),
+    limit: z.number().int().min(1).max(50).optional().describe('Maximum number of results (default: 10)'),
+    format: formatSchema
 });
 /**
  * Handle search_components tool requests
@@ -15,65 +19,54 @@ export const searchComponentsSchema = z.object({
  * @returns Promise with search results
  */
 export async function handleSearchComponents(params) {
-    try {
-        // Validate and sanitize input parameters
-        const validatedParams = validateAndSanitizeParams('search_components', params);
-        const { query, category } = searchComponentsSchema.parse(validatedParams);
-        logInfo(`Searching components with query: "${query}"${category ? ` in category: ${category}` : ''}`);
-        // Search components in file system
-        const results = await searchComponents(query, category);
-        if (results.length === 0) {
-            const message = category
-                ? `No components found matching "${query}" in category '${category}'`
-                : `No components found matching "${query}"`;
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: message
-                    }
-                ]
-            };
-        }
-        // Group results by category
-        const resultsByCategory = results.reduce((acc, component) => {
-            if (!acc[component.category]) {
-                acc[component.category] = [];
-            }
-            acc[component.category].push(component.name);
-            return acc;
-        }, {});
-        // Format the output
-        let output = `Search Results for "${query}":\n\n`;
-        for (const [cat, componentNames] of Object.entries(resultsByCategory)) {
-            output += `## ${cat}\n`;
-            componentNames.sort().forEach(name => {
-                output += `- ${name}\n`;
-            });
-            output += '\n';
-        }
-        output += `\nFound ${results.length} matching component${results.length === 1 ? '' : 's'}`;
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('search_components', params);
+    const { query, category, limit, format = 'markdown' } = searchComponentsSchema.parse(validatedParams);
+    logInfo(`Searching components with query: "${query}"${category ? ` in category: ${category}` : ''}`);
+    // Rank components against the query
+    const results = await searchComponents(query, { category, limit });
+    if (format === 'json') {
         logInfo(`Search completed: found ${results.length} components matching "${query}"`);
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: output
-                }
-            ]
-        };
+        return jsonResult({ query, total: results.length, results });
     }
-    catch (error) {
-        logError('Error in handleSearchComponents', error);
-        // Return error information in a user-friendly format
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+    if (results.length === 0) {
+        const message = category
+            ? `No components found matching "${query}" in category '${category}'`
+            : `No components found matching "${query}"`;
         return {
             content: [
                 {
                     type: 'text',
-                    text: `Error searching components: ${errorMessage}`
+                    text: message
                 }
             ]
         };
     }
-}
\ No newline at end of file
+    // Format the output in score order, explaining what matched
+    let output = `Search Results for "${query}":\n\n`;
+    results.forEach((component, index) => {
+        output += `${index + 1}. **${component.name}** (${component.category}) — score ${component.score}\n`;
+        component.matches.forEach(match => {
+            output += `   - ${match.field} matched "${match.term}": ${match.snippet}\n`;
+        });
+    });
+    output += `\nFound ${results.length} matching component${results.length === 1 ? '' : 's'}`;
+    logInfo(`Search completed: found ${results.length} components matching "${query}"`);
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * search_components tool definition
+ */
+export const searchComponentsTool = {
+    name: 'search_components',
+    description: 'Search React Bits components by name, tags, category, prop names and source keywords; tolerates typos and returns results ranked by relevance',
+    schema: searchComponentsSchema,
+    handler: handleSearchComponents
+};
@@ -0,0 +1,65 @@
+import { z } from 'zod';
+import { circuitBreakers } from '../utils/circuit-breaker.js';
+import { describeSource } from '../utils/registry.js';
+import { validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+/**
+ * Schema for server_status tool parameters
+ */
+export const serverStatusSchema = z.object({
+    format: formatSchema
+});
+/**
+ * Handle server_status tool requests
+ * @param params - Tool parameters
+ * @returns Promise with the source and circuit breaker status
+ */
+export async function handleServerStatus(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('server_status', params);
+    const { format = 'markdown' } = serverStatusSchema.parse(validatedParams);
+    logInfo('Reporting server status');
+    const status = {
+        uptimeSeconds: Math.round(process.uptime()),
+        source: describeSource(),
+        breakers: Object.values(circuitBreakers).map(breaker => breaker.status())
+    };
+    if (format === 'json') {
+        return jsonResult(status);
+    }
+    const { source } = status;
+    let output = `# Server Status\n\n`;
+    output += `**Uptime:** ${status.uptimeSeconds}s\n`;
+    output += `**Source:** ${source.type}${source.ref ? ` @ ${source.ref}` : ''}${source.cached ? `, cached in ${source.cacheDir}` : ''}${source.offline ? ' (offline)' : ''}\n`;
+    if (source.rateLimit?.limit !== null && source.rateLimit?.limit !== undefined) {
+        output += `**GitHub rate limit:** ${source.rateLimit.remaining}/${source.rateLimit.limit} remaining${source.rateLimit.resetAt ? `, resets at ${source.rateLimit.resetAt}` : ''}\n`;
+    }
+    output += `\n| Breaker | State | Calls | Failures | Timeouts | Retries | Rejected | Avg latency |\n`;
+    output += `|---------|-------|-------|----------|----------|---------|----------|-------------|\n`;
+    status.breakers.forEach(breaker => {
+        const { metrics } = breaker;
+        output += `| ${breaker.name} | ${breaker.state} | ${metrics.calls} | ${metrics.failures} | ${metrics.timeouts} | ${metrics.retries} | ${metrics.rejected} | ${metrics.averageLatencyMs === null ? '-' : `${metrics.averageLatencyMs} ms`} |\n`;
+    });
+    status.breakers.filter(breaker => breaker.metrics.lastFailure).forEach(breaker => {
+        output += `\n**Last ${breaker.name} failure** (${breaker.metrics.lastFailure.at}): ${breaker.metrics.lastFailure.message}`;
+        output += breaker.retryAt ? `; open until ${breaker.retryAt}\n` : '\n';
+    });
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * server_status tool definition
+ */
+export const serverStatusTool = {
+    name: 'server_status',
+    description: 'Report the health of the server: the component source in use, GitHub rate limit, and the state and metrics (calls, failures, timeouts, retries, rejections, latency) of the filesystem, github and cache circuit breakers',
+    schema: serverStatusSchema,
+    handler: handleServerStatus
+};
@@ -0,0 +1,72 @@
+import { z } from 'zod';
+import { CATEGORIES, LANGUAGES, STYLINGS, VARIANTS } from '../utils/constants.js';
+import { transformComponent } from '../utils/transform.js';
+import { validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+/**
+ * Schema for transform_component tool parameters
+ */
+export const transformComponentSchema = z.object({
+    componentName: z.string().min(1, 'Component name is required').describe('Name of the React Bits component (e.g., "AnimatedList", "BlobCursor")'),
+    category: z.enum(CATEGORIES).optional().describe('Category of the component, used when a name exists in several categories'),
+    language: z.enum(LANGUAGES).optional().describe('Target language (default: keep the source variant\'s)'),
+    styling: z.enum(STYLINGS).optional().describe('Target styling (default: keep the source variant\'s)'),
+    from: z.enum(Object.keys(VARIANTS)).optional().describe('Variant to convert from (default: the closest available one)'),
+    format: formatSchema
+});
+/**
+ * Handle transform_component tool requests
+ * @param params - Tool parameters
+ * @returns Promise with the converted files and a report of what was and was not translated
+ */
+export async function handleTransformComponent(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('transform_component', params);
+    const { componentName, format = 'markdown', ...options } = transformComponentSchema.parse(validatedParams);
+    logInfo(`Transforming component: ${componentName}`, options);
+    const result = await transformComponent(componentName, options);
+    logInfo(`Transformed ${result.name} from ${result.from} to ${result.to}`, { untranslated: result.untranslated.length });
+    if (format === 'json') {
+        return jsonResult(result);
+    }
+    let output = `# ${result.name}: ${result.from === result.to ? result.to : `${result.from} → ${result.to}`}\n\n`;
+    if (result.upstream && result.from !== result.to) {
+        output += `*React Bits also ships ${result.to} for this component; prefer get_component unless you need this conversion.*\n\n`;
+    }
+    if (result.changes.length > 0) {
+        output += `**Changes:**\n`;
+        result.changes.forEach(change => {
+            output += `- ${change}\n`;
+        });
+        output += `\n`;
+    }
+    if (result.untranslated.length > 0) {
+        output += `**Not translated (review by hand):**\n`;
+        result.untranslated.forEach(item => {
+            output += `- ${item.kind}: ${item.detail}\n`;
+        });
+        output += `\n`;
+    }
+    result.files.forEach(file => {
+        output += `## ${file.path}\n\n`;
+        output += `\`\`\`${file.path.split('.').pop()}\n${file.content.trimEnd()}\n\`\`\`\n\n`;
+    });
+    return {
+        content: [
+            {
+                type: 'text',
+                text: output
+            }
+        ]
+    };
+}
+/**
+ * transform_component tool definition
+ */
+export const transformComponentTool = {
+    name: 'transform_component',
+    description: 'Convert a React Bits component to a code variant it may not ship in: JavaScript to TypeScript (props interface from the extracted prop types) and plain CSS to Tailwind or back (simple rules only, best effort). Everything that could not be translated is listed explicitly',
+    schema: transformComponentSchema,
+    handler: handleTransformComponent
+};
@@ -0,0 +1,46 @@
+import { z } from 'zod';
+import { formatUsageReport, summarizeUsage } from '../utils/analytics.js';
+import { validateAndSanitizeParams } from '../utils/validation.js';
+import { logInfo } from '../utils/logger.js';
+import { formatSchema, jsonResult } from './format.js';
+/**
+ * Schema for usage_report tool parameters
+ */
+export const usageReportSchema = z.object({
+    since: z.string().min(1).optional().describe('Start of the range: ISO date or time (e.g., "2025-01-31"), or a duration ago ("30m", "24h", "7d", "4w")'),
+    until: z.string().min(1).optional().describe('End of the range, in the same formats (default: now)'),
+    top: z.number().int().min(1).max(100).optional().describe('Rows in the component and failed lookup rankings (default: 10)'),
+    format: formatSchema
+});
+/**
+ * Handle usage_report tool requests
+ * @param params - Tool parameters
+ * @returns Promise with the usage summary
+ */
+export async function handleUsageReport(params) {
+    // Validate and sanitize input parameters
+    const validatedParams = validateAndSanitizeParams('usage_report', params);
+    const { format = 'markdown', ...options } = usageReportSchema.parse(validatedParams);
+    logInfo('Summarizing recorded usage', options);
+    const report = await summarizeUsage(options);
+    if (format === 'json') {
+        return jsonResult(report);
+    }
+    return {
+        content: [
+            {
+                type: 'text',
+                text: formatUsageReport(report)
+            }
+        ]
+    };
+}
+/**
+ * usage_report tool definition
+ */
+export const usageReportTool = {
+    name: 'usage_report',
+    description: 'Summarize locally recorded server usage over a time range: the most requested components and variants, failed lookups (usually misspelled names, with suggestions) and error rates and latency per tool, prompt and resource. Usage is only recorded when the server runs with --record-usage',
+    schema: usageReportSchema,
+    handler: handleUsageReport
+};
@@ -0,0 +1,301 @@
+import http from 'http';
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { captureConsole, logError, logInfo, logWarn } from './utils/logger.js';
+/**
+ * Supported transports
+ */
+export const TRANSPORTS = ['stdio', 'http', 'sse'];
+/**
+ * Largest JSON-RPC request body accepted over HTTP
+ */
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+/**
+ * Names of the loopback interface, always accepted as Host
+ */
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+/**
+ * Addresses that bind every interface
+ */
+const WILDCARD_HOSTS = ['0.0.0.0', '::', '[::]'];
+/**
+ * Format a host name or address for a Host header
+ * @param host - Host name or address
+ * @returns Host, with IPv6 addresses in brackets
+ */
+function formatHost(host) {
+    return host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+}
+/**
+ * Host and Origin header values accepted by the HTTP transports. Checking them
+ * protects the server from DNS rebinding: a web page whose domain is made to resolve
+ * to this machine still sends its own domain as Host and Origin.
+ * @param host - Interface bound
+ * @param port - Port listened on
+ * @param options - Extra values
+ * @param options.allowedHosts - Host names, with or without a port (e.g. a reverse proxy's name)
+ * @param options.allowedOrigins - Origins of browser clients, e.g. `https://app.example.com`
+ * @returns { allowedHosts, allowedOrigins }
+ */
+export function resolveAllowedHeaders(host, port, { allowedHosts = [], allowedOrigins = [] } = {}) {
+    const names = new Set(LOOPBACK_HOSTS);
+    if (WILDCARD_HOSTS.includes(host)) {
+        // Every interface is bound: accept the machine's own name and addresses
+        names.add(os.hostname());
+        Object.values(os.networkInterfaces()).flat().forEach(address => names.add(formatHost(address.address.split('%')[0])));
+    }
+    else {
+        names.add(formatHost(host));
+    }
+    const hosts = new Set();
+    names.forEach(name => {
+        hosts.add(`${name}:${port}`);
+        // Browsers leave the default port out
+        if (port === 80) {
+            hosts.add(name);
+        }
+    });
+    // Configured names without a port get the listening one
+    allowedHosts.forEach(name => hosts.add(/^(\[[^\]]*\]|[^:]*):\d+$/.test(name) ? name : `${formatHost(name)}:${port}`));
+    return {
+        allowedHosts: [...hosts],
+        allowedOrigins: [...new Set([...[...hosts].map(name => `http://${name}`), ...allowedOrigins])]
+    };
+}
+/**
+ * Check the Host and Origin headers of a request. Requests without Origin
+ * (non-browser clients) only need an accepted Host.
+ * @param req - Incoming request
+ * @param allowed - Accepted values, see resolveAllowedHeaders
+ * @returns Error message, or null when the request is accepted
+ */
+function checkRequestHeaders(req, { allowedHosts, allowedOrigins }) {
+    if (!allowedHosts.includes(req.headers.host)) {
+        return `Invalid Host header: ${req.headers.host}`;
+    }
+    if (req.headers.origin !== undefined && !allowedOrigins.includes(req.headers.origin)) {
+        return `Invalid Origin header: ${req.headers.origin}`;
+    }
+    return null;
+}
+/**
+ * Parse the URL of a request
+ * @param req - Incoming request
+ * @returns The URL, or null when the request target or Host header is malformed
+ */
+function parseRequestUrl(req) {
+    try {
+        return new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    }
+    catch {
+        return null;
+    }
+}
+/**
+ * Read and parse a JSON request body
+ * @param req - Incoming request
+ * @returns Promise with the parsed body
+ */
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw Object.assign(new Error('Request body too large'), { statusCode: 413 });
+        }
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    }
+    catch {
+        throw Object.assign(new Error('Invalid JSON body'), { statusCode: 400 });
+    }
+}
+/**
+ * Send a JSON response
+ * @param res - Server response
+ * @param statusCode - HTTP status code
+ * @param body - Response body
+ */
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+/**
+ * Send a JSON-RPC error response for requests rejected before reaching a session
+ * @param res - Server response
+ * @param statusCode - HTTP status code
+ * @param message - Error message
+ */
+function sendRpcError(res, statusCode, message) {
+    sendJson(res, statusCode, { jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+/**
+ * Serve the MCP server over stdio
+ * @param createServer - Factory returning a fully configured MCP server
+ * @returns Promise with a handle whose close() shuts the server down
+ */
+export async function startStdioTransport(createServer) {
+    // stdout now carries the protocol: send stray console output to the log
+    captureConsole();
+    const server = createServer();
+    const transport = new StdioServerTransport();
+    logInfo('Transport initialized: stdio');
+    await server.connect(transport);
+    return {
+        close: () => server.close()
+    };
+}
+/**
+ * Serve the MCP server over HTTP, creating one MCP server per client session.
+ *
+ * `http` uses the Streamable HTTP transport on /mcp; `sse` uses the legacy
+ * HTTP+SSE transport (GET /sse, POST /messages). Both expose GET /health.
+ * Requests whose Host or Origin header is not accepted are refused with 403,
+ * see resolveAllowedHeaders.
+ * @param createServer - Factory returning a fully configured MCP server
+ * @param options - HTTP options
+ * @param options.transport - 'http' or 'sse'
+ * @param options.host - Interface to bind
+ * @param options.port - Port to listen on
+ * @param options.allowedHosts - Extra accepted Host header values
+ * @param options.allowedOrigins - Extra accepted Origin header values
+ * @returns Promise with a handle whose close() stops listening and closes every session
+ */
+export async function startHttpTransport(createServer, { transport: kind, host, port, allowedHosts, allowedOrigins }) {
+    // Active sessions: sessionId -> { server, transport }
+    const sessions = new Map();
+    const startedAt = Date.now();
+    // Accepted Host and Origin values, known once listening (port 0 picks a free port)
+    let allowed;
+    /**
+     * Connect a fresh MCP server to a session transport
+     * @param transport - Session transport
+     */
+    const connectSession = async (transport) => {
+        const server = createServer();
+        transport.onclose = () => {
+            if (transport.sessionId && sessions.delete(transport.sessionId)) {
+                logInfo('Session closed', { sessionId: transport.sessionId, sessions: sessions.size });
+            }
+        };
+        await server.connect(transport);
+        return server;
+    };
+    const handleStreamableHttp = async (req, res) => {
+        const sessionId = req.headers['mcp-session-id'];
+        const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+        if (sessionId) {
+            const session = sessions.get(sessionId);
+            if (!session) {
+                sendRpcError(res, 404, 'Session not found');
+                return;
+            }
+            await session.transport.handleRequest(req, res, body);
+            return;
+        }
+        if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            sendRpcError(res, 400, 'Bad Request: no valid session ID provided');
+            return;
+        }
+        let server;
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            enableDnsRebindingProtection: true,
+            ...allowed,
+            onsessioninitialized: (newSessionId) => {
+                sessions.set(newSessionId, { server, transport });
+                logInfo('Session initialized', { sessionId: newSessionId, sessions: sessions.size });
+            }
+        });
+        server = await connectSession(transport);
+        await transport.handleRequest(req, res, body);
+    };
+    const handleSse = async (req, res, url) => {
+        if (req.method === 'GET' && url.pathname === '/sse') {
+            const transport = new SSEServerTransport('/messages', res, { enableDnsRebindingProtection: true, ...allowed });
+            const server = await connectSession(transport);
+            sessions.set(transport.sessionId, { server, transport });
+            logInfo('Session initialized', { sessionId: transport.sessionId, sessions: sessions.size });
+            return;
+        }
+        if (req.method === 'POST' && url.pathname === '/messages') {
+            const session = sessions.get(url.searchParams.get('sessionId'));
+            if (!session) {
+                sendRpcError(res, 404, 'Session not found');
+                return;
+            }
+            await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+            return;
+        }
+        sendJson(res, 404, { error: 'Not found' });
+    };
+    const httpServer = http.createServer(async (req, res) => {
+        try {
+            const url = parseRequestUrl(req);
+            if (!url) {
+                logWarn(`Rejected ${req.method} ${req.url}: invalid URL or Host header`);
+                sendRpcError(res, 400, 'Invalid request URL or Host header');
+                return;
+            }
+            // Checked for every path, /health included; the session transports check again
+            const rejection = checkRequestHeaders(req, allowed);
+            if (rejection) {
+                logWarn(`Rejected ${req.method} ${url.pathname}: ${rejection}`);
+                sendRpcError(res, 403, rejection);
+                return;
+            }
+            if (req.method === 'GET' && url.pathname === '/health') {
+                sendJson(res, 200, {
+                    status: 'ok',
+                    transport: kind,
+                    sessions: sessions.size,
+                    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+                });
+                return;
+            }
+            if (kind === 'sse') {
+                await handleSse(req, res, url);
+            }
+            else if (url.pathname === '/mcp') {
+                await handleStreamableHttp(req, res);
+            }
+            else {
+                sendJson(res, 404, { error: 'Not found' });
+            }
+        }
+        catch (error) {
+            logError(`Error handling ${req.method} ${req.url}`, error);
+            if (!res.headersSent) {
+                sendRpcError(res, error.statusCode || 500, error.statusCode ? error.message : 'Internal server error');
+            }
+        }
+    });
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, () => {
+            httpServer.off('error', reject);
+            resolve();
+        });
+    });
+    allowed = resolveAllowedHeaders(host, httpServer.address().port, { allowedHosts, allowedOrigins });
+    const endpoint = kind === 'sse' ? '/sse' : '/mcp';
+    logInfo(`Transport initialized: ${kind}, listening on http://${host}:${httpServer.address().port}${endpoint}`);
+    return {
+        address: httpServer.address(),
+        close: async () => {
+            // Stop accepting connections, then close every open session
+            const closed = new Promise(resolve => httpServer.close(() => resolve()));
+            await Promise.allSettled([...sessions.values()].map(({ transport }) => transport.close()));
+            sessions.clear();
+            httpServer.closeAllConnections?.();
+            await closed;
+        }
+    };
+}
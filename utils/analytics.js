@@ -0,0 +1,345 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { AsyncLocalStorage } from 'async_hooks';
+import { InvalidArgumentError, ReactBitsError } from './errors.js';
+import { getRequestId, logInfo, logWarn } from './logger.js';
+/**
+ * Opt-in, local-only usage recording: one JSON line per tool call, prompt or
+ * resource read, with the components it looked up, its latency and its outcome.
+ * Nothing is ever sent over the network; `usage_report` summarizes the file.
+ */
+/**
+ * Default usage file, under $XDG_STATE_HOME (or ~/.local/state)
+ */
+export const DEFAULT_USAGE_FILE = path.join(process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), 'react-bits-mcp', 'usage.jsonl');
+/**
+ * Recorded operations, and the request parameter naming what was used
+ */
+const RECORDED_OPERATIONS = {
+    call_tool: 'name',
+    get_prompt: 'name',
+    read_resource: 'uri'
+};
+const RELATIVE_TIME_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+let settings = { enabled: false, file: DEFAULT_USAGE_FILE };
+// Components looked up by the request being recorded
+const usageContext = new AsyncLocalStorage();
+// Appends are chained so that lines never interleave
+let pendingWrite = Promise.resolve();
+/**
+ * Resolve usage settings from explicit options and the environment
+ * @param options - Explicit options (from flags or the configuration file)
+ * @param options.enabled - Record usage
+ * @param options.file - Usage file
+ * @returns { enabled, file }
+ */
+export function resolveUsageOptions(options = {}) {
+    return {
+        enabled: options.enabled ?? ['1', 'true', 'on'].includes(process.env.REACT_BITS_USAGE),
+        file: path.resolve(options.file || process.env.REACT_BITS_USAGE_FILE || DEFAULT_USAGE_FILE)
+    };
+}
+/**
+ * Configure usage recording
+ * @param options - Options, see resolveUsageOptions
+ */
+export function configureUsage(options = {}) {
+    settings = resolveUsageOptions(options);
+    if (settings.enabled) {
+        logInfo(`Recording usage in ${settings.file}`);
+    }
+}
+/**
+ * Current usage settings
+ * @returns { enabled, file }
+ */
+export function getUsageSettings() {
+    return { ...settings };
+}
+/**
+ * Note a component looked up while handling the current request
+ * @param component - Component details
+ * @param component.name - Component name
+ * @param component.category - Component category
+ * @param component.variant - Code variant read, if any
+ */
+export function noteComponentUsage({ name, category, variant }) {
+    const store = usageContext.getStore();
+    if (!store) {
+        return;
+    }
+    let component = store.components.find(item => item.name === name && item.category === category);
+    if (!component) {
+        component = { name, category, variants: [] };
+        store.components.push(component);
+    }
+    if (variant && !component.variants.includes(variant)) {
+        component.variants.push(variant);
+    }
+}
+/**
+ * Run a function without recording the components it looks up, for work done on
+ * behalf of every request, such as building the search index
+ * @param fn - Function to run
+ * @returns The function's result
+ */
+export function withoutUsage(fn) {
+    return usageContext.exit(fn);
+}
+/**
+ * Error type and details of a failed request: a thrown error, or a tool error result
+ * @param error - Thrown error, if any
+ * @param result - Handler result, if any
+ * @returns { type, data }, or null when the request succeeded
+ */
+function describeFailure(error, result) {
+    if (error) {
+        return { type: error instanceof ReactBitsError ? error.code : 'Internal', data: error instanceof ReactBitsError ? error.data : {} };
+    }
+    if (result?.isError) {
+        const { type = 'Internal', ...data } = result.structuredContent?.error || {};
+        return { type, data };
+    }
+    return null;
+}
+/**
+ * Run a request handler, recording its usage when recording is enabled
+ * @param operation - Name of the operation (call_tool, get_prompt, read_resource, ...)
+ * @param params - Request parameters
+ * @param handler - Handler to run
+ * @returns Promise with the handler result
+ */
+export async function trackUsage(operation, params, handler) {
+    const nameParam = RECORDED_OPERATIONS[operation];
+    if (!settings.enabled || !nameParam) {
+        return handler();
+    }
+    const store = { components: [] };
+    const startedAt = Date.now();
+    let result;
+    let error;
+    try {
+        result = await usageContext.run(store, handler);
+        return result;
+    }
+    catch (caught) {
+        error = caught;
+        throw caught;
+    }
+    finally {
+        const failure = describeFailure(error, result);
+        recordUsage({
+            time: new Date(startedAt).toISOString(),
+            requestId: getRequestId(),
+            operation,
+            name: String(params?.[nameParam] ?? ''),
+            components: store.components,
+            latencyMs: Date.now() - startedAt,
+            outcome: failure ? 'error' : 'success',
+            ...(failure ? { error: failure.type } : {}),
+            ...(failure?.type === 'ComponentNotFound'
+                ? { lookup: { name: failure.data.componentName, suggestions: (failure.data.suggestions || []).map(suggestion => suggestion.name) } }
+                : {})
+        });
+    }
+}
+/**
+ * Append an entry to the usage file; failures are logged and never reach the client
+ * @param entry - Usage entry
+ */
+function recordUsage(entry) {
+    const { file } = settings;
+    pendingWrite = pendingWrite
+        .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    })
+        .catch(error => logWarn(`Cannot record usage in ${file}: ${error.message}`));
+}
+/**
+ * Parse a report bound: an ISO date or time, or a duration ago (30m, 24h, 7d, 4w)
+ * @param value - Bound as given
+ * @param param - Parameter name, for error messages
+ * @returns Date, or null when no bound is given
+ * @throws InvalidArgumentError for unparseable values
+ */
+export function parseTimeBound(value, param) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const relative = /^(\d+)\s*([mhdw])$/.exec(String(value).trim());
+    if (relative) {
+        return new Date(Date.now() - Number(relative[1]) * RELATIVE_TIME_UNITS[relative[2]]);
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new InvalidArgumentError(`Invalid ${param} '${value}': use an ISO date (2025-01-31) or a duration ago (30m, 24h, 7d, 4w)`, { data: { param } });
+    }
+    return new Date(time);
+}
+/**
+ * Read the usage entries recorded in a time range
+ * @param file - Usage file
+ * @param since - Earliest entry time, or null
+ * @param until - Latest entry time, or null
+ * @returns Promise with the entries; unreadable lines are skipped
+ */
+async function readEntries(file, since, until) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    const entries = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        }
+        catch {
+            continue;
+        }
+        const time = Date.parse(entry?.time);
+        if (Number.isNaN(time) || (since && time < since.getTime()) || (until && time > until.getTime())) {
+            continue;
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
+/**
+ * Share of failed requests
+ * @param errors - Failed requests
+ * @param total - All requests
+ * @returns Rate between 0 and 1, rounded to 3 decimals
+ */
+function errorRate(errors, total) {
+    return total > 0 ? Math.round((errors / total) * 1000) / 1000 : 0;
+}
+/**
+ * Summarize recorded usage: most used components, failed lookups (often misspelled
+ * names) and error rates per tool, prompt and resource
+ * @param options - Report options
+ * @param options.since - Earliest entry: ISO date or time, or a duration ago (7d)
+ * @param options.until - Latest entry, in the same formats
+ * @param options.top - Rows per ranking (default 10)
+ * @param options.file - Usage file (default: the configured one)
+ * @returns Promise with the report
+ * @throws InvalidArgumentError for unparseable bounds
+ */
+export async function summarizeUsage({ since, until, top = 10, file = settings.file } = {}) {
+    const sinceDate = parseTimeBound(since, 'since');
+    const untilDate = parseTimeBound(until, 'until');
+    // Include entries still being written
+    await pendingWrite;
+    const entries = await readEntries(file, sinceDate, untilDate);
+    const components = new Map();
+    const lookups = new Map();
+    const operations = new Map();
+    const errorTypes = new Map();
+    for (const entry of entries) {
+        const operationKey = `${entry.operation} ${entry.name}`;
+        const operation = operations.get(operationKey) || { operation: entry.operation, name: entry.name, requests: 0, errors: 0, latencies: [] };
+        operation.requests++;
+        operation.latencies.push(Number(entry.latencyMs) || 0);
+        operations.set(operationKey, operation);
+        if (entry.outcome === 'error') {
+            operation.errors++;
+            errorTypes.set(entry.error, (errorTypes.get(entry.error) || 0) + 1);
+        }
+        for (const component of entry.components || []) {
+            const key = `${component.category}/${component.name}`;
+            const summary = components.get(key) || { name: component.name, category: component.category, requests: 0, variants: {} };
+            summary.requests++;
+            (component.variants || []).forEach(variant => {
+                summary.variants[variant] = (summary.variants[variant] || 0) + 1;
+            });
+            components.set(key, summary);
+        }
+        if (entry.lookup?.name) {
+            const key = entry.lookup.name.toLowerCase();
+            const lookup = lookups.get(key) || { name: entry.lookup.name, count: 0, suggestions: [] };
+            lookup.count++;
+            (entry.lookup.suggestions || []).forEach(suggestion => {
+                if (!lookup.suggestions.includes(suggestion)) {
+                    lookup.suggestions.push(suggestion);
+                }
+            });
+            lookups.set(key, lookup);
+        }
+    }
+    const errors = entries.filter(entry => entry.outcome === 'error').length;
+    return {
+        file,
+        recording: settings.enabled,
+        since: sinceDate?.toISOString() ?? null,
+        until: untilDate?.toISOString() ?? null,
+        firstAt: entries[0]?.time ?? null,
+        lastAt: entries[entries.length - 1]?.time ?? null,
+        requests: entries.length,
+        errors,
+        errorRate: errorRate(errors, entries.length),
+        topComponents: [...components.values()]
+            .sort((a, b) => b.requests - a.requests || a.name.localeCompare(b.name))
+            .slice(0, top),
+        failedLookups: [...lookups.values()]
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+            .slice(0, top),
+        operations: [...operations.values()]
+            .map(({ latencies, ...operation }) => {
+            const sorted = latencies.sort((a, b) => a - b);
+            return {
+                ...operation,
+                errorRate: errorRate(operation.errors, operation.requests),
+                averageLatencyMs: Math.round(sorted.reduce((sum, latency) => sum + latency, 0) / sorted.length),
+                p95LatencyMs: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)]
+            };
+        })
+            .sort((a, b) => b.requests - a.requests || a.name.localeCompare(b.name)),
+        errorTypes: [...errorTypes.entries()]
+            .map(([type, count]) => ({ type, count }))
+            .sort((a, b) => b.count - a.count)
+    };
+}
+/**
+ * Format a usage report as markdown
+ * @param report - Report returned by summarizeUsage
+ * @returns Markdown text
+ */
+export function formatUsageReport(report) {
+    const range = report.since || report.until
+        ? `${report.since ?? 'the beginning'} to ${report.until ?? 'now'}`
+        : 'all recorded usage';
+    let output = `# Usage Report\n\n`;
+    output += `**Range:** ${range}\n`;
+    output += `**File:** ${report.file}\n`;
+    if (report.requests === 0) {
+        return `${output}\nNo usage recorded in this range.${report.recording ? '' : ' Usage is only recorded by servers started with --record-usage.'}\n`;
+    }
+    output += `**Requests:** ${report.requests}, ${report.errors} failed (${(report.errorRate * 100).toFixed(1)}%), from ${report.firstAt} to ${report.lastAt}\n`;
+    output += `\n## Top Components\n\n`;
+    if (report.topComponents.length === 0) {
+        output += `No component was looked up.\n`;
+    }
+    report.topComponents.forEach((component, index) => {
+        const variants = Object.entries(component.variants).sort((a, b) => b[1] - a[1]).map(([variant, count]) => `${variant} ×${count}`);
+        output += `${index + 1}. **${component.name}** (${component.category}): ${component.requests} request${component.requests === 1 ? '' : 's'}${variants.length > 0 ? ` — ${variants.join(', ')}` : ''}\n`;
+    });
+    if (report.failedLookups.length > 0) {
+        output += `\n## Failed Lookups\n\n`;
+        report.failedLookups.forEach(lookup => {
+            output += `- \`${lookup.name}\` ×${lookup.count}${lookup.suggestions.length > 0 ? ` — did you mean ${lookup.suggestions.join(', ')}?` : ''}\n`;
+        });
+    }
+    output += `\n## Error Rates\n\n`;
+    output += `| Operation | Name | Requests | Errors | Error rate | Avg latency | p95 latency |\n`;
+    output += `|-----------|------|----------|--------|------------|-------------|-------------|\n`;
+    report.operations.forEach(operation => {
+        output += `| ${operation.operation} | ${operation.name} | ${operation.requests} | ${operation.errors} | ${(operation.errorRate * 100).toFixed(1)}% | ${operation.averageLatencyMs} ms | ${operation.p95LatencyMs} ms |\n`;
+    });
+    if (report.errorTypes.length > 0) {
+        output += `\n**Errors by type:** ${report.errorTypes.map(({ type, count }) => `${type} ×${count}`).join(', ')}\n`;
+    }
+    return output;
+}
@@ -0,0 +1,141 @@
+import { getComponentDemo, getComponentFiles } from './file-reader.js';
+import { checkDependencies } from './dependencies.js';
+import { mapConcurrent } from './concurrency.js';
+import { getConfig } from './config.js';
+import { NotFoundError, ReactBitsError } from './errors.js';
+import { logWarn } from './logger.js';
+/**
+ * Default cap on the file contents returned by one bundle, in bytes
+ */
+export const DEFAULT_BUNDLE_MAX_BYTES = 512 * 1024;
+/**
+ * Most components fetched by one bundle
+ */
+export const MAX_BUNDLE_ITEMS = 20;
+/**
+ * Components fetched at the same time
+ */
+const BUNDLE_CONCURRENCY = 4;
+/**
+ * Size cap in effect: the requested one, never above the configured one
+ * @param maxBytes - Requested cap
+ * @returns Cap in bytes
+ */
+function resolveMaxBytes(maxBytes) {
+    const configured = getConfig().bundle?.maxBytes ?? DEFAULT_BUNDLE_MAX_BYTES;
+    return maxBytes ? Math.min(maxBytes, configured) : configured;
+}
+/**
+ * Describe an item failure for the report
+ * @param error - Error thrown while fetching the item
+ * @returns { type, message, ...data }
+ */
+function describeError(error) {
+    return {
+        type: error instanceof ReactBitsError ? error.code : 'Internal',
+        message: error instanceof Error ? error.message : String(error),
+        ...(error instanceof ReactBitsError ? error.data : {})
+    };
+}
+/**
+ * Fetch one bundle item: its variant files and, when asked, its demo
+ * @param item - Requested component
+ * @param includeDemo - Fetch the demo too
+ * @returns Promise with the item report; failures are reported, not thrown
+ */
+async function fetchItem(item, includeDemo) {
+    const { componentName, category, language, styling } = item;
+    try {
+        const component = await getComponentFiles(componentName, { category, language, styling });
+        if (component.files.length === 0) {
+            throw new NotFoundError(`Source files of ${component.name} (${component.variant}) are missing from the component source`);
+        }
+        // A missing demo does not fail the item
+        const demo = includeDemo
+            ? await getComponentDemo(component.name, { category: component.category }).catch(error => {
+                logWarn(`Demo of ${component.name} unavailable: ${error.message}`);
+                return null;
+            })
+            : null;
+        return {
+            requested: componentName,
+            status: 'ok',
+            name: component.name,
+            category: component.category,
+            variant: component.variant,
+            files: component.files.map(({ path, fileName, content }) => ({ path, fileName, content })),
+            demo,
+            demoOmitted: false
+        };
+    }
+    catch (error) {
+        return { requested: componentName, status: 'error', error: describeError(error) };
+    }
+}
+/**
+ * Fetch several components at once: source files of the requested variants, demos
+ * and the merged npm dependencies. Components are fetched concurrently; one failing
+ * does not fail the others. Returned files are capped in size: sources take
+ * precedence over demos, earlier components over later ones.
+ * @param items - Components as { componentName, category, language, styling }
+ * @param options - Bundle options
+ * @param options.language - Language for items that do not set one
+ * @param options.styling - Styling for items that do not set one
+ * @param options.includeDemos - Fetch demos (default true)
+ * @param options.maxBytes - Size cap, in bytes (at most the configured `bundle.maxBytes`)
+ * @param options.packageJsonPath - Project to check the dependencies against
+ * @param options.packageManager - Package manager for the install command
+ * @returns Promise with { maxBytes, totalBytes, components, dependencies, succeeded, omitted, failed }
+ */
+export async function getComponentsBundle(items, { language, styling, includeDemos = true, maxBytes, packageJsonPath, packageManager } = {}) {
+    const cap = resolveMaxBytes(maxBytes);
+    const components = await mapConcurrent(items, BUNDLE_CONCURRENCY, item => fetchItem({ language, styling, ...item }, includeDemos));
+    // Apply the size cap in request order: every source first, then demos
+    let totalBytes = 0;
+    for (const component of components.filter(item => item.status === 'ok')) {
+        const size = component.files.reduce((sum, file) => sum + Buffer.byteLength(file.content), 0);
+        if (totalBytes + size > cap) {
+            Object.assign(component, { status: 'omitted', files: [], demo: null, reason: `Over the ${cap}-byte bundle cap; fetch it with get_component` });
+            continue;
+        }
+        totalBytes += size;
+    }
+    for (const component of components.filter(item => item.status === 'ok' && item.demo)) {
+        const size = Buffer.byteLength(component.demo);
+        if (totalBytes + size > cap) {
+            Object.assign(component, { demo: null, demoOmitted: true });
+            continue;
+        }
+        totalBytes += size;
+    }
+    // Dependencies of every component found, including those omitted for size
+    const found = components.filter(component => component.status !== 'error');
+    const unique = [...new Map(found.map(component => [`${component.category}/${component.name}`, { name: component.name, category: component.category }])).values()];
+    let dependencies = null;
+    if (unique.length > 0) {
+        try {
+            const report = await checkDependencies(unique, { packageJsonPath, packageManager });
+            dependencies = {
+                packageJson: report.packageJson,
+                packageManager: report.packageManager,
+                packages: report.packages,
+                missing: report.missing,
+                conflicts: report.conflicts,
+                installCommand: report.installCommand
+            };
+        }
+        catch (error) {
+            logWarn(`Dependencies of the bundle unavailable: ${error.message}`);
+            dependencies = { error: describeError(error) };
+        }
+    }
+    return {
+        maxBytes: cap,
+        totalBytes,
+        components,
+        dependencies,
+        succeeded: components.filter(component => component.status === 'ok').length,
+        omitted: components.filter(component => component.status === 'omitted').length,
+        failed: components.filter(component => component.status === 'error').length
+    };
+}
@@ -0,0 +1,220 @@
+import { ReactBitsError, SourceUnavailableError } from './errors.js';
+import { logInfo, logWarn } from './logger.js';
+/**
+ * Circuit breakers guarding each backend separately, so that a flaky network
+ * source cannot disable local lookups: after `failureThreshold` consecutive
+ * failures a breaker opens and rejects calls at once; after `resetTimeout` it
+ * lets one probe through (half-open) and closes again when the probe succeeds.
+ */
+/**
+ * Names of the breakers, one per backend
+ */
+export const BREAKER_NAMES = ['filesystem', 'github', 'cache'];
+/**
+ * Default settings per breaker. Durations are in milliseconds; a `timeout` of 0 disables it.
+ */
+export const DEFAULT_BREAKER_OPTIONS = {
+    filesystem: { failureThreshold: 5, resetTimeout: 10000, timeout: 5000, retries: 0, retryDelay: 50 },
+    github: { failureThreshold: 5, resetTimeout: 30000, timeout: 15000, retries: 2, retryDelay: 250 },
+    cache: { failureThreshold: 3, resetTimeout: 60000, timeout: 5000, retries: 0, retryDelay: 50 }
+};
+/**
+ * Whether an error says the backend is unhealthy, and may go away on retry. Errors
+ * about the request itself (not found, invalid argument) mean the backend answered.
+ * @param error - Error thrown by the guarded call
+ * @returns True when the error counts as a failure
+ */
+function isFailure(error) {
+    return !(error instanceof ReactBitsError) || error instanceof SourceUnavailableError;
+}
+/**
+ * Wait before a retry: exponential backoff with jitter, so concurrent callers do not retry in step
+ * @param baseDelay - Delay before the first retry, in milliseconds
+ * @param attempt - Number of the retry, from 0
+ * @returns Promise resolved after the delay
+ */
+function backoff(baseDelay, attempt) {
+    const delay = baseDelay * 2 ** attempt;
+    return new Promise(resolve => setTimeout(resolve, Math.round(delay / 2 + Math.random() * delay / 2)));
+}
+/**
+ * Circuit breaker guarding one backend
+ */
+export class CircuitBreaker {
+    /**
+     * @param name - Breaker name, used in messages and metrics
+     * @param options - Breaker settings
+     * @param options.failureThreshold - Consecutive failures that open the breaker
+     * @param options.resetTimeout - Time the breaker stays open before a probe is let through, in milliseconds
+     * @param options.timeout - Time a call may take, in milliseconds (0: no limit)
+     * @param options.retries - Extra attempts after a transient failure
+     * @param options.retryDelay - Delay before the first retry, in milliseconds; doubled for each further one
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...DEFAULT_BREAKER_OPTIONS.filesystem, ...options };
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.probing = false;
+        this.metrics = { calls: 0, successes: 0, failures: 0, timeouts: 0, retries: 0, rejected: 0, totalLatency: 0, lastFailure: null, lastSuccessAt: null };
+    }
+    /**
+     * Change the settings; the current state is kept
+     * @param options - Settings to override
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+    /**
+     * Run a call through the breaker
+     * @param fn - Call to guard; receives an AbortSignal that fires when the call times out
+     * @returns Promise with the call's result
+     * @throws SourceUnavailableError when the breaker is open or the call times out; otherwise the call's own error
+     */
+    async execute(fn) {
+        this.metrics.calls++;
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.options.resetTimeout) {
+                this.metrics.rejected++;
+                throw this.openError();
+            }
+            this.state = 'half-open';
+            logInfo(`Circuit breaker ${this.name} half-open, probing`);
+        }
+        const probe = this.state === 'half-open';
+        if (probe) {
+            if (this.probing) {
+                this.metrics.rejected++;
+                throw this.openError();
+            }
+            this.probing = true;
+        }
+        try {
+            // A probe gets a single attempt
+            const attempts = probe ? 1 : this.options.retries + 1;
+            for (let attempt = 0;; attempt++) {
+                const startedAt = Date.now();
+                try {
+                    const result = await this.withTimeout(fn);
+                    this.onSuccess(Date.now() - startedAt);
+                    return result;
+                }
+                catch (error) {
+                    if (!isFailure(error)) {
+                        // The backend answered: this is the caller's problem, not an outage
+                        this.onSuccess(Date.now() - startedAt);
+                        throw error;
+                    }
+                    if (attempt + 1 >= attempts) {
+                        this.onFailure(error);
+                        throw error;
+                    }
+                    this.metrics.retries++;
+                    await backoff(this.options.retryDelay, attempt);
+                }
+            }
+        }
+        finally {
+            if (probe) {
+                this.probing = false;
+            }
+        }
+    }
+    /**
+     * Run a call with the configured timeout
+     * @param fn - Call to run
+     * @returns Promise with the call's result
+     * @throws SourceUnavailableError when the timeout elapses first
+     */
+    async withTimeout(fn) {
+        const controller = new AbortController();
+        if (!this.options.timeout) {
+            return fn(controller.signal);
+        }
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                this.metrics.timeouts++;
+                controller.abort();
+                reject(new SourceUnavailableError(`${this.name} call timed out after ${this.options.timeout} ms`, { data: { breaker: this.name } }));
+            }, this.options.timeout);
+        });
+        try {
+            return await Promise.race([Promise.resolve().then(() => fn(controller.signal)), timeout]);
+        }
+        finally {
+            clearTimeout(timer);
+        }
+    }
+    /**
+     * Record a successful call, closing the breaker
+     * @param latency - Duration of the call, in milliseconds
+     */
+    onSuccess(latency) {
+        this.metrics.successes++;
+        this.metrics.totalLatency += latency;
+        this.metrics.lastSuccessAt = new Date().toISOString();
+        this.consecutiveFailures = 0;
+        if (this.state !== 'closed') {
+            logInfo(`Circuit breaker ${this.name} closed`);
+            this.state = 'closed';
+            this.openedAt = null;
+        }
+    }
+    /**
+     * Record a failed call, opening the breaker once the threshold is reached
+     * @param error - Error thrown by the call
+     */
+    onFailure(error) {
+        this.metrics.failures++;
+        this.metrics.lastFailure = { message: error instanceof Error ? error.message : String(error), at: new Date().toISOString() };
+        this.consecutiveFailures++;
+        if (this.state === 'half-open' || this.consecutiveFailures >= this.options.failureThreshold) {
+            if (this.state !== 'open') {
+                logWarn(`Circuit breaker ${this.name} opened after ${this.consecutiveFailures} consecutive failure${this.consecutiveFailures === 1 ? '' : 's'}: ${this.metrics.lastFailure.message}`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+    /**
+     * Error thrown while the breaker rejects calls
+     * @returns SourceUnavailableError naming the breaker and when it will probe again
+     */
+    openError() {
+        const retryAt = new Date((this.openedAt ?? Date.now()) + this.options.resetTimeout);
+        return new SourceUnavailableError(`The ${this.name} backend is unavailable (circuit open after repeated failures); retrying after ${retryAt.toISOString()}`, {
+            data: { breaker: this.name, retryAt: retryAt.toISOString() }
+        });
+    }
+    /**
+     * Describe the breaker for status reports
+     * @returns { name, state, consecutiveFailures, openedAt, retryAt, options, metrics }
+     */
+    status() {
+        const { totalLatency, ...metrics } = this.metrics;
+        return {
+            name: this.name,
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.options.resetTimeout).toISOString() : null,
+            options: { ...this.options },
+            metrics: { ...metrics, averageLatencyMs: metrics.successes > 0 ? Math.round(totalLatency / metrics.successes) : null }
+        };
+    }
+}
+/**
+ * Shared breakers, one per backend
+ */
+export const circuitBreakers = Object.fromEntries(BREAKER_NAMES.map(name => [name, new CircuitBreaker(name, DEFAULT_BREAKER_OPTIONS[name])]));
+/**
+ * Override the settings of the shared breakers
+ * @param options - Settings keyed by breaker name
+ */
+export function configureCircuitBreakers(options = {}) {
+    for (const [name, breakerOptions] of Object.entries(options)) {
+        circuitBreakers[name]?.configure(breakerOptions);
+    }
+}
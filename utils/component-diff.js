@@ -0,0 +1,212 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getComponentFiles } from './file-reader.js';
+import { getRegistryAt } from './registry.js';
+import { unifiedDiff } from './diff.js';
+import { ComponentNotFoundError, InvalidArgumentError, NotFoundError, RateLimitedError, SourceUnavailableError } from './errors.js';
+import { getConfig } from './config.js';
+import { resolveInsideRoots } from './validation.js';
+import { logWarn } from './logger.js';
+/**
+ * Read a component at an upstream ref
+ * @param componentName - Component name
+ * @param options - Lookup options, see getComponentFiles
+ * @returns Promise with the component files, or null when the component or variant does not exist at that ref
+ */
+async function readUpstream(componentName, options) {
+    try {
+        return await getComponentFiles(componentName, options);
+    }
+    catch (error) {
+        if (error instanceof ComponentNotFoundError || (error instanceof InvalidArgumentError && error.data?.availableVariants)) {
+            return null;
+        }
+        throw error;
+    }
+}
+/**
+ * Extensions of the files read from a vendored copy
+ */
+const LOCAL_EXTENSIONS = ['.jsx', '.tsx', '.js', '.css'];
+/**
+ * Largest vendored file read, in bytes
+ */
+const MAX_LOCAL_FILE_BYTES = 256 * 1024;
+/**
+ * Whether a file belongs to a vendored component: `<Name>.jsx`, `.tsx`, `.js` or `.css`
+ * @param fileName - File name
+ * @param componentName - Component name
+ * @returns True for the component's own source and stylesheet
+ */
+function isComponentFile(fileName, componentName) {
+    const extension = path.extname(fileName);
+    return LOCAL_EXTENSIONS.includes(extension) && path.basename(fileName, extension).toLowerCase() === componentName.toLowerCase();
+}
+/**
+ * Read one vendored file, refusing oversized ones
+ * @param filePath - Absolute path
+ * @param size - File size, in bytes
+ * @returns Promise with the content
+ * @throws InvalidArgumentError when the file is over the size cap
+ */
+async function readLocalFile(filePath, size) {
+    if (size > MAX_LOCAL_FILE_BYTES) {
+        throw new InvalidArgumentError(`${filePath} is larger than ${MAX_LOCAL_FILE_BYTES} bytes`, { data: { localPath: filePath } });
+    }
+    return fs.readFile(filePath, 'utf8');
+}
+/**
+ * Read a vendored copy of a component. The path must be inside a configured project
+ * root (the working directory when none is configured), and only the component's own
+ * `.jsx`, `.tsx`, `.js` and `.css` files are read.
+ * @param localPath - Entry file, or directory holding the component's files
+ * @param componentName - Requested component name, matched against the file names
+ * @returns Promise with { root, directory, files } where files maps file names to contents
+ * @throws InvalidArgumentError when the path is outside the project roots or is not a component file
+ * @throws NotFoundError when the path does not exist
+ */
+async function readLocal(localPath, componentName) {
+    const roots = getConfig().projectRoots || [process.cwd()];
+    const root = resolveInsideRoots(roots, localPath, 'localPath');
+    // Symbolic links must not lead out of the roots either
+    const real = await fs.realpath(root).catch(() => null);
+    if (!real) {
+        throw new NotFoundError(`Local path not found: ${root}`);
+    }
+    resolveInsideRoots(await Promise.all(roots.map(dir => fs.realpath(dir).catch(() => path.resolve(dir)))), real, 'localPath');
+    const stats = await fs.stat(real);
+    if (!stats.isDirectory()) {
+        if (!stats.isFile() || !isComponentFile(root, componentName)) {
+            throw new InvalidArgumentError(`localPath must be a ${componentName}${LOCAL_EXTENSIONS.join('/')} file or its directory: ${root}`, { data: { localPath } });
+        }
+        return { root, directory: false, files: { [path.basename(root)]: await readLocalFile(real, stats.size) } };
+    }
+    const files = {};
+    for (const dirent of await fs.readdir(real, { withFileTypes: true })) {
+        if (dirent.isFile() && isComponentFile(dirent.name, componentName)) {
+            const filePath = path.join(real, dirent.name);
+            files[dirent.name] = await readLocalFile(filePath, (await fs.stat(filePath)).size);
+        }
+    }
+    if (Object.keys(files).length === 0) {
+        throw new InvalidArgumentError(`No ${componentName}${LOCAL_EXTENSIONS.join('/')} file in ${root}`, { data: { localPath } });
+    }
+    return { root, directory: true, files };
+}
+/**
+ * Guess the variant of a vendored copy from its files
+ * @param local - Vendored copy, see readLocal
+ * @returns { language, styling }, either of which may be undefined
+ */
+function detectLocalVariant(local) {
+    const names = Object.keys(local.files);
+    const entry = names.find(name => /\.[jt]sx$/.test(name));
+    if (!entry) {
+        return {};
+    }
+    const importsCss = /^import\s+['"]\.\/[^'"]+\.css['"]/m.test(local.files[entry]);
+    return {
+        language: entry.endsWith('.tsx') ? 'ts' : 'js',
+        styling: importsCss || names.some(name => name.endsWith('.css')) ? 'css' : 'tailwind'
+    };
+}
+/**
+ * Commits between two refs that touched a component, when the source can tell
+ * @param from - Older ref
+ * @param to - Newer ref (default: the configured one)
+ * @param directory - Repository-relative directory of the component variant
+ * @returns Promise with the commits, or null when unavailable (offline, rate limited)
+ */
+async function readChangelog(from, to, directory) {
+    const { source } = getRegistryAt(to);
+    const upstream = source.source || source;
+    if (source.offline || typeof upstream.listCommits !== 'function') {
+        return null;
+    }
+    try {
+        return await upstream.listCommits(from, upstream.ref, directory);
+    }
+    catch (error) {
+        if (error instanceof SourceUnavailableError || error instanceof RateLimitedError) {
+            logWarn(`Changelog of ${directory} unavailable: ${error.message}`);
+            return null;
+        }
+        throw error;
+    }
+}
+/**
+ * Compare a component between two upstream refs, or between a vendored copy and upstream.
+ * Both sides use the same code variant so that files line up; a component or file missing
+ * on one side shows as added or removed.
+ * @param componentName - Component name (case-insensitive)
+ * @param options - Diff options
+ * @param options.category - Category used to disambiguate
+ * @param options.language - Language of the variant to compare (default: detected from the vendored copy)
+ * @param options.styling - Styling of the variant to compare (default: detected from the vendored copy)
+ * @param options.from - Older branch, tag or commit
+ * @param options.to - Newer branch, tag or commit (default: the configured source)
+ * @param options.localPath - Vendored entry file or directory, compared with upstream instead of `from`; see readLocal
+ * @param options.context - Unchanged lines around each change (default 3)
+ * @returns Promise with { name, category, variant, from, to, changed, files, localOnly, changelog }
+ * @throws InvalidArgumentError unless exactly one of `from` and `localPath` is given
+ */
+export async function diffComponent(componentName, { category, language, styling, from, to, localPath, context = 3 } = {}) {
+    if (Boolean(from) === Boolean(localPath)) {
+        throw new InvalidArgumentError('Specify either `from` (a ref to compare with `to`) or `localPath` (a vendored copy to compare with upstream)');
+    }
+    const local = localPath ? await readLocal(localPath, componentName) : null;
+    const detected = local ? detectLocalVariant(local) : {};
+    const variantOptions = { category, language, styling };
+    // The detected variant is only a preference: fall back to the default one when upstream lacks it
+    const newer = (detected.language && await readUpstream(componentName, { category, language: language || detected.language, styling: styling || detected.styling, ref: to })) ||
+        await readUpstream(componentName, { ...variantOptions, ref: to });
+    // Read the older side in the variant picked for the newer one so that files line up
+    const older = from
+        ? await readUpstream(componentName, { ...variantOptions, ...(newer ? { category: newer.category, language: newer.language, styling: newer.styling } : {}), ref: from })
+        : null;
+    const reference = newer || older;
+    if (!reference) {
+        // Missing on both sides: surface the lookup error, with its suggestions
+        await getComponentFiles(componentName, { ...variantOptions, ref: to });
+    }
+    const newFiles = Object.fromEntries((newer?.files || []).map(file => [file.fileName, file]));
+    let oldFiles;
+    let localOnly = [];
+    if (local) {
+        const entryFile = newer?.files[0];
+        oldFiles = local.directory
+            ? Object.fromEntries(Object.entries(local.files).map(([fileName, content]) => [fileName, { path: path.join(local.root, fileName), content }]))
+            : entryFile ? { [entryFile.fileName]: { path: local.root, content: Object.values(local.files)[0] } } : {};
+        localOnly = local.directory ? Object.keys(local.files).filter(fileName => !newFiles[fileName]).map(fileName => path.join(local.root, fileName)) : [];
+        oldFiles = Object.fromEntries(Object.entries(oldFiles).filter(([fileName]) => newFiles[fileName]));
+    }
+    else {
+        oldFiles = Object.fromEntries((older?.files || []).map(file => [file.fileName, file]));
+    }
+    const files = [...new Set([...Object.keys(newFiles), ...Object.keys(oldFiles)])].map(fileName => {
+        const oldFile = oldFiles[fileName];
+        const newFile = newFiles[fileName];
+        const filePath = (newFile || oldFile).path;
+        const diff = unifiedDiff(oldFile?.content ?? null, newFile?.content ?? null, {
+            oldPath: local ? oldFile?.path : `a/${filePath}`,
+            newPath: `b/${filePath}`,
+            context
+        });
+        const status = !oldFile ? 'added' : !newFile ? 'removed' : diff ? 'modified' : 'unchanged';
+        return { path: local ? oldFile?.path || filePath : filePath, status, diff };
+    });
+    const changelog = from && reference
+        ? await readChangelog(from, to, path.posix.dirname(reference.files[0]?.path || ''))
+        : null;
+    return {
+        name: reference.name,
+        category: reference.category,
+        variant: reference.variant,
+        from: local ? { path: local.root } : { ref: from },
+        to: { ref: to || null },
+        changed: files.some(file => file.status !== 'unchanged'),
+        files,
+        localOnly,
+        changelog
+    };
+}
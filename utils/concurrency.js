@@ -0,0 +1,19 @@
+/**
+ * Map over items with at most `limit` promises in flight, preserving order
+ * @param items - Items to map
+ * @param limit - Maximum number of concurrent calls
+ * @param mapper - Async function called with (item, index)
+ * @returns Promise with the mapped results
+ */
+export async function mapConcurrent(items, limit, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
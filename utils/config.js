@@ -0,0 +1,191 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { z } from 'zod';
+import { GIT_REF_PATTERN, LANGUAGES, STYLINGS } from './constants.js';
+import { sourceTypes } from './sources/index.js';
+import { TRANSPORTS } from '../transports.js';
+import { BREAKER_NAMES } from './circuit-breaker.js';
+import { LOG_FORMATS, LOG_LEVELS } from './logger.js';
+import { InvalidArgumentError } from './errors.js';
+/**
+ * Name of the configuration file looked up from the working directory
+ */
+export const CONFIG_FILE_NAME = 'react-bits-mcp.config.json';
+/**
+ * package.json key holding the configuration when there is no configuration file
+ */
+export const PACKAGE_JSON_KEY = 'reactBitsMcp';
+/**
+ * Settings of one circuit breaker, see utils/circuit-breaker.js
+ */
+const breakerSchema = z.object({
+    failureThreshold: z.number().int().min(1).optional().describe('Consecutive failures that open the breaker'),
+    resetTimeout: z.number().int().nonnegative().optional().describe('Milliseconds the breaker stays open before a probe call'),
+    timeout: z.number().int().nonnegative().optional().describe('Milliseconds a call may take (0: no limit)'),
+    retries: z.number().int().min(0).max(10).optional().describe('Extra attempts after a transient failure'),
+    retryDelay: z.number().int().nonnegative().optional().describe('Milliseconds before the first retry, doubled for each further one')
+}).strict();
+/**
+ * Schema of the configuration file. Unknown keys are rejected so typos surface at startup.
+ */
+export const configSchema = z.object({
+    $schema: z.string().optional(),
+    language: z.enum(LANGUAGES).optional().describe('Variant language used when a request does not specify one'),
+    styling: z.enum(STYLINGS).optional().describe('Variant styling used when a request does not specify one'),
+    componentsDir: z.string().min(1).optional().describe('Directory components are installed into, relative to the project root'),
+    projectRoots: z.array(z.string().min(1)).min(1).optional().describe('Directories holding the projects the server may install components into and read vendored copies from'),
+    source: z.object({
+        type: z.enum(Object.keys(sourceTypes)).optional(),
+        dir: z.string().min(1).optional().describe('Local React Bits checkout'),
+        snapshot: z.string().min(1).optional().describe('Snapshot JSON file'),
+        repo: z.string().regex(/^[\w.-]+\/[\w.-]+$/, 'Expected owner/repo').optional(),
+        ref: z.string().regex(GIT_REF_PATTERN, 'Invalid git ref').optional()
+    }).strict().optional(),
+    cache: z.object({
+        enabled: z.boolean().optional(),
+        dir: z.string().min(1).optional(),
+        ttl: z.number().int().nonnegative().optional().describe('Time to live of cached files, in seconds'),
+        offline: z.boolean().optional()
+    }).strict().optional(),
+    transport: z.object({
+        type: z.enum(TRANSPORTS).optional(),
+        host: z.string().min(1).optional(),
+        port: z.number().int().min(0).max(65535).optional(),
+        allowedHosts: z.array(z.string().min(1)).optional().describe('Host header values accepted besides the bound host and localhost'),
+        allowedOrigins: z.array(z.string().min(1)).optional().describe('Origin header values of browser clients accepted besides the allowed hosts')
+    }).strict().optional(),
+    tools: z.object({
+        enabled: z.array(z.string()).optional().describe('Only expose these tools'),
+        disabled: z.array(z.string()).optional().describe('Hide these tools')
+    }).strict().optional(),
+    logging: z.object({
+        level: z.enum(LOG_LEVELS).optional().describe('Least severe level logged'),
+        format: z.enum(LOG_FORMATS).optional().describe('text or json'),
+        file: z.string().min(1).optional().describe('Append logs to this file instead of stderr')
+    }).strict().optional(),
+    bundle: z.object({
+        maxBytes: z.number().int().positive().optional().describe('Cap on the file contents returned by get_components_bundle, in bytes')
+    }).strict().optional(),
+    usage: z.object({
+        enabled: z.boolean().optional().describe('Record tool calls locally for usage_report'),
+        file: z.string().min(1).optional().describe('Usage file (JSON lines)')
+    }).strict().optional(),
+    breakers: z.object(Object.fromEntries(BREAKER_NAMES.map(name => [name, breakerSchema.optional()]))).strict().optional()
+}).strict();
+let activeConfig = {};
+/**
+ * Read a JSON file
+ * @param file - Absolute path
+ * @returns Promise with the parsed content, or undefined when the file does not exist
+ * @throws InvalidArgumentError when the file cannot be read or parsed
+ */
+async function readJson(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    }
+    catch (error) {
+        if (error.code === 'ENOENT') {
+            return undefined;
+        }
+        throw new InvalidArgumentError(`Cannot read ${file}: ${error.message}`, { data: { configPath: file } });
+    }
+    try {
+        return JSON.parse(content);
+    }
+    catch (error) {
+        throw new InvalidArgumentError(`Cannot parse ${file}: ${error.message}`, { data: { configPath: file } });
+    }
+}
+/**
+ * Find the configuration of a directory or of its closest ancestor: a
+ * react-bits-mcp.config.json file, or the reactBitsMcp key of a package.json
+ * @param cwd - Directory to start from
+ * @returns Promise with { path, dir, raw }, or null when there is no configuration
+ */
+async function discoverConfig(cwd) {
+    let dir = path.resolve(cwd);
+    while (true) {
+        const configFile = path.join(dir, CONFIG_FILE_NAME);
+        const raw = await readJson(configFile);
+        if (raw !== undefined) {
+            return { path: configFile, dir, raw };
+        }
+        const packageFile = path.join(dir, 'package.json');
+        // A broken package.json is not ours to report
+        const packageJson = await readJson(packageFile).catch(() => undefined);
+        if (packageJson && packageJson[PACKAGE_JSON_KEY] !== undefined) {
+            return { path: `${packageFile}#${PACKAGE_JSON_KEY}`, dir, raw: packageJson[PACKAGE_JSON_KEY] };
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            return null;
+        }
+        dir = parent;
+    }
+}
+/**
+ * Load and validate the configuration. Paths in the file are resolved against
+ * its directory, except componentsDir which is relative to the project root.
+ * @param options - Load options
+ * @param options.file - Explicit configuration file; discovery is skipped
+ * @param options.cwd - Directory discovery starts from (default: the working directory)
+ * @returns Promise with { path, config }; path is null and config empty when nothing was found
+ * @throws InvalidArgumentError listing every invalid setting
+ */
+export async function loadConfig({ file, cwd = process.cwd() } = {}) {
+    let found;
+    if (file) {
+        const configFile = path.resolve(cwd, file);
+        const raw = await readJson(configFile);
+        if (raw === undefined) {
+            throw new InvalidArgumentError(`Configuration file not found: ${configFile}`, { data: { configPath: configFile } });
+        }
+        found = { path: configFile, dir: path.dirname(configFile), raw };
+    }
+    else {
+        found = await discoverConfig(cwd);
+    }
+    if (!found) {
+        return { path: null, config: {} };
+    }
+    const parsed = configSchema.safeParse(found.raw);
+    if (!parsed.success) {
+        const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+        throw new InvalidArgumentError(`Invalid configuration in ${found.path}:\n${issues.map(issue => `  - ${issue}`).join('\n')}`, {
+            data: { configPath: found.path, issues }
+        });
+    }
+    const config = parsed.data;
+    const resolve = value => (value ? path.resolve(found.dir, value) : value);
+    if (config.projectRoots) {
+        config.projectRoots = config.projectRoots.map(resolve);
+    }
+    if (config.source) {
+        config.source = { ...config.source, dir: resolve(config.source.dir), snapshot: resolve(config.source.snapshot) };
+    }
+    if (config.cache) {
+        config.cache = { ...config.cache, dir: resolve(config.cache.dir) };
+    }
+    if (config.usage) {
+        config.usage = { ...config.usage, file: resolve(config.usage.file) };
+    }
+    if (config.logging) {
+        config.logging = { ...config.logging, file: resolve(config.logging.file) };
+    }
+    return { path: found.path, config };
+}
+/**
+ * Make a configuration the one consulted for defaults (variant, components directory)
+ * @param config - Validated configuration
+ */
+export function setConfig(config) {
+    activeConfig = config || {};
+}
+/**
+ * Get the active configuration
+ * @returns The configuration set with setConfig, or an empty one
+ */
+export function getConfig() {
+    return activeConfig;
+}
@@ -0,0 +1,37 @@
+/**
+ * Shared constants describing the React Bits repository layout
+ */
+/**
+ * Component categories, as used for directory names upstream
+ */
+export const CATEGORIES = ['Animations', 'Backgrounds', 'Components', 'TextAnimations'];
+/**
+ * Code variants shipped for every component, keyed by `<language>-<styling>`.
+ * `root` is the directory under `src/` that holds the variant upstream.
+ */
+export const VARIANTS = {
+    'js-css': { language: 'js', styling: 'css', root: 'content', extension: 'jsx' },
+    'js-tailwind': { language: 'js', styling: 'tailwind', root: 'tailwind', extension: 'jsx' },
+    'ts-css': { language: 'ts', styling: 'css', root: 'ts-default', extension: 'tsx' },
+    'ts-tailwind': { language: 'ts', styling: 'tailwind', root: 'ts-tailwind', extension: 'tsx' }
+};
+/**
+ * Variant returned when the caller does not ask for a specific one
+ */
+export const DEFAULT_VARIANT = 'js-css';
+/**
+ * Directories of the React Bits repository that the registry reads from
+ */
+export const SOURCE_ROOTS = ['src/content', 'src/tailwind', 'src/ts-default', 'src/ts-tailwind', 'src/demo', 'src/constants/code'];
+/**
+ * Source languages a variant can be written in
+ */
+export const LANGUAGES = ['js', 'ts'];
+/**
+ * Styling approaches a variant can use
+ */
+export const STYLINGS = ['css', 'tailwind'];
+/**
+ * Branch, tag and commit names accepted as upstream refs
+ */
+export const GIT_REF_PATTERN = /^(?!.*\.\.)[\w.-]+(?:\/[\w.-]+)*$/;
@@ -0,0 +1,346 @@
+/**
+ * Best-effort translation between plain CSS declarations and Tailwind utilities.
+ * Only simple, unambiguous declarations are mapped; callers report the rest.
+ */
+/**
+ * Declarations with a dedicated utility, keyed by `property:value`
+ */
+const EXACT_UTILITIES = {
+    'display:flex': 'flex',
+    'display:inline-flex': 'inline-flex',
+    'display:block': 'block',
+    'display:inline-block': 'inline-block',
+    'display:inline': 'inline',
+    'display:grid': 'grid',
+    'display:none': 'hidden',
+    'position:absolute': 'absolute',
+    'position:relative': 'relative',
+    'position:fixed': 'fixed',
+    'position:sticky': 'sticky',
+    'flex-direction:column': 'flex-col',
+    'flex-direction:row': 'flex-row',
+    'flex-wrap:wrap': 'flex-wrap',
+    'flex:1': 'flex-1',
+    'flex-shrink:0': 'shrink-0',
+    'justify-content:center': 'justify-center',
+    'justify-content:flex-start': 'justify-start',
+    'justify-content:flex-end': 'justify-end',
+    'justify-content:space-between': 'justify-between',
+    'justify-content:space-around': 'justify-around',
+    'align-items:center': 'items-center',
+    'align-items:flex-start': 'items-start',
+    'align-items:flex-end': 'items-end',
+    'align-items:stretch': 'items-stretch',
+    'width:100%': 'w-full',
+    'height:100%': 'h-full',
+    'width:100vw': 'w-screen',
+    'height:100vh': 'h-screen',
+    'width:auto': 'w-auto',
+    'height:auto': 'h-auto',
+    'margin:0 auto': 'mx-auto',
+    'overflow:hidden': 'overflow-hidden',
+    'overflow:auto': 'overflow-auto',
+    'overflow:visible': 'overflow-visible',
+    'pointer-events:none': 'pointer-events-none',
+    'pointer-events:auto': 'pointer-events-auto',
+    'cursor:pointer': 'cursor-pointer',
+    'cursor:none': 'cursor-none',
+    'cursor:default': 'cursor-default',
+    'user-select:none': 'select-none',
+    'text-align:center': 'text-center',
+    'text-align:left': 'text-left',
+    'text-align:right': 'text-right',
+    'font-weight:400': 'font-normal',
+    'font-weight:normal': 'font-normal',
+    'font-weight:500': 'font-medium',
+    'font-weight:600': 'font-semibold',
+    'font-weight:700': 'font-bold',
+    'font-weight:bold': 'font-bold',
+    'font-weight:900': 'font-black',
+    'white-space:nowrap': 'whitespace-nowrap',
+    'white-space:pre-wrap': 'whitespace-pre-wrap',
+    'border-radius:50%': 'rounded-full',
+    'border-radius:9999px': 'rounded-full',
+    'box-sizing:border-box': 'box-border',
+    'visibility:hidden': 'invisible',
+    'will-change:transform': 'will-change-transform',
+    'object-fit:cover': 'object-cover',
+    'object-fit:contain': 'object-contain',
+    'color:#fff': 'text-white',
+    'color:#ffffff': 'text-white',
+    'color:white': 'text-white',
+    'color:#000': 'text-black',
+    'color:#000000': 'text-black',
+    'color:black': 'text-black',
+    'background-color:transparent': 'bg-transparent',
+    'background:transparent': 'bg-transparent',
+    'background-color:#fff': 'bg-white',
+    'background-color:#000': 'bg-black',
+    'opacity:0': 'opacity-0',
+    'opacity:1': 'opacity-100'
+};
+/**
+ * Utilities translated back to declarations when they are not the inverse of an exact mapping
+ */
+const EXTRA_UTILITIES = {
+    'bg-white': [['background-color', '#fff']],
+    'bg-black': [['background-color', '#000']],
+    'rounded': [['border-radius', '0.25rem']],
+    'rounded-sm': [['border-radius', '0.125rem']],
+    'rounded-md': [['border-radius', '0.375rem']],
+    'rounded-lg': [['border-radius', '0.5rem']],
+    'rounded-xl': [['border-radius', '0.75rem']],
+    'rounded-2xl': [['border-radius', '1rem']],
+    'rounded-3xl': [['border-radius', '1.5rem']],
+    'rounded-none': [['border-radius', '0']],
+    'text-xs': [['font-size', '0.75rem'], ['line-height', '1rem']],
+    'text-sm': [['font-size', '0.875rem'], ['line-height', '1.25rem']],
+    'text-base': [['font-size', '1rem'], ['line-height', '1.5rem']],
+    'text-lg': [['font-size', '1.125rem'], ['line-height', '1.75rem']],
+    'text-xl': [['font-size', '1.25rem'], ['line-height', '1.75rem']],
+    'text-2xl': [['font-size', '1.5rem'], ['line-height', '2rem']],
+    'text-3xl': [['font-size', '1.875rem'], ['line-height', '2.25rem']],
+    'text-4xl': [['font-size', '2.25rem'], ['line-height', '2.5rem']],
+    'text-5xl': [['font-size', '3rem'], ['line-height', '1']],
+    'text-6xl': [['font-size', '3.75rem'], ['line-height', '1']],
+    'inset-0': [['inset', '0']],
+    'mx-auto': [['margin-left', 'auto'], ['margin-right', 'auto']],
+    'm-auto': [['margin', 'auto']]
+};
+/**
+ * Utility prefixes taking an arbitrary value (`w-[320px]`), keyed by CSS property
+ */
+const ARBITRARY_PREFIXES = {
+    'width': 'w',
+    'height': 'h',
+    'min-width': 'min-w',
+    'max-width': 'max-w',
+    'min-height': 'min-h',
+    'max-height': 'max-h',
+    'top': 'top',
+    'right': 'right',
+    'bottom': 'bottom',
+    'left': 'left',
+    'inset': 'inset',
+    'z-index': 'z',
+    'gap': 'gap',
+    'margin': 'm',
+    'margin-top': 'mt',
+    'margin-right': 'mr',
+    'margin-bottom': 'mb',
+    'margin-left': 'ml',
+    'padding': 'p',
+    'padding-top': 'pt',
+    'padding-right': 'pr',
+    'padding-bottom': 'pb',
+    'padding-left': 'pl',
+    'font-size': 'text',
+    'line-height': 'leading',
+    'letter-spacing': 'tracking',
+    'color': 'text',
+    'background-color': 'bg',
+    'border-radius': 'rounded',
+    'opacity': 'opacity',
+    'transition-duration': 'duration'
+};
+/**
+ * Properties on Tailwind's spacing scale (`p-4` = 1rem)
+ */
+const SPACING_PROPERTIES = new Set([
+    'width', 'height', 'top', 'right', 'bottom', 'left', 'inset', 'gap', 'margin', 'margin-top', 'margin-right',
+    'margin-bottom', 'margin-left', 'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left'
+]);
+/**
+ * Pseudo-classes with an equivalent Tailwind variant
+ */
+export const PSEUDO_VARIANTS = ['hover', 'focus', 'active'];
+const PREFIX_PROPERTIES = Object.entries(ARBITRARY_PREFIXES).reduce((acc, [property, prefix]) => {
+    (acc[prefix] = acc[prefix] || []).push(property);
+    return acc;
+}, {});
+const EXACT_DECLARATIONS = Object.entries(EXACT_UTILITIES).reduce((acc, [declaration, utility]) => {
+    if (!acc[utility]) {
+        const [property, ...value] = declaration.split(':');
+        acc[utility] = [[property, value.join(':')]];
+    }
+    return acc;
+}, {});
+/**
+ * Normalize a declaration value for lookups: collapse whitespace, drop spaces after commas
+ * @param value - CSS value
+ * @returns Normalized value
+ */
+function normalizeValue(value) {
+    return value.trim().replace(/\s+/g, ' ').replace(/\s*,\s*/g, ',').toLowerCase();
+}
+/**
+ * Whether a CSS value is a color
+ * @param value - Normalized value
+ * @returns True for hex, rgb(a), hsl(a) and `transparent`
+ */
+function isColor(value) {
+    return /^(#[0-9a-f]{3,8}|rgba?\(.*\)|hsla?\(.*\)|transparent|currentcolor)$/.test(value);
+}
+/**
+ * Translate a CSS declaration to a Tailwind utility
+ * @param property - CSS property
+ * @param value - CSS value
+ * @returns The utility, or null when there is no simple equivalent
+ */
+export function declarationToUtility(property, value) {
+    const name = property.trim().toLowerCase();
+    const normalized = normalizeValue(value);
+    if (/!important/.test(normalized)) {
+        return null;
+    }
+    if (EXACT_UTILITIES[`${name}:${normalized}`]) {
+        return EXACT_UTILITIES[`${name}:${normalized}`];
+    }
+    if (name.startsWith('--')) {
+        return /\s/.test(normalized) ? null : `[${name}:${value.trim()}]`;
+    }
+    if (name === 'background' && isColor(normalized)) {
+        return `bg-[${normalized}]`;
+    }
+    const prefix = ARBITRARY_PREFIXES[name];
+    if (!prefix || /\s/.test(normalized)) {
+        return null;
+    }
+    if (SPACING_PROPERTIES.has(name)) {
+        if (normalized === '0') {
+            return `${prefix}-0`;
+        }
+        if (normalized === '1px') {
+            return `${prefix}-px`;
+        }
+        const rem = normalized.match(/^(\d*\.?\d+)rem$/);
+        if (rem && Number.isInteger(Number(rem[1]) * 4)) {
+            return `${prefix}-${Number(rem[1]) * 4}`;
+        }
+    }
+    // `text-[...]` and `bg-[...]` are ambiguous for variables; give Tailwind the type
+    if (normalized.startsWith('var(')) {
+        if (name === 'font-size') {
+            return `${prefix}-[length:${normalized}]`;
+        }
+        if (name === 'color' || name === 'background-color') {
+            return `${prefix}-[color:${normalized}]`;
+        }
+    }
+    if (name === 'color' && !isColor(normalized)) {
+        return null;
+    }
+    return `${prefix}-[${normalized}]`;
+}
+/**
+ * Translate a Tailwind utility (without variant prefix) back to CSS declarations
+ * @param utility - Utility class
+ * @returns Array of [property, value], or null when it is not understood
+ */
+export function utilityToDeclarations(utility) {
+    if (EXTRA_UTILITIES[utility]) {
+        return EXTRA_UTILITIES[utility];
+    }
+    if (EXACT_DECLARATIONS[utility]) {
+        return EXACT_DECLARATIONS[utility];
+    }
+    let match = utility.match(/^\[(--[\w-]+|[a-z-]+):(.+)\]$/);
+    if (match) {
+        return [[match[1], match[2].replace(/_/g, ' ')]];
+    }
+    match = utility.match(/^(-?)([a-z-]+?)-(?:\[(?:(length|color):)?(.+)\]|(\d+(?:\.\d+)?|px|auto|full))$/);
+    if (!match) {
+        return null;
+    }
+    const [, negative, prefix, hint, arbitrary, scale] = match;
+    const properties = PREFIX_PROPERTIES[prefix];
+    if (!properties) {
+        return null;
+    }
+    let property = properties[0];
+    if (properties.length > 1) {
+        // text-* is a font size or a color, depending on the value
+        const value = arbitrary || '';
+        property = hint === 'color' || (!hint && isColor(value)) ? properties.find(name => name === 'color' || name === 'background-color') : properties[0];
+    }
+    let value;
+    if (arbitrary !== undefined) {
+        value = arbitrary.replace(/_/g, ' ');
+    }
+    else if (!SPACING_PROPERTIES.has(property) && property !== 'z-index' && property !== 'opacity') {
+        return null;
+    }
+    else if (scale === 'px') {
+        value = '1px';
+    }
+    else if (scale === 'auto') {
+        value = 'auto';
+    }
+    else if (scale === 'full') {
+        value = '100%';
+    }
+    else if (property === 'z-index') {
+        value = scale;
+    }
+    else if (property === 'opacity') {
+        value = String(Number(scale) / 100);
+    }
+    else {
+        value = Number(scale) === 0 ? '0' : `${Number(scale) / 4}rem`;
+    }
+    return [[property, negative ? `-${value}` : value]];
+}
+/**
+ * Split a stylesheet into top-level style rules and other blocks (at-rules, unparsable text)
+ * @param css - Stylesheet text
+ * @returns Array of { type: 'rule', selectors, declarations: [{ property, value }], text } or { type: 'other', text }
+ */
+export function parseCss(css) {
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    const blocks = [];
+    let i = 0;
+    while (i < text.length) {
+        const open = text.indexOf('{', i);
+        if (open === -1) {
+            if (text.slice(i).trim()) {
+                blocks.push({ type: 'other', text: text.slice(i).trim() });
+            }
+            break;
+        }
+        // Find the matching closing brace (at-rules nest blocks)
+        let depth = 0;
+        let close = open;
+        for (; close < text.length; close++) {
+            if (text[close] === '{') {
+                depth++;
+            }
+            else if (text[close] === '}' && --depth === 0) {
+                break;
+            }
+        }
+        const prelude = text.slice(i, open).trim();
+        const body = text.slice(open + 1, close);
+        const blockText = `${prelude} {${body}}`;
+        if (prelude.startsWith('@') || body.includes('{')) {
+            blocks.push({ type: 'other', text: blockText });
+        }
+        else {
+            const declarations = body.split(';').map(item => item.trim()).filter(Boolean).map(item => {
+                const colon = item.indexOf(':');
+                return { property: item.slice(0, colon).trim(), value: item.slice(colon + 1).trim() };
+            });
+            blocks.push({ type: 'rule', selectors: prelude.split(',').map(selector => selector.trim()), declarations, text: blockText });
+        }
+        i = close + 1;
+    }
+    return blocks;
+}
+/**
+ * Format a CSS rule
+ * @param selector - Selector
+ * @param declarations - Array of { property, value }
+ * @returns Rule text
+ */
+export function formatCssRule(selector, declarations) {
+    return `${selector} {\n${declarations.map(({ property, value }) => `  ${property}: ${value};`).join('\n')}\n}`;
+}
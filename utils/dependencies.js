@@ -0,0 +1,254 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getRegistry } from './registry.js';
+import { findComponent, getComponentMetadata } from './file-reader.js';
+import { mapConcurrent } from './concurrency.js';
+import { PEER_DEPENDENCIES } from './props-extractor.js';
+import { formatVersion, minVersion, rangesIntersect, satisfies } from './semver.js';
+import { InvalidArgumentError } from './errors.js';
+import { getConfig } from './config.js';
+import { resolveInsideRoots } from './validation.js';
+/**
+ * Package managers, their lockfiles and the command adding dependencies
+ */
+export const PACKAGE_MANAGERS = {
+    npm: { lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'], command: 'npm install' },
+    pnpm: { lockfiles: ['pnpm-lock.yaml'], command: 'pnpm add' },
+    yarn: { lockfiles: ['yarn.lock'], command: 'yarn add' },
+    bun: { lockfiles: ['bun.lockb', 'bun.lock'], command: 'bun add' }
+};
+/**
+ * Packages that must be installed next to another package without being imported
+ * by the component itself; missing ones only fail at runtime
+ */
+export const COMPANION_PACKAGES = {
+    '@react-three/fiber': ['three'],
+    '@react-three/drei': ['@react-three/fiber', 'three'],
+    '@react-three/postprocessing': ['@react-three/fiber', 'postprocessing', 'three'],
+    '@react-three/rapier': ['@react-three/fiber', 'three'],
+    '@gsap/react': ['gsap'],
+    'postprocessing': ['three'],
+    'motion': ['react-dom'],
+    'framer-motion': ['react-dom']
+};
+/**
+ * Read a package.json. The path must be inside a configured project root (the
+ * working directory when none is configured). Errors never quote the file content.
+ * @param packageJsonPath - Path to a package.json or to the directory containing it
+ * @returns Promise with { root, packageJson }
+ * @throws InvalidArgumentError when the path is outside the project roots, or the file cannot be read or parsed
+ */
+export async function readPackageJson(packageJsonPath) {
+    const roots = getConfig().projectRoots || [process.cwd()];
+    const resolved = resolveInsideRoots(roots, packageJsonPath, 'packageJsonPath');
+    const stats = await fs.stat(resolved).catch(() => null);
+    const file = stats?.isDirectory() ? path.join(resolved, 'package.json') : resolved;
+    if (path.basename(file) !== 'package.json') {
+        throw new InvalidArgumentError(`packageJsonPath must be a package.json or its directory: ${file}`, { data: { packageJsonPath: file } });
+    }
+    // Symbolic links must not lead out of the roots either
+    const real = await fs.realpath(file).catch(() => null);
+    if (!real) {
+        throw new InvalidArgumentError(`Cannot read ${file}`, { data: { packageJsonPath: file } });
+    }
+    resolveInsideRoots(await Promise.all(roots.map(dir => fs.realpath(dir).catch(() => path.resolve(dir)))), real, 'packageJsonPath');
+    const content = await fs.readFile(real, 'utf8').catch(() => null);
+    if (content === null) {
+        throw new InvalidArgumentError(`Cannot read ${file}`, { data: { packageJsonPath: file } });
+    }
+    try {
+        return { root: path.dirname(file), packageJson: JSON.parse(content) };
+    }
+    catch {
+        throw new InvalidArgumentError(`Cannot parse ${file}`, { data: { packageJsonPath: file } });
+    }
+}
+/**
+ * Work out which package manager a project uses, from the `packageManager` field, then the lockfile
+ * @param root - Project root
+ * @param packageJson - Parsed package.json
+ * @returns Promise with the package manager name (npm when unknown)
+ */
+export async function detectPackageManager(root, packageJson = {}) {
+    const declared = String(packageJson.packageManager || '').split('@')[0];
+    if (PACKAGE_MANAGERS[declared]) {
+        return declared;
+    }
+    for (const [name, manager] of Object.entries(PACKAGE_MANAGERS)) {
+        for (const lockfile of manager.lockfiles) {
+            if (await fs.access(path.join(root, lockfile)).then(() => true, () => false)) {
+                return name;
+            }
+        }
+    }
+    return 'npm';
+}
+/**
+ * Build the command installing packages with a package manager
+ * @param packageManager - npm, pnpm, yarn or bun
+ * @param packages - Package names, optionally with `@range` suffixes
+ * @returns The command, or null when there is nothing to install
+ */
+export function formatInstallCommand(packageManager, packages) {
+    if (packages.length === 0) {
+        return null;
+    }
+    // Ranges such as >=1 <2 need quoting in the shell
+    const args = packages.map(spec => (/[\s<>|*]/.test(spec) ? `"${spec}"` : spec));
+    return `${PACKAGE_MANAGERS[packageManager].command} ${args.join(' ')}`;
+}
+/**
+ * Version ranges the upstream React Bits repository builds against, read from its package.json
+ * @returns Promise with ranges keyed by package name (empty when the source has no package.json)
+ */
+export async function getUpstreamVersions() {
+    const registry = getRegistry();
+    return registry.memoize('upstream-versions', async () => {
+        const content = await registry.readFile('package.json');
+        if (!content) {
+            return {};
+        }
+        try {
+            const packageJson = JSON.parse(content);
+            return { ...packageJson.peerDependencies, ...packageJson.devDependencies, ...packageJson.dependencies };
+        }
+        catch {
+            return {};
+        }
+    });
+}
+/**
+ * Version of a package installed in node_modules
+ * @param root - Project root
+ * @param name - Package name
+ * @returns Promise with the version, or null when not installed
+ */
+async function installedVersion(root, name) {
+    try {
+        const content = await fs.readFile(path.join(root, 'node_modules', ...name.split('/'), 'package.json'), 'utf8');
+        return JSON.parse(content).version || null;
+    }
+    catch {
+        return null;
+    }
+}
+/**
+ * Compare what a project has with what a package requires
+ * @param required - Required range, or null when unknown
+ * @param declared - Range declared in the project's package.json, or null
+ * @param installed - Version found in node_modules, or null
+ * @returns 'missing', 'conflict', 'ok' or 'unknown' (range not comparable)
+ */
+function compareRequirement(required, declared, installed) {
+    if (!declared && !installed) {
+        return 'missing';
+    }
+    if (!required) {
+        return 'ok';
+    }
+    const compatible = installed ? satisfies(installed, required) : rangesIntersect(declared, required);
+    if (compatible === null) {
+        return 'unknown';
+    }
+    return compatible ? 'ok' : 'conflict';
+}
+/**
+ * Check one package against a project
+ * @param name - Package name
+ * @param project - Project to check against
+ * @param project.root - Project root, to find installed versions (null: none)
+ * @param project.declared - Ranges declared in the project's package.json, keyed by package name
+ * @param upstream - Ranges the upstream repository builds against, see getUpstreamVersions
+ * @returns Promise with { name, required, declared, installed, status }
+ */
+export async function checkPackage(name, { root, declared }, upstream) {
+    const required = upstream[name] || null;
+    const installed = root ? await installedVersion(root, name) : null;
+    return {
+        name,
+        required,
+        declared: declared[name] || null,
+        installed,
+        status: compareRequirement(required, declared[name] || null, installed)
+    };
+}
+/**
+ * Describe a package whose version does not satisfy the required range
+ * @param entry - Package checked with checkPackage
+ * @returns { name, required, found, minimum }
+ */
+export function describeConflict(entry) {
+    return {
+        name: entry.name,
+        required: entry.required,
+        found: entry.installed || entry.declared,
+        // Lowest version the components are known to work with
+        minimum: entry.required && minVersion(entry.required) ? formatVersion(minVersion(entry.required)) : null
+    };
+}
+/**
+ * Package to pass to the install command, with the required range when known
+ * @param entry - Package checked with checkPackage
+ * @returns Package spec, e.g. `gsap@^3.13.0`
+ */
+export function installSpec(entry) {
+    return entry.required ? `${entry.name}@${entry.required}` : entry.name;
+}
+/**
+ * Resolve the npm packages needed by a set of components and check them against a project
+ * @param componentNames - Component names (case-insensitive), or { name, category } when a category disambiguates
+ * @param options - Check options
+ * @param options.packageJsonPath - package.json (or its directory) of the project; without it every package is reported missing,
+ * except peer packages (React), reported as 'assumed' and left out of the install command
+ * @param options.packageManager - Force npm, pnpm, yarn or bun instead of detecting it
+ * @returns Promise with the components, per-package status and install command
+ */
+export async function checkDependencies(componentNames, { packageJsonPath, packageManager } = {}) {
+    const project = packageJsonPath ? await readPackageJson(packageJsonPath) : { root: null, packageJson: {} };
+    const declared = {
+        ...project.packageJson.peerDependencies,
+        ...project.packageJson.devDependencies,
+        ...project.packageJson.dependencies
+    };
+    const [upstream, components] = await Promise.all([
+        getUpstreamVersions(),
+        mapConcurrent([...new Set(componentNames)], 4, async (component) => {
+            const entry = typeof component === 'string' ? await findComponent(component) : await findComponent(component.name, component.category);
+            return getComponentMetadata(entry.name, { category: entry.category });
+        })
+    ]);
+    // package name -> { peer, requiredBy: Set }
+    const packages = new Map();
+    const addRequirement = (name, requiredBy, peer) => {
+        const existing = packages.get(name) || { peer, requiredBy: new Set() };
+        existing.peer = existing.peer && peer;
+        existing.requiredBy.add(requiredBy);
+        packages.set(name, existing);
+    };
+    for (const component of components) {
+        component.dependencies.forEach(name => addRequirement(name, component.name, false));
+        component.peerDependencies.forEach(name => addRequirement(name, component.name, true));
+    }
+    // Companion packages are needed at runtime even though no component imports them
+    for (const name of [...packages.keys()]) {
+        (COMPANION_PACKAGES[name] || []).forEach(companion => addRequirement(companion, name, PEER_DEPENDENCIES.includes(companion)));
+    }
+    const report = await Promise.all([...packages.entries()].sort(([a], [b]) => a.localeCompare(b)).map(async ([name, { peer, requiredBy }]) => {
+        const { required, declared: declaredRange, installed, status } = await checkPackage(name, { root: project.root, declared }, upstream);
+        // Without a project to check, assume React itself is already there
+        return { name, peer, requiredBy: [...requiredBy].sort(), required, declared: declaredRange, installed, status: !project.root && peer ? 'assumed' : status };
+    }));
+    const manager = packageManager || (project.root ? await detectPackageManager(project.root, project.packageJson) : 'npm');
+    const toInstall = report
+        .filter(entry => entry.status === 'missing' || entry.status === 'conflict')
+        .map(installSpec);
+    return {
+        components: components.map(component => ({ name: component.name, category: component.category })),
+        packageJson: project.root ? path.join(project.root, 'package.json') : null,
+        packageManager: manager,
+        packages: report,
+        missing: report.filter(entry => entry.status === 'missing').map(entry => entry.name),
+        conflicts: report.filter(entry => entry.status === 'conflict').map(describeConflict),
+        installCommand: formatInstallCommand(manager, toInstall)
+    };
+}
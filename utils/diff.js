@@ -0,0 +1,94 @@
+/**
+ * Line-based unified diffs
+ */
+/**
+ * Compute the edit script turning one list of lines into another (longest common subsequence)
+ * @param oldLines - Original lines
+ * @param newLines - Updated lines
+ * @returns Operations in order: { type: ' ' | '-' | '+', line }
+ */
+export function diffLines(oldLines, newLines) {
+    // Skip the common prefix and suffix, which is most of the file for small edits
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const operations = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            operations.push({ type: ' ', line: a[i] });
+            i++;
+            j++;
+        }
+        else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            operations.push({ type: '-', line: a[i] });
+            i++;
+        }
+        else {
+            operations.push({ type: '+', line: b[j] });
+            j++;
+        }
+    }
+    operations.push(...oldLines.slice(oldEnd).map(line => ({ type: ' ', line })));
+    return operations;
+}
+/**
+ * Render a unified diff between two texts
+ * @param oldText - Original text, or null when the file does not exist yet
+ * @param newText - Updated text, or null when the file is removed
+ * @param options - Diff options
+ * @param options.oldPath - Label of the original file
+ * @param options.newPath - Label of the updated file
+ * @param options.context - Unchanged lines shown around each change (default 3)
+ * @returns Unified diff, or an empty string when the texts are identical
+ */
+export function unifiedDiff(oldText, newText, { oldPath = 'a', newPath = 'b', context = 3 } = {}) {
+    if (oldText === newText) {
+        return '';
+    }
+    const split = (text) => (text === null || text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+    const operations = diffLines(split(oldText), split(newText));
+    // Group changes that are close together into hunks
+    const changed = operations.map((operation, index) => (operation.type !== ' ' ? index : -1)).filter(index => index !== -1);
+    const hunks = [];
+    for (const index of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= 2 * context) {
+            last.end = index;
+        }
+        else {
+            hunks.push({ start: index, end: index });
+        }
+    }
+    const lines = [`--- ${oldText === null ? '/dev/null' : oldPath}`, `+++ ${newText === null ? '/dev/null' : newPath}`];
+    for (const hunk of hunks) {
+        const from = Math.max(0, hunk.start - context);
+        const to = Math.min(operations.length, hunk.end + context + 1);
+        const before = operations.slice(0, from);
+        const body = operations.slice(from, to);
+        const oldStart = before.filter(operation => operation.type !== '+').length;
+        const newStart = before.filter(operation => operation.type !== '-').length;
+        const oldCount = body.filter(operation => operation.type !== '+').length;
+        const newCount = body.filter(operation => operation.type !== '-').length;
+        lines.push(`@@ -${oldCount === 0 ? oldStart : oldStart + 1},${oldCount} +${newCount === 0 ? newStart : newStart + 1},${newCount} @@`);
+        lines.push(...body.map(operation => `${operation.type}${operation.line}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,221 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { logError } from './logger.js';
+/**
+ * Default cache directory
+ */
+export const DEFAULT_CACHE_DIR = path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'react-bits-mcp');
+/**
+ * Default time to live of cached files, in seconds
+ */
+export const DEFAULT_CACHE_TTL = 24 * 60 * 60;
+const MANIFEST_VERSION = 1;
+/**
+ * Content-addressed disk cache.
+ *
+ * Contents are stored once under `objects/<hash[0:2]>/<hash>` (SHA-256). `manifest.json`
+ * maps each namespace (one per upstream source and ref) to its metadata and its
+ * entries: { key: { hash, fetchedAt, expiresAt } }. A null hash records that the
+ * upstream file does not exist, so offline lookups can tell "missing" from "not cached".
+ */
+export class DiskCache {
+    /**
+     * @param options - Cache options
+     * @param options.dir - Cache directory
+     * @param options.namespace - Namespace of this cache's entries, e.g. `github:owner/repo@ref`
+     */
+    constructor({ dir = DEFAULT_CACHE_DIR, namespace }) {
+        this.dir = path.resolve(dir);
+        this.namespace = namespace;
+        this.manifestPromise = null;
+        this.pendingSave = null;
+        this.lastSave = Promise.resolve();
+        this.tmpCounter = 0;
+    }
+    /**
+     * Load the manifest, starting a fresh one when it is missing or unreadable
+     * @returns Promise with the manifest
+     */
+    async loadManifest() {
+        if (!this.manifestPromise) {
+            this.manifestPromise = (async () => {
+                try {
+                    const manifest = JSON.parse(await fs.readFile(path.join(this.dir, 'manifest.json'), 'utf8'));
+                    if (manifest.version === MANIFEST_VERSION && manifest.namespaces) {
+                        return manifest;
+                    }
+                }
+                catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        logError(`Ignoring unreadable cache manifest in ${this.dir}`, error);
+                    }
+                }
+                return { version: MANIFEST_VERSION, namespaces: {} };
+            })();
+        }
+        return this.manifestPromise;
+    }
+    /**
+     * Get (creating it if needed) this cache's namespace in the manifest
+     * @returns Promise with { meta, entries }
+     */
+    async getNamespace() {
+        const manifest = await this.loadManifest();
+        if (!manifest.namespaces[this.namespace]) {
+            manifest.namespaces[this.namespace] = { meta: {}, entries: {} };
+        }
+        return manifest.namespaces[this.namespace];
+    }
+    /**
+     * Path of a content object
+     * @param hash - SHA-256 of the content
+     * @returns Absolute path
+     */
+    objectPath(hash) {
+        return path.join(this.dir, 'objects', hash.slice(0, 2), hash);
+    }
+    /**
+     * Write a file atomically (write to a temporary file, then rename)
+     * @param filePath - Destination
+     * @param content - File content
+     */
+    async writeAtomic(filePath, content) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.${this.tmpCounter++}.tmp`;
+        await fs.writeFile(tmpPath, content);
+        await fs.rename(tmpPath, filePath);
+    }
+    /**
+     * Save the manifest soon, coalescing the updates made in the meantime
+     * @returns Promise resolved once the manifest is written
+     */
+    scheduleSave() {
+        if (!this.pendingSave) {
+            const save = async () => {
+                // Let the updates of the current tick land first
+                await new Promise(resolve => setImmediate(resolve));
+                this.pendingSave = null;
+                const manifest = await this.loadManifest();
+                const manifestPath = path.join(this.dir, 'manifest.json');
+                // Other processes may share the directory: keep the namespaces they wrote
+                const onDisk = await fs.readFile(manifestPath, 'utf8').then(JSON.parse, () => null);
+                if (onDisk?.version === MANIFEST_VERSION && onDisk.namespaces) {
+                    for (const [name, namespace] of Object.entries(onDisk.namespaces)) {
+                        if (name !== this.namespace) {
+                            manifest.namespaces[name] = namespace;
+                        }
+                    }
+                }
+                await this.writeAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+            };
+            this.pendingSave = this.lastSave.then(save);
+            this.lastSave = this.pendingSave.catch(error => logError(`Cannot write cache manifest in ${this.dir}`, error));
+        }
+        return this.pendingSave;
+    }
+    /**
+     * Look up an entry
+     * @param key - Entry key
+     * @returns Promise with { content, fresh, fetchedAt }, or null when the key is not cached.
+     *   `content` is null when the upstream file is known not to exist.
+     */
+    async get(key) {
+        const { entries } = await this.getNamespace();
+        const entry = entries[key];
+        if (!entry) {
+            return null;
+        }
+        let content = null;
+        if (entry.hash) {
+            try {
+                content = await fs.readFile(this.objectPath(entry.hash), 'utf8');
+            }
+            catch {
+                // The object was deleted behind our back; treat the entry as not cached
+                return null;
+            }
+        }
+        return { content, fresh: Date.parse(entry.expiresAt) > Date.now(), fetchedAt: entry.fetchedAt };
+    }
+    /**
+     * Store an entry
+     * @param key - Entry key
+     * @param content - Content, or null to record that the upstream file does not exist
+     * @param ttl - Time to live in seconds
+     * @returns Promise with the content hash (null for missing files)
+     */
+    async set(key, content, ttl) {
+        let hash = null;
+        if (content !== null) {
+            hash = createHash('sha256').update(content).digest('hex');
+            const objectPath = this.objectPath(hash);
+            // Content-addressed: an existing object already holds these bytes
+            if (!(await fs.access(objectPath).then(() => true, () => false))) {
+                await this.writeAtomic(objectPath, content);
+            }
+        }
+        const { entries } = await this.getNamespace();
+        const now = Date.now();
+        entries[key] = { hash, fetchedAt: new Date(now).toISOString(), expiresAt: new Date(now + ttl * 1000).toISOString() };
+        await this.scheduleSave();
+        return hash;
+    }
+    /**
+     * Merge metadata (upstream ref, tree hash, ...) into this namespace
+     * @param meta - Metadata to record
+     */
+    async setMeta(meta) {
+        const namespace = await this.getNamespace();
+        Object.assign(namespace.meta, meta);
+        await this.scheduleSave();
+    }
+    /**
+     * Drop entries of this namespace that are not in `keys`, then delete objects no namespace references
+     * @param keys - Keys to keep
+     * @returns Promise with the number of removed entries and objects
+     */
+    async prune(keys) {
+        const keep = new Set(keys);
+        const manifest = await this.loadManifest();
+        const { entries } = await this.getNamespace();
+        let removedEntries = 0;
+        for (const key of Object.keys(entries)) {
+            if (!keep.has(key)) {
+                delete entries[key];
+                removedEntries++;
+            }
+        }
+        await this.scheduleSave();
+        const referenced = new Set(Object.values(manifest.namespaces).flatMap(namespace => Object.values(namespace.entries).map(entry => entry.hash)));
+        let removedObjects = 0;
+        const objectsDir = path.join(this.dir, 'objects');
+        for (const prefix of await fs.readdir(objectsDir).catch(() => [])) {
+            for (const hash of await fs.readdir(path.join(objectsDir, prefix)).catch(() => [])) {
+                if (!referenced.has(hash) && !hash.endsWith('.tmp')) {
+                    await fs.rm(path.join(objectsDir, prefix, hash), { force: true });
+                    removedObjects++;
+                }
+            }
+        }
+        return { removedEntries, removedObjects };
+    }
+    /**
+     * Describe this namespace
+     * @returns Promise with { dir, namespace, meta, entries, fresh, missing }
+     */
+    async stats() {
+        const { meta, entries } = await this.getNamespace();
+        const values = Object.values(entries);
+        const now = Date.now();
+        return {
+            dir: this.dir,
+            namespace: this.namespace,
+            meta,
+            entries: values.length,
+            fresh: values.filter(entry => Date.parse(entry.expiresAt) > now).length,
+            missing: values.filter(entry => entry.hash === null).length
+        };
+    }
+}
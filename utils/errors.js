@@ -0,0 +1,137 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+/**
+ * JSON-RPC error codes used for each error type. -32002 is the code MCP
+ * assigns to missing resources; the other server-defined codes follow it.
+ */
+export const RPC_ERROR_CODES = {
+    NotFound: -32002,
+    ComponentNotFound: -32002,
+    InvalidArgument: ErrorCode.InvalidParams,
+    SourceUnavailable: -32003,
+    RateLimited: -32004
+};
+/**
+ * Base class of the errors raised on purpose by the server.
+ * `code` names the error type; `data` carries machine-readable details.
+ */
+export class ReactBitsError extends Error {
+    /**
+     * @param message - Human-readable message
+     * @param options - Error options
+     * @param options.data - Machine-readable details returned to clients
+     * @param options.cause - Underlying error
+     */
+    constructor(message, { data, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = 'Internal';
+        this.data = data || {};
+    }
+    /**
+     * JSON-RPC error code for this error
+     */
+    get rpcCode() {
+        return RPC_ERROR_CODES[this.code] ?? ErrorCode.InternalError;
+    }
+}
+/**
+ * Something addressed by name or URI (a demo, a stylesheet, a resource) does not exist
+ */
+export class NotFoundError extends ReactBitsError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'NotFound';
+    }
+}
+/**
+ * No component has the requested name
+ */
+export class ComponentNotFoundError extends NotFoundError {
+    /**
+     * @param componentName - Requested component name
+     * @param options - Error options
+     * @param options.category - Category the lookup was restricted to
+     * @param options.suggestions - Close component names, as { name, category }
+     */
+    constructor(componentName, { category, suggestions = [] } = {}) {
+        const scope = category ? ` in category '${category}'` : '';
+        const hint = suggestions.length > 0
+            ? ` Did you mean: ${suggestions.map(suggestion => suggestion.category === category || !category ? suggestion.name : `${suggestion.name} (${suggestion.category})`).join(', ')}?`
+            : '';
+        super(`Component '${componentName}' not found${scope}.${hint}`, { data: { componentName, category, suggestions } });
+        this.code = 'ComponentNotFound';
+    }
+}
+/**
+ * An argument is well-formed but cannot be satisfied (ambiguous name, unavailable variant, ...)
+ */
+export class InvalidArgumentError extends ReactBitsError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'InvalidArgument';
+    }
+}
+/**
+ * The component source (checkout, snapshot or GitHub) cannot be read
+ */
+export class SourceUnavailableError extends ReactBitsError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'SourceUnavailable';
+    }
+}
+/**
+ * The upstream API rejected the request because the rate limit is exhausted
+ */
+export class RateLimitedError extends ReactBitsError {
+    /**
+     * @param message - Human-readable message
+     * @param options - Error options
+     * @param options.resetAt - When the rate limit resets, if known
+     */
+    constructor(message, { resetAt } = {}) {
+        super(message, { data: { resetAt: resetAt ? resetAt.toISOString() : null } });
+        this.code = 'RateLimited';
+    }
+}
+/**
+ * Convert any error into the McpError returned for protocol requests (prompts, resources)
+ * @param error - Error thrown by a handler
+ * @returns McpError with the matching JSON-RPC code
+ */
+export function toMcpError(error) {
+    if (error instanceof McpError) {
+        return error;
+    }
+    if (error instanceof ReactBitsError) {
+        return new McpError(error.rpcCode, error.message, { type: error.code, ...error.data });
+    }
+    return new McpError(ErrorCode.InternalError, error instanceof Error ? error.message : 'Unknown error occurred');
+}
+/**
+ * Convert an error thrown by a tool into an `isError` tool result, so the
+ * calling model can see what went wrong and correct itself
+ * @param error - Error thrown by the tool
+ * @returns Tool result
+ */
+export function toToolErrorResult(error) {
+    const message = error instanceof Error ? error.message : 'Unknown error occurred';
+    const type = error instanceof ReactBitsError ? error.code : 'Internal';
+    return {
+        isError: true,
+        content: [
+            {
+                type: 'text',
+                text: message
+            }
+        ],
+        structuredContent: {
+            error: {
+                type,
+                code: error instanceof ReactBitsError ? error.rpcCode : ErrorCode.InternalError,
+                message,
+                ...(error instanceof ReactBitsError ? error.data : {})
+            }
+        }
+    };
+}
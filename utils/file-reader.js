@@ -0,0 +1,324 @@
+import { DEFAULT_VARIANT, VARIANTS } from './constants.js';
+import { getRegistry, getRegistryAt } from './registry.js';
+import { parseCodeConstants, parseDemoPropData } from './metadata.js';
+import { extractDependencies, extractProps, PEER_DEPENDENCIES } from './props-extractor.js';
+import { createSearchDocument, rankDocuments, suggestNames } from './search.js';
+import { ComponentNotFoundError, InvalidArgumentError } from './errors.js';
+import { mapConcurrent } from './concurrency.js';
+import { getConfig } from './config.js';
+import { classifyComponent, countFacet } from './taxonomy.js';
+import { profileComponent, WEIGHTS } from './profile.js';
+import { noteComponentUsage, withoutUsage } from './analytics.js';
+/**
+ * Pick the variant to read for a component.
+ * Unspecified language or styling prefer the default variant, then any available one.
+ * @param entry - Index entry
+ * @param options - Variant selection
+ * @param options.language - 'js' or 'ts'
+ * @param options.styling - 'css' or 'tailwind'
+ * @returns The variant key
+ * @throws InvalidArgumentError when no variant matches the requested language and styling
+ */
+export function pickVariant(entry, { language, styling } = {}) {
+    const candidates = Object.keys(entry.variants).filter(key => (!language || VARIANTS[key].language === language) &&
+        (!styling || VARIANTS[key].styling === styling));
+    if (candidates.length === 0) {
+        const requested = [language, styling].filter(Boolean).join('/');
+        throw new InvalidArgumentError(`Variant '${requested}' is not available for ${entry.name} (available: ${Object.keys(entry.variants).join(', ') || 'none'})`, {
+            data: { componentName: entry.name, availableVariants: Object.keys(entry.variants) }
+        });
+    }
+    // The configured language/styling are preferences, not requirements
+    const config = getConfig();
+    const preferred = {
+        language: config.language || VARIANTS[DEFAULT_VARIANT].language,
+        styling: config.styling || VARIANTS[DEFAULT_VARIANT].styling
+    };
+    return candidates.find(key => VARIANTS[key].language === (language || preferred.language) && VARIANTS[key].styling === (styling || preferred.styling)) ||
+        candidates.find(key => VARIANTS[key].language === (language || preferred.language)) ||
+        candidates[0];
+}
+/**
+ * Find the index entry of a component
+ * @param componentName - Component name (case-insensitive)
+ * @param category - Optional category used to disambiguate
+ * @param ref - Optional upstream branch, tag or commit to look in (see getRegistryAt)
+ * @returns Promise with the index entry
+ * @throws ComponentNotFoundError, with the closest names as suggestions, when no component matches
+ */
+export async function findComponent(componentName, category, ref) {
+    const registry = getRegistryAt(ref);
+    const entry = await registry.find(componentName, category);
+    if (!entry) {
+        const suggestions = suggestNames(componentName, await registry.list());
+        throw new ComponentNotFoundError(componentName, { category, suggestions });
+    }
+    noteComponentUsage({ name: entry.name, category: entry.category });
+    return entry;
+}
+/**
+ * Summarize an index entry for listings
+ * @param entry - Index entry
+ * @returns Component summary
+ */
+function toSummary(entry) {
+    return {
+        name: entry.name,
+        category: entry.category,
+        variants: Object.keys(entry.variants),
+        hasDemo: Boolean(entry.demo)
+    };
+}
+/**
+ * Get the files of one code variant of a component: the entry file first,
+ * followed by its companion CSS and any helper files
+ * @param componentName - Component name (case-insensitive)
+ * @param options - Lookup options
+ * @param options.category - Category used to disambiguate
+ * @param options.language - 'js' or 'ts'
+ * @param options.styling - 'css' or 'tailwind'
+ * @param options.ref - Upstream branch, tag or commit to read (default: the configured source)
+ * @returns Promise with the variant and its files
+ * @throws ComponentNotFoundError when the component does not exist
+ */
+export async function getComponentFiles(componentName, options = {}) {
+    const registry = getRegistryAt(options.ref);
+    const entry = await findComponent(componentName, options.category, options.ref);
+    const variantKey = pickVariant(entry, options);
+    const variant = entry.variants[variantKey];
+    noteComponentUsage({ name: entry.name, category: entry.category, variant: variantKey });
+    const paths = [variant.source, variant.css, ...variant.files].filter(Boolean);
+    const files = await Promise.all(paths.map(async (filePath) => ({
+        path: filePath,
+        fileName: filePath.split('/').pop(),
+        content: await registry.readFile(filePath)
+    })));
+    return {
+        name: entry.name,
+        category: entry.category,
+        variant: variantKey,
+        language: variant.language,
+        styling: variant.styling,
+        ref: options.ref || null,
+        files: files.filter(file => file.content !== null)
+    };
+}
+/**
+ * Get the source code of a component
+ * @param componentName - Component name (case-insensitive)
+ * @param options - Lookup options, see getComponentFiles
+ * @returns Promise with the source code, or null when the entry file cannot be read
+ * @throws ComponentNotFoundError when the component does not exist
+ */
+export async function getComponentSource(componentName, options = {}) {
+    const component = await getComponentFiles(componentName, options);
+    return component.files[0]?.content ?? null;
+}
+/**
+ * Get the demo code of a component
+ * @param componentName - Component name (case-insensitive)
+ * @param options - Lookup options
+ * @param options.category - Category used to disambiguate
+ * @returns Promise with the demo code, or null when the component has no demo
+ * @throws ComponentNotFoundError when the component does not exist
+ */
+export async function getComponentDemo(componentName, options = {}) {
+    const entry = await findComponent(componentName, options.category);
+    return getRegistry().readFile(entry.demo);
+}
+/**
+ * List available components
+ * @param category - Optional category filter
+ * @returns Promise with component summaries
+ */
+export async function getAvailableComponents(category) {
+    const entries = await getRegistry().list(category);
+    return entries.map(toSummary);
+}
+/**
+ * List components with their dependency counts and profile, analyzing every component once per index
+ * @param category - Optional category filter
+ * @param filters - Profile filters
+ * @param filters.maxWeight - Heaviest weight class to include (light, medium or heavy)
+ * @param filters.respectsReducedMotion - Only include components honoring prefers-reduced-motion
+ * @returns Promise with component summaries, each with `dependencyCounts`, `weight`, `respectsReducedMotion` and `a11yWarnings` (count)
+ */
+export async function getComponentCatalog(category, { maxWeight, respectsReducedMotion } = {}) {
+    const registry = getRegistry();
+    const [entries, catalog] = await Promise.all([
+        registry.list(category),
+        registry.memoize('catalog', () => withoutUsage(async () => {
+            const allEntries = await registry.list();
+            const counts = await mapConcurrent(allEntries, 8, async (entry) => {
+                const metadata = await getComponentMetadata(entry.name, { category: entry.category });
+                return [`${entry.category}/${entry.name}`, {
+                    dependencyCounts: {
+                        dependencies: metadata.dependencies.length,
+                        peerDependencies: metadata.peerDependencies.length
+                    },
+                    weight: metadata.performance.weight,
+                    respectsReducedMotion: metadata.accessibility.respectsReducedMotion,
+                    a11yWarnings: metadata.accessibility.warnings.length
+                }];
+            });
+            return new Map(counts);
+        }))
+    ]);
+    const maxRank = WEIGHTS.indexOf(maxWeight || 'heavy');
+    return entries
+        .map(entry => ({ ...toSummary(entry), ...catalog.get(`${entry.category}/${entry.name}`) }))
+        .filter(component => WEIGHTS.indexOf(component.weight) <= maxRank &&
+        (!respectsReducedMotion || component.respectsReducedMotion));
+}
+/**
+ * Get metadata of a component. Props and dependencies are extracted from the source
+ * of one variant (TypeScript when available, for its richer types) and complemented
+ * with the descriptions of the demo's prop table and the upstream code constants.
+ * @param componentName - Component name (case-insensitive)
+ * @param options - Lookup options
+ * @param options.category - Category used to disambiguate
+ * @param options.language - Language of the variant to analyze
+ * @param options.styling - Styling of the variant to analyze
+ * @returns Promise with the metadata
+ * @throws ComponentNotFoundError when the component does not exist
+ */
+export async function getComponentMetadata(componentName, options = {}) {
+    const registry = getRegistry();
+    const entry = await findComponent(componentName, options.category);
+    const hasTypeScript = Object.values(entry.variants).some(variant => variant.language === 'ts' && (!options.styling || variant.styling === options.styling));
+    const variantKey = pickVariant(entry, {
+        language: options.language || (hasTypeScript ? 'ts' : undefined),
+        styling: options.styling
+    });
+    noteComponentUsage({ name: entry.name, category: entry.category, variant: variantKey });
+    const [codeConstants, demo, source, stylesheet] = await Promise.all([
+        registry.readFile(entry.codeFile),
+        registry.readFile(entry.demo),
+        registry.readFile(entry.variants[variantKey].source),
+        registry.readFile(entry.variants[variantKey].css)
+    ]);
+    const { dependencies: declared, examples } = codeConstants ? parseCodeConstants(codeConstants) : { dependencies: [], examples: [] };
+    const imported = source ? extractDependencies(source) : { peer: [], runtime: [] };
+    const documented = demo ? parseDemoPropData(demo) : {};
+    const extracted = source ? extractProps(source, entry.name) : {};
+    // Source-derived props win; the demo's prop table fills in descriptions and undocumented props
+    const props = {};
+    for (const propName of new Set([...Object.keys(extracted), ...Object.keys(documented)])) {
+        const fromSource = extracted[propName] || {};
+        const fromDemo = documented[propName] || {};
+        props[propName] = {
+            type: fromSource.type ?? fromDemo.type,
+            default: fromSource.default ?? fromDemo.default,
+            required: fromSource.required ?? false,
+            description: fromSource.description ?? fromDemo.description
+        };
+    }
+    const dependencies = [...new Set([...imported.runtime, ...declared.filter(dep => !PEER_DEPENDENCIES.includes(dep))])].sort();
+    const analyzed = [source, stylesheet].filter(Boolean).join('\n');
+    return {
+        name: entry.name,
+        category: entry.category,
+        variants: Object.keys(entry.variants),
+        analyzedVariant: variantKey,
+        dependencies,
+        // Components using the automatic JSX runtime need React without importing it
+        peerDependencies: [...new Set(['react', ...imported.peer])].sort(),
+        ...classifyComponent({ name: entry.name, category: entry.category, source: analyzed }),
+        ...profileComponent({ source: analyzed, dependencies }),
+        props,
+        examples
+    };
+}
+/**
+ * Build (once per index) the search documents of every component
+ * @returns Promise with search documents
+ */
+async function getSearchDocuments() {
+    const registry = getRegistry();
+    return registry.memoize('search-documents', () => withoutUsage(async () => {
+        const entries = await registry.list();
+        return mapConcurrent(entries, 8, async (entry) => {
+            const [metadata, source] = await Promise.all([
+                getComponentMetadata(entry.name, { category: entry.category }),
+                getComponentSource(entry.name, { category: entry.category })
+            ]);
+            return createSearchDocument({
+                name: entry.name,
+                category: entry.category,
+                tags: metadata.tags,
+                props: Object.keys(metadata.props),
+                source
+            });
+        });
+    }));
+}
+/**
+ * Search components by name, tags, category, prop names and source keywords.
+ * Tolerates typos and splits camelCase names, so "mangnet" finds Magnet and
+ * "text glitch" finds GlitchText.
+ * @param query - Free-text query
+ * @param options - Search options
+ * @param options.category - Optional category filter
+ * @param options.limit - Maximum number of results (default 10)
+ * @returns Promise with component summaries in descending score order, each with `score` and `matches`
+ */
+export async function searchComponents(query, { category, limit = 10 } = {}) {
+    const registry = getRegistry();
+    const [entries, documents] = await Promise.all([registry.list(category), getSearchDocuments()]);
+    const byKey = new Map(entries.map(entry => [`${entry.category}/${entry.name}`, entry]));
+    const candidates = documents.filter(document => byKey.has(`${document.category}/${document.name}`));
+    return rankDocuments(candidates, query, { limit }).map(result => ({
+        ...toSummary(byKey.get(`${result.category}/${result.name}`)),
+        score: result.score,
+        matches: result.matches
+    }));
+}
+/**
+ * Build (once per index) the taxonomy of every component
+ * @returns Promise with { name, category, tags, rendering, interactions } per component
+ */
+async function getTaxonomy() {
+    const registry = getRegistry();
+    return registry.memoize('taxonomy', () => withoutUsage(async () => {
+        const entries = await registry.list();
+        return mapConcurrent(entries, 8, async (entry) => {
+            const { tags, rendering, interactions } = await getComponentMetadata(entry.name, { category: entry.category });
+            return { name: entry.name, category: entry.category, tags, rendering, interactions };
+        });
+    }));
+}
+/**
+ * Filter components by taxonomy facets and count the facet values of the matches
+ * @param filters - Facet filters; omitted ones match everything
+ * @param filters.tags - Tags a component must all have
+ * @param filters.excludeTags - Tags a component must not have
+ * @param filters.rendering - Accepted rendering technologies (any of)
+ * @param filters.interactions - Accepted interaction models (any of)
+ * @param filters.category - Category to browse
+ * @returns Promise with { total, components, facets }; facets count tags, rendering, interactions and categories among the matches
+ */
+export async function browseComponents({ tags = [], excludeTags = [], rendering = [], interactions = [], category } = {}) {
+    const registry = getRegistry();
+    const [entries, taxonomy] = await Promise.all([registry.list(category), getTaxonomy()]);
+    const byKey = new Map(entries.map(entry => [`${entry.category}/${entry.name}`, entry]));
+    const matches = taxonomy.filter(item => byKey.has(`${item.category}/${item.name}`) &&
+        tags.every(tag => item.tags.includes(tag)) &&
+        !excludeTags.some(tag => item.tags.includes(tag)) &&
+        (rendering.length === 0 || rendering.includes(item.rendering)) &&
+        (interactions.length === 0 || item.interactions.some(interaction => interactions.includes(interaction))));
+    return {
+        total: matches.length,
+        components: matches.map(item => ({
+            ...toSummary(byKey.get(`${item.category}/${item.name}`)),
+            tags: item.tags,
+            rendering: item.rendering,
+            interactions: item.interactions
+        })),
+        facets: {
+            tags: countFacet(matches, 'tags'),
+            rendering: countFacet(matches, 'rendering'),
+            interactions: countFacet(matches, 'interactions'),
+            categories: countFacet(matches, 'category')
+        }
+    };
+}
@@ -0,0 +1,158 @@
+import { logInfo, logError } from './logger.js';
+import { RateLimitedError, SourceUnavailableError } from './errors.js';
+import { circuitBreakers } from './circuit-breaker.js';
+/**
+ * Default GitHub endpoints; override them to point the client at a local stand-in
+ */
+export const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+export const DEFAULT_GITHUB_RAW_URL = 'https://raw.githubusercontent.com';
+/**
+ * Minimal GitHub HTTP client with token auth, ETag revalidation,
+ * rate-limit tracking and fallback to the last fetched copy when offline.
+ */
+export class GitHubClient {
+    /**
+     * @param options - Client options
+     * @param options.token - Personal access token, sent as a bearer token
+     * @param options.apiUrl - Base URL of the REST API
+     * @param options.rawUrl - Base URL serving raw file contents
+     * @param options.fetch - fetch implementation (defaults to the global one)
+     */
+    constructor({ token, apiUrl, rawUrl, fetch: fetchImpl } = {}) {
+        this.token = token || null;
+        this.apiUrl = (apiUrl || DEFAULT_GITHUB_API_URL).replace(/\/+$/, '');
+        this.rawUrl = (rawUrl || DEFAULT_GITHUB_RAW_URL).replace(/\/+$/, '');
+        this.fetch = fetchImpl || globalThis.fetch;
+        // Last successful response per URL: { etag, body, fetchedAt }
+        this.responses = new Map();
+        this.rateLimit = { limit: null, remaining: null, resetAt: null };
+    }
+    /**
+     * Fetch a JSON document from the REST API
+     * @param pathname - API path, e.g. `/repos/owner/repo/git/trees/main`
+     * @returns Promise with the parsed body, or null on 404
+     */
+    async getJson(pathname) {
+        const body = await this.get(`${this.apiUrl}${pathname}`, { Accept: 'application/vnd.github+json' });
+        return body === null ? null : JSON.parse(body);
+    }
+    /**
+     * Fetch a raw file
+     * @param pathname - Path below the raw URL, e.g. `/owner/repo/main/src/file.jsx`
+     * @returns Promise with the file content, or null on 404
+     */
+    async getRaw(pathname) {
+        return this.get(`${this.rawUrl}${pathname}`, {});
+    }
+    /**
+     * Perform a conditional GET, serving the cached copy on 304 or when the network fails
+     * @param url - Absolute URL
+     * @param headers - Extra request headers
+     * @returns Promise with the response body, or null on 404
+     */
+    async get(url, headers) {
+        const cached = this.responses.get(url);
+        if (this.isRateLimited()) {
+            if (cached) {
+                logInfo(`GitHub rate limit exhausted, serving cached copy of ${url}`);
+                return cached.body;
+            }
+            throw new RateLimitedError(`GitHub rate limit exceeded; resets at ${this.rateLimit.resetAt.toISOString()}`, { resetAt: this.rateLimit.resetAt });
+        }
+        const requestHeaders = { 'User-Agent': 'react-bits-mcp-server', ...headers };
+        if (this.token) {
+            requestHeaders.Authorization = `Bearer ${this.token}`;
+        }
+        if (cached?.etag) {
+            requestHeaders['If-None-Match'] = cached.etag;
+        }
+        let response;
+        try {
+            // Network errors, timeouts and 5xx responses are retried and counted by the github breaker
+            response = await circuitBreakers.github.execute(signal => this.request(url, requestHeaders, signal));
+        }
+        catch (error) {
+            if (cached) {
+                logError(`GitHub unavailable, serving copy of ${url} fetched at ${cached.fetchedAt.toISOString()}`, error);
+                return cached.body;
+            }
+            throw error;
+        }
+        this.updateRateLimit(response.headers);
+        if (response.status === 304 && cached) {
+            return cached.body;
+        }
+        if (response.status === 404) {
+            return null;
+        }
+        if ((response.status === 403 || response.status === 429) && this.isRateLimited(response)) {
+            if (cached) {
+                logInfo(`GitHub rate limit exhausted, serving cached copy of ${url}`);
+                return cached.body;
+            }
+            throw new RateLimitedError(`GitHub rate limit exceeded; resets at ${this.rateLimit.resetAt?.toISOString() ?? 'an unknown time'}`, { resetAt: this.rateLimit.resetAt });
+        }
+        if (!response.ok) {
+            throw new SourceUnavailableError(`GitHub request failed for ${url}: ${response.status} ${response.statusText}`, { data: { status: response.status } });
+        }
+        const body = await response.text();
+        this.responses.set(url, { etag: response.headers.get('etag'), body, fetchedAt: new Date() });
+        return body;
+    }
+    /**
+     * Send a GET request
+     * @param url - Absolute URL
+     * @param headers - Request headers
+     * @param signal - AbortSignal cancelling the request
+     * @returns Promise with the response (any status below 500)
+     * @throws SourceUnavailableError when the network fails or GitHub answers with a server error
+     */
+    async request(url, headers, signal) {
+        let response;
+        try {
+            response = await this.fetch(url, { headers, signal });
+        }
+        catch (error) {
+            throw new SourceUnavailableError(`GitHub request failed for ${url}: ${error instanceof Error ? error.message : error}`, { cause: error });
+        }
+        if (response.status >= 500) {
+            throw new SourceUnavailableError(`GitHub request failed for ${url}: ${response.status} ${response.statusText}`, { data: { status: response.status } });
+        }
+        return response;
+    }
+    /**
+     * Record the rate-limit headers of a response
+     * @param headers - Response headers
+     */
+    updateRateLimit(headers) {
+        const limit = headers.get('x-ratelimit-limit');
+        const remaining = headers.get('x-ratelimit-remaining');
+        const reset = headers.get('x-ratelimit-reset');
+        const retryAfter = headers.get('retry-after');
+        if (limit !== null) {
+            this.rateLimit.limit = Number(limit);
+        }
+        if (remaining !== null) {
+            this.rateLimit.remaining = Number(remaining);
+        }
+        if (reset !== null) {
+            this.rateLimit.resetAt = new Date(Number(reset) * 1000);
+        }
+        else if (retryAfter !== null) {
+            this.rateLimit.remaining = 0;
+            this.rateLimit.resetAt = new Date(Date.now() + Number(retryAfter) * 1000);
+        }
+    }
+    /**
+     * Whether the rate limit is exhausted
+     * @param response - Optional rejected response; a `retry-after` header or zero remaining quota marks it as rate limited
+     * @returns True while requests would be rejected
+     */
+    isRateLimited(response) {
+        if (response && response.headers.get('retry-after') !== null) {
+            return true;
+        }
+        const { remaining, resetAt } = this.rateLimit;
+        return remaining === 0 && resetAt !== null && resetAt.getTime() > Date.now();
+    }
+}
@@ -0,0 +1,231 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getComponentFiles, getComponentMetadata } from './file-reader.js';
+import { unifiedDiff } from './diff.js';
+import { InvalidArgumentError } from './errors.js';
+import { checkPackage, describeConflict, detectPackageManager, formatInstallCommand, getUpstreamVersions, installSpec } from './dependencies.js';
+import { getConfig } from './config.js';
+import { resolveInsideRoots } from './validation.js';
+/**
+ * Tailwind configuration file names (Tailwind v4 projects may only have the dependency)
+ */
+const TAILWIND_CONFIGS = ['tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.mjs', 'tailwind.config.ts', 'tailwind.config.cts', 'tailwind.config.mts'];
+const TAILWIND_PACKAGES = ['tailwindcss', '@tailwindcss/vite', '@tailwindcss/postcss'];
+/**
+ * Whether a path exists
+ * @param filePath - Absolute path
+ * @returns Promise with true when the path exists
+ */
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    }
+    catch {
+        return false;
+    }
+}
+/**
+ * Read a file, returning null when it does not exist
+ * @param filePath - Absolute path
+ * @returns Promise with the content, or null
+ */
+async function readIfExists(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    }
+    catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+/**
+ * Inspect a project to choose the variant and destination of installed components
+ * @param projectRoot - Project root directory
+ * @returns Promise with { language, styling, componentsDir, dependencies, declared, packageManager }
+ * @throws InvalidArgumentError when the project root is not a directory
+ */
+export async function detectProject(projectRoot) {
+    const root = path.resolve(projectRoot);
+    const stats = await fs.stat(root).catch(() => null);
+    if (!stats?.isDirectory()) {
+        throw new InvalidArgumentError(`Project root is not a directory: ${root}`, { data: { projectRoot: root } });
+    }
+    const packageContent = await readIfExists(path.join(root, 'package.json'));
+    let packageJson = {};
+    try {
+        packageJson = packageContent ? JSON.parse(packageContent) : {};
+    }
+    catch {
+        throw new InvalidArgumentError(`Cannot parse ${path.join(root, 'package.json')}`);
+    }
+    const dependencies = {
+        ...packageJson.peerDependencies,
+        ...packageJson.devDependencies,
+        ...packageJson.dependencies
+    };
+    const [hasTsconfig, tailwindConfigs, hasSrc, packageManager] = await Promise.all([
+        exists(path.join(root, 'tsconfig.json')),
+        Promise.all(TAILWIND_CONFIGS.map(name => exists(path.join(root, name)))),
+        exists(path.join(root, 'src')),
+        detectPackageManager(root, packageJson)
+    ]);
+    const usesTailwind = tailwindConfigs.some(Boolean) || TAILWIND_PACKAGES.some(name => name in dependencies);
+    return {
+        language: hasTsconfig ? 'ts' : 'js',
+        styling: usesTailwind ? 'tailwind' : 'css',
+        componentsDir: hasSrc ? 'src/components' : 'components',
+        dependencies: Object.keys(dependencies),
+        declared: dependencies,
+        packageManager
+    };
+}
+/**
+ * Get the files of the variant closest to the project setup. Explicit options
+ * must be honored; detected ones are dropped when the component lacks that variant.
+ * @param componentName - Component name
+ * @param options - Explicit category, language and styling
+ * @param preferred - Configured or detected language and styling
+ * @returns Promise with the component files, see getComponentFiles
+ */
+async function getPreferredVariant(componentName, { category, language, styling }, preferred) {
+    const attempts = [
+        { language: language || preferred.language, styling: styling || preferred.styling },
+        { language: language || preferred.language, styling },
+        { language, styling: styling || preferred.styling },
+        { language, styling }
+    ];
+    for (const [index, attempt] of attempts.entries()) {
+        try {
+            return await getComponentFiles(componentName, { category, ...attempt });
+        }
+        catch (error) {
+            if (!(error instanceof InvalidArgumentError) || index === attempts.length - 1) {
+                throw error;
+            }
+        }
+    }
+}
+/**
+ * Write a component variant and its companion files into a project.
+ *
+ * Existing files are never overwritten unless `force` is set; with `dryRun`
+ * nothing is written and a unified diff is returned for every file instead.
+ * When `projectRoots` is configured, the project must be inside one of them.
+ * @param componentName - Component name (case-insensitive)
+ * @param options - Install options
+ * @param options.projectRoot - Project root directory
+ * @param options.category - Category used to disambiguate
+ * @param options.language - 'js' or 'ts' (default: configured, else detected from tsconfig.json)
+ * @param options.styling - 'css' or 'tailwind' (default: configured, else detected from the Tailwind config)
+ * @param options.componentsDir - Destination directory relative to the project root (default: configured, else src/components or components)
+ * @param options.dryRun - Report the changes without writing
+ * @param options.force - Overwrite files that differ
+ * @returns Promise with the install report
+ * @throws InvalidArgumentError when files would be overwritten without `force`, or the project or destination is outside the allowed directories
+ */
+export async function installComponent(componentName, { projectRoot, category, language, styling, componentsDir, dryRun = false, force = false }) {
+    const config = getConfig();
+    const root = config.projectRoots ? resolveInsideRoots(config.projectRoots, projectRoot, 'projectRoot') : path.resolve(projectRoot);
+    const project = await detectProject(root);
+    // Configured defaults win over what the project setup suggests
+    const preferred = {
+        language: config.language || project.language,
+        styling: config.styling || project.styling
+    };
+    const targetDir = componentsDir || config.componentsDir || project.componentsDir;
+    const destination = path.resolve(root, targetDir);
+    const relativeDestination = path.relative(root, destination);
+    if (relativeDestination.startsWith('..') || path.isAbsolute(relativeDestination)) {
+        throw new InvalidArgumentError(`Components directory must be inside the project: ${targetDir}`, { data: { componentsDir: targetDir } });
+    }
+    const component = await getPreferredVariant(componentName, { category, language, styling }, preferred);
+    const metadata = await getComponentMetadata(component.name, {
+        category: component.category,
+        language: component.language,
+        styling: component.styling
+    });
+    // Keep the layout of the upstream component directory below <componentsDir>/<Name>
+    const sourceDir = component.files[0].path.split('/').slice(0, -1).join('/');
+    const componentDir = path.join(destination, component.name);
+    const files = await Promise.all(component.files.map(async (file) => {
+        const target = path.join(componentDir, ...file.path.slice(sourceDir.length + 1).split('/'));
+        const relativePath = path.relative(root, target).split(path.sep).join('/');
+        const existing = await readIfExists(target);
+        const status = existing === null ? 'create' : existing === file.content ? 'unchanged' : 'conflict';
+        return { target, path: relativePath, content: file.content, existing, status };
+    }));
+    const conflicts = files.filter(file => file.status === 'conflict');
+    if (conflicts.length > 0 && !force && !dryRun) {
+        throw new InvalidArgumentError(`Refusing to overwrite ${conflicts.map(file => file.path).join(', ')}; use force (--force on the command line) to overwrite, or dryRun (--dry-run) to see the changes`, {
+            data: { conflicts: conflicts.map(file => file.path) }
+        });
+    }
+    if (!dryRun) {
+        for (const file of files.filter(file => file.status !== 'unchanged')) {
+            await fs.mkdir(path.dirname(file.target), { recursive: true });
+            await fs.writeFile(file.target, file.content);
+        }
+    }
+    // Installed and declared versions must satisfy the ranges upstream builds against
+    const upstream = await getUpstreamVersions();
+    const checked = await Promise.all(metadata.dependencies.map(name => checkPackage(name, { root, declared: project.declared }, upstream)));
+    const missing = checked.filter(entry => entry.status === 'missing');
+    const conflicting = checked.filter(entry => entry.status === 'conflict');
+    return {
+        name: component.name,
+        category: component.category,
+        variant: component.variant,
+        language: component.language,
+        styling: component.styling,
+        detected: { language: project.language, styling: project.styling },
+        directory: path.relative(root, componentDir).split(path.sep).join('/'),
+        dryRun,
+        files: files.map(file => ({
+            path: file.path,
+            status: file.status === 'conflict' && force ? 'overwrite' : file.status,
+            ...(dryRun && file.status !== 'unchanged'
+                ? { diff: unifiedDiff(file.existing, file.content, { oldPath: `a/${file.path}`, newPath: `b/${file.path}` }) }
+                : {})
+        })),
+        dependencies: metadata.dependencies,
+        missingDependencies: missing.map(entry => entry.name),
+        dependencyConflicts: conflicting.map(describeConflict),
+        installCommand: formatInstallCommand(project.packageManager, [...missing, ...conflicting].map(installSpec))
+    };
+}
+/**
+ * Render an install report as markdown
+ * @param report - Report returned by installComponent
+ * @returns Markdown text
+ */
+export function formatInstallReport(report) {
+    const verb = report.dryRun ? 'Would install' : 'Installed';
+    let output = `${verb} **${report.name}** (${report.variant}) into \`${report.directory}\`\n\n`;
+    output += `**Files:**\n`;
+    report.files.forEach(file => {
+        output += `- ${file.path} (${file.status})\n`;
+    });
+    if (report.missingDependencies.length > 0) {
+        output += `\n**Missing dependencies:** ${report.missingDependencies.join(', ')}\n`;
+    }
+    if (report.dependencyConflicts.length > 0) {
+        output += `\n**Version conflicts:**\n`;
+        report.dependencyConflicts.forEach(conflict => {
+            output += `- \`${conflict.name}\`: ${conflict.found} found, ${conflict.required} required${conflict.minimum ? ` (${conflict.minimum} or later)` : ''}\n`;
+        });
+    }
+    if (report.installCommand) {
+        output += `\n\`\`\`bash\n${report.installCommand}\n\`\`\`\n`;
+    }
+    else if (report.dependencies.length > 0) {
+        output += `\n**Dependencies:** ${report.dependencies.join(', ')} (already installed)\n`;
+    }
+    const diffs = report.files.filter(file => file.diff);
+    if (diffs.length > 0) {
+        output += `\n\`\`\`diff\n${diffs.map(file => file.diff).join('')}\`\`\`\n`;
+    }
+    return output;
+}
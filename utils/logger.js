@@ -0,0 +1,309 @@
+import fs from 'fs';
+import path from 'path';
+import { format as formatArgs } from 'util';
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+/**
+ * Server log. Records go to stderr (or a file), never to stdout: with the stdio
+ * transport stdout carries the protocol, and a stray line corrupts it. Records made
+ * while a request is handled carry its correlation ID, and are also forwarded to
+ * the client that sent the request when it asked for them with `logging/setLevel`.
+ */
+/**
+ * Log levels, from the most to the least verbose
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+/**
+ * Output formats: one human-readable line, or one JSON object, per record
+ */
+export const LOG_FORMATS = ['text', 'json'];
+/**
+ * MCP logging levels (RFC 5424 severities), from the least to the most severe
+ */
+const MCP_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+/**
+ * MCP level of each log level
+ */
+const MCP_LEVEL_OF = { debug: 'debug', info: 'info', warn: 'warning', error: 'error' };
+/**
+ * Name sent as `logger` in MCP log notifications
+ */
+const LOGGER_NAME = 'react-bits-mcp-server';
+const REDACTED = '[REDACTED]';
+/**
+ * Keys whose values are never logged
+ */
+const SECRET_KEY_PATTERN = /^(authorization|token|.*(api[-_]?key|password|secret|access[-_]?token))$/i;
+/**
+ * GitHub token formats and Authorization header values
+ */
+const SECRET_VALUE_PATTERNS = [
+    /\b(gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})\b/g,
+    /\b(Bearer|token)\s+[A-Za-z0-9._~+/-]{16,}=*/gi
+];
+const settings = {
+    level: 'info',
+    format: 'text',
+    file: null,
+    fd: null
+};
+// Values registered with configureLogger({ secrets }), replaced wherever they appear
+const secrets = new Set();
+// Request being handled: { requestId, operation, server, mcpRequestId, sessionId }
+const requestContext = new AsyncLocalStorage();
+// Level requested by each connected client (one MCP server per client session)
+const clientLevels = new Map();
+/**
+ * Change the logger settings. Unset options keep their current value.
+ * @param options - Logger options
+ * @param options.level - Least severe level written (debug, info, warn or error)
+ * @param options.format - 'text' or 'json'
+ * @param options.file - Append records to this file instead of stderr (null: back to stderr)
+ * @param options.secrets - Values to redact, such as the GitHub token
+ * @throws Error for unknown levels or formats and files that cannot be opened
+ */
+export function configureLogger({ level, format, file, secrets: values = [] } = {}) {
+    if (level !== undefined) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level '${level}' (expected one of: ${LOG_LEVELS.join(', ')})`);
+        }
+        settings.level = level;
+    }
+    if (format !== undefined) {
+        if (!LOG_FORMATS.includes(format)) {
+            throw new Error(`Unknown log format '${format}' (expected one of: ${LOG_FORMATS.join(', ')})`);
+        }
+        settings.format = format;
+    }
+    if (file !== undefined && file !== settings.file) {
+        const fd = file ? openLogFile(file) : null;
+        if (settings.fd !== null) {
+            fs.closeSync(settings.fd);
+        }
+        settings.file = file ? path.resolve(file) : null;
+        settings.fd = fd;
+    }
+    values.filter(value => typeof value === 'string' && value.length >= 8).forEach(value => secrets.add(value));
+}
+/**
+ * Open a log file for appending, creating its directory
+ * @param file - Log file path
+ * @returns File descriptor
+ */
+function openLogFile(file) {
+    try {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        return fs.openSync(file, 'a');
+    }
+    catch (error) {
+        throw new Error(`Cannot open log file ${file}: ${error.message}`, { cause: error });
+    }
+}
+/**
+ * Run a request handler with a fresh correlation ID, attached to every record it logs
+ * @param context - Request details
+ * @param context.operation - Name of the operation
+ * @param context.server - MCP server handling the request; records are forwarded to its client
+ * @param context.mcpRequestId - JSON-RPC ID of the request, so that forwarded records follow it
+ * @param context.sessionId - Transport session, for the HTTP transports
+ * @param fn - Handler to run
+ * @returns The handler's result
+ */
+export function withRequestContext(context, fn) {
+    return requestContext.run({ requestId: randomUUID().slice(0, 8), ...context }, fn);
+}
+/**
+ * Correlation ID of the request being handled
+ * @returns The ID, or null outside request handling
+ */
+export function getRequestId() {
+    return requestContext.getStore()?.requestId ?? null;
+}
+/**
+ * Record the level a client asked for with `logging/setLevel`; records of its own
+ * requests at or above it are sent to the client as `notifications/message` until
+ * its session closes
+ * @param server - MCP server of the client
+ * @param level - MCP logging level
+ */
+export function setClientLogLevel(server, level) {
+    if (!clientLevels.has(server)) {
+        const onclose = server.onclose;
+        server.onclose = () => {
+            clientLevels.delete(server);
+            onclose?.();
+        };
+    }
+    clientLevels.set(server, level);
+}
+/**
+ * Replace secrets in a string
+ * @param text - Text to clean
+ * @returns Text with registered secrets and token-looking values replaced
+ */
+function redactText(text) {
+    let result = text;
+    secrets.forEach(secret => {
+        result = result.split(secret).join(REDACTED);
+    });
+    SECRET_VALUE_PATTERNS.forEach(pattern => {
+        result = result.replace(pattern, match => (/^(Bearer|token)\s/i.test(match) ? `${match.split(/\s/)[0]} ${REDACTED}` : REDACTED));
+    });
+    return result;
+}
+/**
+ * Convert details to JSON-safe values, with errors expanded and secrets removed
+ * @param value - Value to convert
+ * @param seen - Objects already visited, to cut cycles
+ * @returns JSON-safe copy
+ */
+function serialize(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'bigint' || typeof value === 'function' || typeof value === 'symbol' ? String(value) : value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+    if (value instanceof Error) {
+        return serialize({
+            name: value.name,
+            message: value.message,
+            ...(value.code !== undefined ? { code: value.code } : {}),
+            ...(value.data && Object.keys(value.data).length > 0 ? { data: value.data } : {}),
+            stack: value.stack,
+            ...(value.cause !== undefined ? { cause: value.cause } : {})
+        }, seen);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => serialize(item, seen));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, SECRET_KEY_PATTERN.test(key) && item ? REDACTED : serialize(item, seen)]));
+}
+/**
+ * Format a record as one line of text; error stacks, and those of their causes,
+ * follow on their own lines
+ * @param record - Log record
+ * @returns Text
+ */
+function formatText({ time, level, requestId, message, details }) {
+    let line = `${time} [${level}]${requestId ? ` [${requestId}]` : ''} ${message}`;
+    if (details === undefined) {
+        return line;
+    }
+    const stacks = [];
+    const withoutStacks = value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return value;
+        }
+        const { stack, cause, ...rest } = value;
+        if (stack) {
+            stacks.push(stack);
+        }
+        return cause === undefined ? rest : { ...rest, cause: withoutStacks(cause) };
+    };
+    const rest = details && typeof details === 'object' && !Array.isArray(details) ? withoutStacks(details) : { value: details };
+    if (Object.keys(rest).length > 0) {
+        line += ` ${JSON.stringify(rest)}`;
+    }
+    return [line, ...stacks.map((stack, index) => (index === 0 ? stack : `Caused by: ${stack}`))].join('\n');
+}
+/**
+ * Write a record
+ * @param level - Log level
+ * @param message - Message
+ * @param details - Structured details or an error
+ */
+function write(level, message, details) {
+    const context = requestContext.getStore();
+    const mcpLevel = MCP_LEVEL_OF[level];
+    // Only the client whose request is being handled gets the record: records outside a
+    // request (sessions opening and closing, shutdown) concern other clients too
+    const server = context?.server;
+    const forward = Boolean(server) && clientLevels.has(server) && MCP_LEVELS.indexOf(mcpLevel) >= MCP_LEVELS.indexOf(clientLevels.get(server));
+    const logged = LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level);
+    if (!logged && !forward) {
+        return;
+    }
+    const data = {
+        ...(context ? { requestId: context.requestId, operation: context.operation } : {}),
+        ...(context?.sessionId ? { sessionId: context.sessionId } : {}),
+        message: redactText(String(message)),
+        ...(details !== undefined ? { details: serialize(details) } : {})
+    };
+    if (logged) {
+        const record = { time: new Date().toISOString(), level, ...data };
+        const line = `${settings.format === 'json' ? JSON.stringify(record) : formatText(record)}\n`;
+        try {
+            if (settings.fd !== null) {
+                fs.writeSync(settings.fd, line);
+            }
+            else {
+                process.stderr.write(line);
+            }
+        }
+        catch {
+            // Nowhere left to report a failing log destination
+        }
+    }
+    if (forward) {
+        // Session IDs authenticate HTTP clients: they stay in the server log
+        const { sessionId, ...forwarded } = data;
+        if (forwarded.details && typeof forwarded.details === 'object' && !Array.isArray(forwarded.details)) {
+            const { sessionId: detailsSessionId, ...details } = forwarded.details;
+            forwarded.details = details;
+        }
+        const options = context.mcpRequestId !== undefined ? { relatedRequestId: context.mcpRequestId } : undefined;
+        server.notification({ method: 'notifications/message', params: { level: mcpLevel, logger: LOGGER_NAME, data: forwarded } }, options)
+            .catch(() => {
+            // The client went away; its session close removes it
+        });
+    }
+}
+/**
+ * Route console output to the log, so that code writing to stdout with
+ * console.log cannot corrupt the stdio transport
+ */
+export function captureConsole() {
+    console.log = (...args) => write('info', formatArgs(...args));
+    console.info = (...args) => write('info', formatArgs(...args));
+    console.debug = (...args) => write('debug', formatArgs(...args));
+    console.warn = (...args) => write('warn', formatArgs(...args));
+    console.error = (...args) => write('error', formatArgs(...args));
+}
+/**
+ * Log a debug message
+ * @param message - Message
+ * @param details - Structured details
+ */
+export const logDebug = (message, details) => write('debug', message, details);
+/**
+ * Log an informational message
+ * @param message - Message
+ * @param details - Structured details
+ */
+export const logInfo = (message, details) => write('info', message, details);
+/**
+ * Log a warning
+ * @param message - Message
+ * @param details - Structured details or an error
+ */
+export const logWarn = (message, details) => write('warn', message, details);
+/**
+ * Log an error
+ * @param message - Message
+ * @param details - The error, or structured details
+ */
+export const logError = (message, details) => write('error', message, details);
+// Honor the environment from the first record on; index.js applies flags and configuration
+configureLogger({
+    level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : undefined,
+    format: LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : undefined,
+    secrets: [process.env.GITHUB_PERSONAL_ACCESS_TOKEN]
+});
@@ -0,0 +1,74 @@
+/**
+ * Helpers for extracting component metadata from React Bits repository files
+ */
+/**
+ * Read a template literal property (e.g. `usage: \`...\``) from a code constants file
+ * @param content - File content
+ * @param property - Property name
+ * @returns The literal's content, or null when absent
+ */
+function readTemplateProperty(content, property) {
+    const match = content.match(new RegExp(`\\b${property}\\s*:\\s*\`([\\s\\S]*?)\``));
+    return match ? match[1].trim() : null;
+}
+/**
+ * Parse npm package names out of an install command such as `npm install gsap @gsap/react`
+ * @param command - Install command
+ * @returns Package names
+ */
+export function parseInstallCommand(command) {
+    const packages = [];
+    for (const line of command.split('\n')) {
+        const match = line.trim().match(/^(?:npm|pnpm|yarn|bun)\s+(?:install|i|add)\s+(.+)$/);
+        if (!match) {
+            continue;
+        }
+        for (const token of match[1].split(/\s+/)) {
+            if (token && !token.startsWith('-')) {
+                packages.push(token);
+            }
+        }
+    }
+    return packages;
+}
+/**
+ * Parse a `src/constants/code/<Category>/<name>Code.js` file
+ * @param content - File content
+ * @returns Dependencies and usage examples declared by the file
+ */
+export function parseCodeConstants(content) {
+    const installation = readTemplateProperty(content, 'installation');
+    const usage = readTemplateProperty(content, 'usage');
+    return {
+        dependencies: installation ? parseInstallCommand(installation) : [],
+        examples: usage ? [usage] : []
+    };
+}
+/**
+ * Parse the `propData` table that React Bits demo pages declare
+ * @param content - Demo file content
+ * @returns Prop descriptions keyed by prop name
+ */
+export function parseDemoPropData(content) {
+    const props = {};
+    const table = content.match(/\bpropData\s*=\s*\[([\s\S]*?)\];/);
+    if (!table) {
+        return props;
+    }
+    const readField = (block, field) => {
+        const match = block.match(new RegExp(`\\b${field}\\s*:\\s*(["'\`])([\\s\\S]*?)\\1`));
+        return match ? match[2] : undefined;
+    };
+    for (const block of table[1].match(/\{[^{}]*\}/g) || []) {
+        const name = readField(block, 'name');
+        if (!name) {
+            continue;
+        }
+        props[name] = {
+            type: readField(block, 'type'),
+            default: readField(block, 'default'),
+            description: readField(block, 'description')
+        };
+    }
+    return props;
+}
@@ -0,0 +1,137 @@
+/**
+ * Static performance and accessibility profile of a component, for projects
+ * with mobile and a11y budgets. Heuristic: it reads the source, it does not run it.
+ */
+/**
+ * Weight classes, from the cheapest to the most expensive to render
+ */
+export const WEIGHTS = ['light', 'medium', 'heavy'];
+/**
+ * Packages that make a component heavy on their own (large bundles, GPU or physics work)
+ */
+export const HEAVY_DEPENDENCIES = [
+    'three',
+    '@react-three/fiber',
+    '@react-three/drei',
+    '@react-three/postprocessing',
+    '@react-three/rapier',
+    'postprocessing',
+    'ogl',
+    'matter-js',
+    'cannon-es'
+];
+/**
+ * Per-frame work: requestAnimationFrame, react-three-fiber's useFrame, GSAP's ticker
+ */
+const ANIMATION_LOOP_PATTERN = /\brequestAnimationFrame\s*\(|\buseFrame\s*\(|\bgsap\.ticker\.add\b|\buseAnimationFrame\s*\(/;
+const WEBGL_PATTERN = /getContext\(\s*['"](?:webgl2?|experimental-webgl)['"]|\bWebGLRenderer\b|\bnew\s+Renderer\s*\(|<Canvas\b/;
+const REDUCED_MOTION_PATTERN = /prefers-reduced-motion|\buseReducedMotion\b|\bmotion-(?:safe|reduce):/;
+/**
+ * Opening tags of a JSX element, skipping `>` inside attribute expressions such as arrow functions
+ * @param source - Source code
+ * @param tag - Element name
+ * @returns Opening tag texts
+ */
+function openingTags(source, tag) {
+    const tags = [];
+    const pattern = new RegExp(`<${tag}\\b`, 'g');
+    let match;
+    while ((match = pattern.exec(source))) {
+        let depth = 0;
+        let i = match.index + match[0].length;
+        for (; i < source.length; i++) {
+            const char = source[i];
+            if (char === '{') {
+                depth++;
+            }
+            else if (char === '}') {
+                depth--;
+            }
+            else if (char === '>' && depth === 0) {
+                break;
+            }
+        }
+        tags.push(source.slice(match.index, i + 1));
+    }
+    return tags;
+}
+/**
+ * Whether a JSX opening tag sets any of the given attributes
+ * @param tag - Opening tag text
+ * @param attributes - Attribute names
+ * @returns True when one of them is present
+ */
+function hasAttribute(tag, attributes) {
+    return attributes.some(attribute => new RegExp(`\\s${attribute}(?:\\s*=|[\\s/>])`).test(tag));
+}
+/**
+ * Find accessibility problems that can be spotted in the source
+ * @param source - Component source, with any companion stylesheet appended
+ * @param respectsReducedMotion - Whether the component honors prefers-reduced-motion
+ * @returns Warning messages
+ */
+function findA11yWarnings(source, respectsReducedMotion) {
+    const warnings = [];
+    if (!respectsReducedMotion) {
+        warnings.push('Does not respect prefers-reduced-motion: the animation also plays for users who asked for less motion');
+    }
+    if (openingTags(source, 'canvas').some(tag => !hasAttribute(tag, ['aria-label', 'aria-labelledby', 'aria-hidden', 'role']))) {
+        warnings.push('<canvas> has no aria-label, role or aria-hidden; screen readers announce an unlabeled graphic');
+    }
+    if (openingTags(source, 'svg').some(tag => !hasAttribute(tag, ['aria-label', 'aria-labelledby', 'aria-hidden', 'role']) && !/<title\b/.test(source))) {
+        warnings.push('<svg> has no aria-label, <title>, role or aria-hidden');
+    }
+    if (openingTags(source, 'img').some(tag => !hasAttribute(tag, ['alt']))) {
+        warnings.push('<img> without alt text');
+    }
+    const clickable = ['div', 'span', 'li'].flatMap(tag => openingTags(source, tag)).filter(tag => hasAttribute(tag, ['onClick']));
+    if (clickable.some(tag => !hasAttribute(tag, ['role']) || !hasAttribute(tag, ['tabIndex', 'onKeyDown', 'onKeyUp']))) {
+        warnings.push('Clickable <div>/<span>/<li> without a role and keyboard support; use a <button> or add role, tabIndex and a key handler');
+    }
+    // Text split into per-letter spans is read letter by letter unless the whole text is labeled
+    if (/\.split\(\s*(?:''|""|``)\s*\)/.test(source) && !hasAttribute(source, ['aria-label', 'aria-hidden']) && !/\bsr-only\b/.test(source)) {
+        warnings.push('Text is split into separate elements without an aria-label on the container or aria-hidden on the pieces');
+    }
+    return warnings;
+}
+/**
+ * Profile a component
+ * @param component - Component to profile
+ * @param component.source - Source code, with any companion stylesheet appended
+ * @param component.dependencies - npm runtime dependencies of the component
+ * @returns { performance: { weight, reasons, animationLoop, webgl, heavyDependencies }, accessibility: { respectsReducedMotion, warnings } }
+ */
+export function profileComponent({ source = '', dependencies = [] }) {
+    const animationLoop = ANIMATION_LOOP_PATTERN.test(source);
+    const heavyDependencies = dependencies.filter(dependency => HEAVY_DEPENDENCIES.includes(dependency));
+    const webgl = WEBGL_PATTERN.test(source) || heavyDependencies.some(dependency => dependency !== 'matter-js' && dependency !== 'cannon-es');
+    const canvas = /<canvas\b|\bgetContext\(/.test(source);
+    const reasons = [
+        webgl && 'renders with WebGL',
+        heavyDependencies.length > 0 && `depends on ${heavyDependencies.join(', ')}`,
+        animationLoop && 'runs a per-frame animation loop',
+        canvas && !webgl && 'draws on a 2D canvas',
+        dependencies.length > heavyDependencies.length && `uses ${dependencies.filter(dependency => !heavyDependencies.includes(dependency)).join(', ')}`
+    ].filter(Boolean);
+    let weight = 'light';
+    if (webgl || heavyDependencies.length > 0) {
+        weight = 'heavy';
+    }
+    else if (animationLoop || canvas || dependencies.length > 0) {
+        weight = 'medium';
+    }
+    const respectsReducedMotion = REDUCED_MOTION_PATTERN.test(source);
+    return {
+        performance: {
+            weight,
+            reasons: reasons.length > 0 ? reasons : ['CSS-only animation'],
+            animationLoop,
+            webgl,
+            heavyDependencies
+        },
+        accessibility: {
+            respectsReducedMotion,
+            warnings: findA11yWarnings(source, respectsReducedMotion)
+        }
+    };
+}
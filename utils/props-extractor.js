@@ -0,0 +1,431 @@
+/**
+ * Static extraction of props and npm dependencies from component source code.
+ * Handles TypeScript interfaces (with the interfaces they extend from the same file)
+ * and type aliases, PropTypes declarations and destructuring defaults, in the
+ * parameter list or the function body, so it works for all four code variants.
+ */
+/**
+ * Packages expected to be provided by the host application
+ */
+export const PEER_DEPENDENCIES = ['react', 'react-dom'];
+const OPENERS = { '{': '}', '(': ')', '[': ']', '<': '>' };
+/**
+ * Index just past a string or template literal starting at `index`
+ * @param text - Source text
+ * @param index - Index of the opening quote
+ * @returns Index after the closing quote
+ */
+function skipString(text, index) {
+    const quote = text[index];
+    let i = index + 1;
+    while (i < text.length && text[i] !== quote) {
+        i += text[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+/**
+ * Index just past a comment starting at `index`, or `index` when there is none
+ * @param text - Source text
+ * @param index - Current index
+ * @returns Index after the comment
+ */
+function skipComment(text, index) {
+    if (text.startsWith('//', index)) {
+        const end = text.indexOf('\n', index);
+        return end === -1 ? text.length : end;
+    }
+    if (text.startsWith('/*', index)) {
+        const end = text.indexOf('*/', index + 2);
+        return end === -1 ? text.length : end + 2;
+    }
+    return index;
+}
+/**
+ * Whether the character at `index` opens a nesting level. `<` only counts
+ * as a type-argument bracket (`Array<string>`), not as JSX or a comparison.
+ * @param text - Source text
+ * @param index - Current index
+ * @param stack - Expected closing brackets
+ * @returns True when the character opens a nesting level
+ */
+function isOpener(text, index, stack) {
+    const char = text[index];
+    if (char !== '<') {
+        return Boolean(OPENERS[char]);
+    }
+    return stack[stack.length - 1] === '>' || /[\w.]/.test(text[index - 1] || '') && !/\s/.test(text[index + 1] || ' ');
+}
+/**
+ * Read the text enclosed by a bracket, honoring nesting, strings and comments
+ * @param text - Source text
+ * @param openIndex - Index of the opening bracket
+ * @returns The enclosed text, or null when the bracket is not closed
+ */
+export function readBalanced(text, openIndex) {
+    const stack = [OPENERS[text[openIndex]]];
+    let i = openIndex + 1;
+    while (i < text.length) {
+        const char = text[i];
+        const afterComment = skipComment(text, i);
+        if (afterComment !== i) {
+            i = afterComment;
+            continue;
+        }
+        if (char === '"' || char === '\'' || char === '`') {
+            i = skipString(text, i);
+            continue;
+        }
+        if (char === stack[stack.length - 1] && !(char === '>' && text[i - 1] === '=')) {
+            stack.pop();
+            if (stack.length === 0) {
+                return text.slice(openIndex + 1, i);
+            }
+        }
+        else if (isOpener(text, i, stack)) {
+            stack.push(OPENERS[char]);
+        }
+        i++;
+    }
+    return null;
+}
+/**
+ * Split text on a separator at nesting depth zero, keeping comments attached to the following item
+ * @param text - Text to split
+ * @param separators - Separator characters
+ * @returns Trimmed, non-empty items
+ */
+export function splitTopLevel(text, separators) {
+    const items = [];
+    const stack = [];
+    let current = '';
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        const afterComment = skipComment(text, i);
+        if (afterComment !== i) {
+            current += text.slice(i, afterComment);
+            i = afterComment;
+            continue;
+        }
+        if (char === '"' || char === '\'' || char === '`') {
+            const end = skipString(text, i);
+            current += text.slice(i, end);
+            i = end;
+            continue;
+        }
+        if (char === stack[stack.length - 1] && !(char === '>' && text[i - 1] === '=')) {
+            stack.pop();
+        }
+        else if (isOpener(text, i, stack)) {
+            stack.push(OPENERS[char]);
+        }
+        if (stack.length === 0 && separators.includes(char)) {
+            items.push(current);
+            current = '';
+        }
+        else {
+            current += char;
+        }
+        i++;
+    }
+    items.push(current);
+    return items.map(item => item.trim()).filter(Boolean);
+}
+/**
+ * Separate a leading JSDoc or line comment from a declaration
+ * @param item - Declaration text, possibly preceded by comments
+ * @returns The comment text (without markers) and the declaration
+ */
+function splitLeadingComment(item) {
+    const lines = [];
+    let rest = item;
+    for (;;) {
+        const block = rest.match(/^\/\*+([\s\S]*?)\*\/\s*/);
+        const line = rest.match(/^\/\/(.*)\n?\s*/);
+        if (block) {
+            lines.push(block[1].split('\n').map(part => part.replace(/^\s*\*\s?/, '').trim()).filter(Boolean).join(' '));
+            rest = rest.slice(block[0].length);
+        }
+        else if (line) {
+            lines.push(line[1].trim());
+            rest = rest.slice(line[0].length);
+        }
+        else {
+            break;
+        }
+    }
+    return { comment: lines.join(' ').trim() || undefined, declaration: rest.trim() };
+}
+/**
+ * Infer a type name from a default value expression
+ * @param value - Default value source text
+ * @returns Type name, or undefined when it cannot be inferred
+ */
+function inferType(value) {
+    if (/^-?\d/.test(value)) {
+        return 'number';
+    }
+    if (/^['"`]/.test(value)) {
+        return 'string';
+    }
+    if (value === 'true' || value === 'false') {
+        return 'boolean';
+    }
+    if (value.startsWith('[')) {
+        return 'array';
+    }
+    if (value.startsWith('{')) {
+        return 'object';
+    }
+    if (/^(\(.*?\)|\w+)\s*=>/.test(value) || value.startsWith('function')) {
+        return 'function';
+    }
+    return undefined;
+}
+/**
+ * Find the opening parenthesis of the component function's parameter list
+ * @param source - Source code
+ * @param componentName - Component name
+ * @returns Index of the parenthesis, or -1
+ */
+export function findComponentParams(source, componentName) {
+    const patterns = [
+        new RegExp(`function\\s+${componentName}\\s*(?:<[^>]*>)?\\s*\\(`),
+        new RegExp(`(?:const|let|var)\\s+${componentName}\\s*(?::[^=]+)?=\\s*(?:React\\.)?(?:memo|forwardRef)?\\s*\\(?\\s*(?:function\\s*\\w*\\s*)?\\(`),
+        /export\s+default\s+function\s*\w*\s*\(/
+    ];
+    for (const pattern of patterns) {
+        const match = pattern.exec(source);
+        if (match) {
+            return match.index + match[0].length - 1;
+        }
+    }
+    return -1;
+}
+/**
+ * Parse the items of an object destructuring pattern
+ * @param pattern - Text between the braces of the pattern
+ * @returns Props keyed by name with their default value
+ */
+function parsePattern(pattern) {
+    const props = {};
+    for (const item of splitTopLevel(pattern, [','])) {
+        const { declaration } = splitLeadingComment(item);
+        if (declaration.startsWith('...')) {
+            continue;
+        }
+        const match = declaration.match(/^([A-Za-z_$][\w$]*)(?:\s*:\s*[\w$]+)?(?:\s*=\s*([\s\S]+))?$/);
+        if (match) {
+            props[match[1]] = { default: match[2]?.trim() };
+        }
+    }
+    return props;
+}
+/**
+ * Find a `const { ... } = props` destructuring in the component body
+ * @param source - Source code
+ * @param fromIndex - Index to search from (the component's parameter list)
+ * @param paramName - Name of the props parameter
+ * @returns Text between the braces of the pattern, or null when there is none
+ */
+function findBodyDestructuring(source, fromIndex, paramName) {
+    const declaration = /\b(?:const|let|var)\s*\{/g;
+    declaration.lastIndex = fromIndex;
+    let match;
+    while ((match = declaration.exec(source)) !== null) {
+        const openIndex = match.index + match[0].length - 1;
+        const pattern = readBalanced(source, openIndex);
+        if (pattern === null) {
+            return null;
+        }
+        const rest = source.slice(openIndex + pattern.length + 2);
+        if (new RegExp(`^\\s*=\\s*${paramName.replace(/\$/g, '\\$')}\\s*(?:;|\\n|$)`).test(rest)) {
+            return pattern;
+        }
+    }
+    return null;
+}
+/**
+ * Parse the destructured props of the component function, destructured in its
+ * parameter list or, for a plain `props` parameter, in its body
+ * @param source - Source code
+ * @param componentName - Component name
+ * @returns Destructured props with defaults, and the props type name when annotated
+ */
+function parseDestructuredProps(source, componentName) {
+    const paramsIndex = findComponentParams(source, componentName);
+    if (paramsIndex === -1) {
+        return { props: {}, typeName: null };
+    }
+    const params = readBalanced(source, paramsIndex);
+    if (params === null) {
+        return { props: {}, typeName: null };
+    }
+    const [firstParam] = splitTopLevel(params, [',']);
+    let typeMatch = params.match(/}\s*:\s*([A-Z][\w.]*)/);
+    let props = {};
+    if (firstParam && firstParam.startsWith('{')) {
+        props = parsePattern(readBalanced(firstParam, 0) || '');
+    }
+    else if (firstParam) {
+        // `function Name(props: NameProps) { const { a = 1 } = props; ... }`
+        const param = firstParam.match(/^([A-Za-z_$][\w$]*)\s*(?::\s*([A-Z][\w.]*))?/);
+        if (param) {
+            typeMatch = param[2] ? [param[0], param[2]] : null;
+            const pattern = findBodyDestructuring(source, paramsIndex + params.length + 2, param[1]);
+            props = pattern !== null ? parsePattern(pattern) : {};
+        }
+    }
+    // Also pick up `const Name: React.FC<Props> = ...`
+    const fcMatch = source.match(new RegExp(`${componentName}\\s*:\\s*(?:React\\.)?FC<\\s*([A-Z][\\w.]*)\\s*>`));
+    return { props, typeName: typeMatch?.[1] || fcMatch?.[1] || null };
+}
+/**
+ * Parse a TypeScript interface or object type alias. Members of the interfaces it
+ * extends are merged in when they are declared in the same source.
+ * @param source - Source code
+ * @param typeName - Name of the type
+ * @param seen - Types already being parsed, to stop on circular extends
+ * @returns Props keyed by name with their type, optionality and doc comment; null when not found
+ */
+function parseTypeScriptProps(source, typeName, seen = new Set()) {
+    const match = new RegExp(`(?:interface\\s+${typeName}(?:\\s*<[^>]*>)?(?:\\s+extends\\s+([^{]+))?|type\\s+${typeName}\\s*=)\\s*\\{`).exec(source);
+    if (!match) {
+        return null;
+    }
+    seen.add(typeName);
+    const body = readBalanced(source, match.index + match[0].length - 1) || '';
+    // Inherited members come first; the interface's own declarations override them
+    const props = {};
+    for (const base of match[1] ? splitTopLevel(match[1], [',']) : []) {
+        const baseName = base.replace(/\s*<[\s\S]*$/, '');
+        if (/^[A-Za-z_$][\w$]*$/.test(baseName) && !seen.has(baseName)) {
+            Object.assign(props, parseTypeScriptProps(source, baseName, seen));
+        }
+    }
+    // Comments on their own line belong to the member that follows them
+    let pendingComment;
+    for (const item of splitTopLevel(body, [';', ',', '\n'])) {
+        const { comment, declaration } = splitLeadingComment(item);
+        if (!declaration) {
+            pendingComment = comment;
+            continue;
+        }
+        const member = declaration.match(/^(?:readonly\s+)?['"]?([A-Za-z_$][\w$-]*)['"]?(\?)?\s*:\s*([\s\S]+)$/);
+        if (member) {
+            props[member[1]] = { type: member[3].trim(), optional: Boolean(member[2]), description: comment || pendingComment };
+        }
+        pendingComment = undefined;
+    }
+    return props;
+}
+/**
+ * Parse a PropTypes declaration
+ * @param source - Source code
+ * @param componentName - Component name
+ * @returns Props keyed by name with their type and whether they are required; null when absent
+ */
+function parsePropTypes(source, componentName) {
+    const match = new RegExp(`${componentName}\\.propTypes\\s*=\\s*\\{`).exec(source);
+    if (!match) {
+        return null;
+    }
+    const body = readBalanced(source, match.index + match[0].length - 1) || '';
+    const props = {};
+    for (const item of splitTopLevel(body, [','])) {
+        const { comment, declaration } = splitLeadingComment(item);
+        const member = declaration.match(/^([A-Za-z_$][\w$]*)\s*:\s*PropTypes\.([\s\S]+)$/);
+        if (member) {
+            const required = /\.isRequired$/.test(member[2].trim());
+            props[member[1]] = {
+                type: member[2].trim().replace(/\.isRequired$/, ''),
+                required,
+                description: comment
+            };
+        }
+    }
+    return props;
+}
+/**
+ * Extract the props of a component from its source
+ * @param source - Component source (any variant)
+ * @param componentName - Component name
+ * @returns Props keyed by name: { type, default, required, description }
+ */
+export function extractProps(source, componentName) {
+    const { props: destructured, typeName } = parseDestructuredProps(source, componentName);
+    const typed = parseTypeScriptProps(source, typeName || `${componentName}Props`) || {};
+    const propTypes = parsePropTypes(source, componentName) || {};
+    const names = [...new Set([...Object.keys(typed), ...Object.keys(propTypes), ...Object.keys(destructured)])];
+    const props = {};
+    for (const name of names) {
+        const defaultValue = destructured[name]?.default;
+        const tsProp = typed[name];
+        const propType = propTypes[name];
+        let required = false;
+        if (tsProp) {
+            required = !tsProp.optional && defaultValue === undefined;
+        }
+        else if (propType) {
+            required = propType.required;
+        }
+        props[name] = {
+            type: tsProp?.type || propType?.type || (defaultValue !== undefined ? inferType(defaultValue) : undefined),
+            default: defaultValue,
+            required,
+            description: tsProp?.description || propType?.description
+        };
+    }
+    return props;
+}
+/**
+ * Map an import specifier to its npm package name
+ * @param specifier - Import specifier, e.g. `gsap/ScrollTrigger` or `@react-three/fiber`
+ * @returns Package name, or null for relative and absolute imports
+ */
+export function packageName(specifier) {
+    if (specifier.startsWith('.') || specifier.startsWith('/') || specifier.startsWith('node:')) {
+        return null;
+    }
+    const parts = specifier.split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+/**
+ * Whether an import clause only brings in types, which are erased at build time:
+ * `import type { Foo }` or `import { type Foo, type Bar }`
+ * @param clause - Text between `import` and `from`, undefined for side-effect imports
+ * @returns True for type-only imports
+ */
+function isTypeOnlyImport(clause) {
+    if (!clause) {
+        return false;
+    }
+    const text = clause.trim();
+    if (/^type\s/.test(text)) {
+        return true;
+    }
+    const named = text.match(/^\{([\s\S]*)\}$/);
+    const specifiers = named ? splitTopLevel(named[1], [',']) : [];
+    return specifiers.length > 0 && specifiers.every(specifier => /^type\s/.test(specifier));
+}
+/**
+ * List the npm packages a component imports, split into peer and runtime dependencies
+ * @param source - Component source
+ * @returns { peer, runtime } arrays of package names
+ */
+export function extractDependencies(source) {
+    const packages = new Set();
+    const importPattern = /(?:import\s+(?:([\s\S]*?)\s+from\s+)?|import\s*\(\s*|require\s*\(\s*)['"]([^'"]+)['"]/g;
+    let match;
+    while ((match = importPattern.exec(source)) !== null) {
+        const name = packageName(match[2]);
+        if (name && !match[2].endsWith('.css') && !isTypeOnlyImport(match[1])) {
+            packages.add(name);
+        }
+    }
+    const sorted = [...packages].sort();
+    return {
+        peer: sorted.filter(name => PEER_DEPENDENCIES.includes(name)),
+        runtime: sorted.filter(name => !PEER_DEPENDENCIES.includes(name))
+    };
+}
@@ -0,0 +1,411 @@
+import { CATEGORIES, VARIANTS } from './constants.js';
+import { CachedSource, createSource } from './sources/index.js';
+import { DEFAULT_GITHUB_REPOSITORY } from './sources/github-source.js';
+import { fileCacheKey, LISTING_KEY } from './sources/cached-source.js';
+import { DiskCache, DEFAULT_CACHE_DIR, DEFAULT_CACHE_TTL } from './disk-cache.js';
+import { mapConcurrent } from './concurrency.js';
+import { logInfo } from './logger.js';
+import { InvalidArgumentError } from './errors.js';
+const variantsByRoot = Object.fromEntries(Object.entries(VARIANTS).map(([key, variant]) => [variant.root, key]));
+/**
+ * Get (or create) the index entry for a component
+ * @param index - Entries keyed by `<category>/<name>`
+ * @param category - Component category
+ * @param name - Component name
+ * @returns The index entry
+ */
+function ensureEntry(index, category, name) {
+    const key = `${category}/${name}`;
+    if (!index.has(key)) {
+        index.set(key, { name, category, variants: {}, demo: null, codeFile: null });
+    }
+    return index.get(key);
+}
+/**
+ * Build the component index from a flat list of repository paths
+ * @param files - Repository-relative POSIX paths
+ * @returns Index entries sorted by category and name
+ */
+export function buildIndex(files) {
+    const index = new Map();
+    const demos = [];
+    const codeFiles = [];
+    for (const filePath of files) {
+        const segments = filePath.split('/');
+        if (segments[0] !== 'src') {
+            continue;
+        }
+        // src/<variant root>/<Category>/<Name>/<file>
+        const variantKey = variantsByRoot[segments[1]];
+        if (variantKey && segments.length === 5 && CATEGORIES.includes(segments[2])) {
+            const [, , category, name, fileName] = segments;
+            const variant = VARIANTS[variantKey];
+            const entry = ensureEntry(index, category, name);
+            const variantFiles = entry.variants[variantKey] || (entry.variants[variantKey] = {
+                language: variant.language,
+                styling: variant.styling,
+                source: null,
+                css: null,
+                files: []
+            });
+            if (fileName === `${name}.${variant.extension}`) {
+                variantFiles.source = filePath;
+            }
+            else if (fileName === `${name}.css`) {
+                variantFiles.css = filePath;
+            }
+            else {
+                variantFiles.files.push(filePath);
+            }
+            continue;
+        }
+        // src/demo/<Category>/<Name>Demo.jsx
+        if (segments[1] === 'demo' && segments.length === 4 && CATEGORIES.includes(segments[2])) {
+            const match = segments[3].match(/^(.+)Demo\.[jt]sx?$/);
+            if (match) {
+                demos.push({ category: segments[2], name: match[1], filePath });
+            }
+            continue;
+        }
+        // src/constants/code/<Category>/<name>Code.js
+        if (segments[1] === 'constants' && segments[2] === 'code' && segments.length === 5 && CATEGORIES.includes(segments[3])) {
+            const match = segments[4].match(/^(.+)Code\.[jt]s$/);
+            if (match) {
+                codeFiles.push({ category: segments[3], name: match[1], filePath });
+            }
+        }
+    }
+    // Skip directories without a component entry file (shared helpers, assets)
+    const entries = [...index.values()].filter(entry => Object.values(entry.variants).some(variant => variant.source));
+    const lookup = new Map(entries.map(entry => [`${entry.category}/${entry.name.toLowerCase()}`, entry]));
+    for (const demo of demos) {
+        const entry = lookup.get(`${demo.category}/${demo.name.toLowerCase()}`);
+        if (entry) {
+            entry.demo = demo.filePath;
+        }
+    }
+    for (const codeFile of codeFiles) {
+        const entry = lookup.get(`${codeFile.category}/${codeFile.name.toLowerCase()}`);
+        if (entry) {
+            entry.codeFile = codeFile.filePath;
+        }
+    }
+    for (const entry of entries) {
+        for (const [key, variant] of Object.entries(entry.variants)) {
+            if (!variant.source) {
+                delete entry.variants[key];
+            }
+        }
+    }
+    return entries.sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+}
+/**
+ * Collect the repository files the index refers to, plus the upstream package.json
+ * that records the dependency versions the components are built against
+ * @param entries - Index entries
+ * @returns Repository-relative paths
+ */
+export function referencedFiles(entries) {
+    const files = [];
+    for (const entry of entries) {
+        for (const variant of Object.values(entry.variants)) {
+            files.push(variant.source, ...variant.files);
+            if (variant.css) {
+                files.push(variant.css);
+            }
+        }
+        if (entry.demo) {
+            files.push(entry.demo);
+        }
+        if (entry.codeFile) {
+            files.push(entry.codeFile);
+        }
+    }
+    files.push('package.json');
+    return files;
+}
+/**
+ * In-memory catalog of React Bits components, built once from a source
+ */
+export class ComponentRegistry {
+    /**
+     * @param source - Component source (local, snapshot or github)
+     */
+    constructor(source) {
+        this.source = source;
+        this.entriesPromise = null;
+        this.derived = new Map();
+    }
+    /**
+     * Get every index entry, building the index on first use
+     * @returns Promise with index entries
+     */
+    async getEntries() {
+        if (!this.entriesPromise) {
+            this.entriesPromise = (async () => {
+                const files = await this.source.listFiles();
+                const entries = buildIndex(files);
+                logInfo(`Component index built from ${this.source.name} source`, { components: entries.length });
+                return entries;
+            })();
+            // Let the next call retry when the source was unavailable
+            this.entriesPromise.catch(() => {
+                this.entriesPromise = null;
+            });
+        }
+        return this.entriesPromise;
+    }
+    /**
+     * List components, optionally restricted to one category
+     * @param category - Optional category filter
+     * @returns Promise with index entries
+     */
+    async list(category) {
+        const entries = await this.getEntries();
+        return category ? entries.filter(entry => entry.category === category) : entries;
+    }
+    /**
+     * Find a component by name (case-insensitive)
+     * @param name - Component name
+     * @param category - Optional category used to disambiguate
+     * @returns Promise with the index entry, or null when not found
+     * @throws InvalidArgumentError when the name exists in several categories and no category was given
+     */
+    async find(name, category) {
+        const wanted = name.toLowerCase();
+        const entries = await this.list(category);
+        const matches = entries.filter(entry => entry.name.toLowerCase() === wanted);
+        if (matches.length > 1) {
+            throw new InvalidArgumentError(`Component '${name}' exists in several categories (${matches.map(entry => entry.category).join(', ')}); specify a category`, {
+                data: { componentName: name, categories: matches.map(entry => entry.category) }
+            });
+        }
+        return matches[0] || null;
+    }
+    /**
+     * Read a repository file through the source
+     * @param filePath - Repository-relative POSIX path
+     * @returns Promise with the file content, or null when the file does not exist
+     */
+    async readFile(filePath) {
+        return filePath ? this.source.readFile(filePath) : null;
+    }
+    /**
+     * Compute a value derived from the index once, until the index is invalidated
+     * @param key - Cache key
+     * @param factory - Async function computing the value
+     * @returns Promise with the value
+     */
+    async memoize(key, factory) {
+        if (!this.derived.has(key)) {
+            const promise = factory();
+            this.derived.set(key, promise);
+            promise.catch(() => this.derived.delete(key));
+        }
+        return this.derived.get(key);
+    }
+    /**
+     * Drop the index and derived values so that they are rebuilt on next access
+     */
+    invalidate() {
+        this.entriesPromise = null;
+        this.derived.clear();
+    }
+}
+/**
+ * Work out which source to use from explicit options and the environment.
+ * An explicit `source` wins; otherwise a local checkout, then a snapshot, and finally
+ * GitHub, anonymous unless a token is available.
+ * @param options - Registry options
+ * @param options.source - Source type to force (local, snapshot or github)
+ * @param options.sourceDir - Local React Bits checkout
+ * @param options.snapshot - Snapshot JSON file
+ * @param options.github - GitHub source options (owner, repo, ref, token, apiUrl, rawUrl)
+ * @returns Options for createSource
+ */
+export function resolveSourceOptions(options = {}) {
+    const sourceDir = options.sourceDir || process.env.REACT_BITS_PATH;
+    const snapshot = options.snapshot || process.env.REACT_BITS_SNAPSHOT;
+    const github = {
+        apiUrl: process.env.GITHUB_API_URL,
+        rawUrl: process.env.GITHUB_RAW_URL,
+        ...options.github
+    };
+    let type = options.source || process.env.REACT_BITS_SOURCE;
+    if (!type) {
+        if (sourceDir) {
+            type = 'local';
+        }
+        else if (snapshot) {
+            type = 'snapshot';
+        }
+        else {
+            type = 'github';
+        }
+    }
+    switch (type) {
+        case 'local':
+            if (!sourceDir) {
+                throw new Error('The local source requires --source-dir or REACT_BITS_PATH');
+            }
+            return { type, rootDir: sourceDir };
+        case 'snapshot':
+            if (!snapshot) {
+                throw new Error('The snapshot source requires --snapshot or REACT_BITS_SNAPSHOT');
+            }
+            return { type, file: snapshot };
+        default:
+            return { type, ...github };
+    }
+}
+/**
+ * Work out the disk cache settings from explicit options and the environment
+ * @param options - Cache options
+ * @param options.enabled - Set to false to disable the cache
+ * @param options.dir - Cache directory
+ * @param options.ttl - Time to live of cached files, in seconds
+ * @param options.offline - Serve only from the cache
+ * @returns Cache settings
+ */
+export function resolveCacheOptions(options = {}) {
+    const ttl = Number(options.ttl ?? process.env.REACT_BITS_CACHE_TTL ?? DEFAULT_CACHE_TTL);
+    if (!Number.isFinite(ttl) || ttl < 0) {
+        throw new Error(`Invalid cache TTL: ${options.ttl ?? process.env.REACT_BITS_CACHE_TTL}`);
+    }
+    return {
+        enabled: options.enabled ?? process.env.REACT_BITS_CACHE !== 'off',
+        dir: options.dir || process.env.REACT_BITS_CACHE_DIR || DEFAULT_CACHE_DIR,
+        ttl,
+        offline: options.offline ?? ['1', 'true'].includes(process.env.REACT_BITS_OFFLINE)
+    };
+}
+/**
+ * Time to live of files read at a full commit SHA, which never change: one year
+ */
+const IMMUTABLE_REF_TTL = 365 * 24 * 60 * 60;
+let registry = null;
+let registryOptions = {};
+const pinnedRegistries = new Map();
+/**
+ * Create a registry over a source, wrapping remote sources in the disk cache
+ * @param sourceOptions - Options for createSource
+ * @param cacheOptions - Cache settings, see resolveCacheOptions
+ * @returns The registry
+ */
+function createRegistry(sourceOptions, cacheOptions) {
+    let source = createSource(sourceOptions);
+    if (source.cacheKey && (cacheOptions.enabled || cacheOptions.offline)) {
+        const cache = new DiskCache({ dir: cacheOptions.dir, namespace: source.cacheKey });
+        source = new CachedSource(source, { cache, ttl: cacheOptions.ttl, offline: cacheOptions.offline });
+        logInfo(`Caching ${sourceOptions.type} source in ${cache.dir}${cacheOptions.offline ? ' (offline)' : ''}`);
+    }
+    else if (cacheOptions.offline) {
+        logInfo(`Offline mode: the ${sourceOptions.type} source is read from disk`);
+    }
+    return new ComponentRegistry(source);
+}
+/**
+ * Configure the shared registry used by every tool, prompt and resource.
+ * Remote sources are wrapped in the disk cache; local ones are read directly.
+ * @param options - Registry options, see resolveSourceOptions; `cache` holds the options of resolveCacheOptions
+ * @returns The configured registry
+ */
+export function configureRegistry(options = {}) {
+    const sourceOptions = resolveSourceOptions(options);
+    registryOptions = options;
+    pinnedRegistries.clear();
+    registry = createRegistry(sourceOptions, resolveCacheOptions(options.cache));
+    logInfo(`Component registry configured with ${sourceOptions.type} source`);
+    return registry;
+}
+/**
+ * Get the shared registry, configuring it from the environment if needed
+ * @returns The registry
+ */
+export function getRegistry() {
+    return registry || configureRegistry();
+}
+/**
+ * Describe the configured source for status reports
+ * @returns { type, ref, cached, offline, cacheDir, rateLimit }; rateLimit is null for sources without a GitHub client
+ */
+export function describeSource() {
+    const { source } = getRegistry();
+    const upstream = source instanceof CachedSource ? source.source : source;
+    const rateLimit = upstream.client?.rateLimit;
+    return {
+        type: source.name,
+        ref: upstream.ref ?? null,
+        cached: source instanceof CachedSource,
+        offline: Boolean(source.offline),
+        cacheDir: source.cache?.dir ?? null,
+        rateLimit: rateLimit ? { ...rateLimit, resetAt: rateLimit.resetAt?.toISOString() ?? null } : null
+    };
+}
+/**
+ * Get a registry reading the upstream GitHub repository at a given branch, tag or commit,
+ * whatever the configured source. Pinned registries share the disk cache settings;
+ * files read at a full commit SHA are cached for a year since they cannot change.
+ * @param ref - Branch, tag or commit; the shared registry is returned when omitted
+ * @returns The registry
+ */
+export function getRegistryAt(ref) {
+    const current = getRegistry();
+    if (!ref) {
+        return current;
+    }
+    const github = resolveSourceOptions({ ...registryOptions, source: 'github' });
+    if (current.source.name === 'github' && (github.ref || DEFAULT_GITHUB_REPOSITORY.ref) === ref) {
+        return current;
+    }
+    if (!pinnedRegistries.has(ref)) {
+        const cacheOptions = resolveCacheOptions(registryOptions.cache);
+        const ttl = /^[0-9a-f]{40}$/i.test(ref) ? Math.max(cacheOptions.ttl, IMMUTABLE_REF_TTL) : cacheOptions.ttl;
+        pinnedRegistries.set(ref, createRegistry({ ...github, ref }, { ...cacheOptions, ttl }));
+        logInfo(`Component registry pinned to GitHub ref ${ref}`);
+    }
+    return pinnedRegistries.get(ref);
+}
+
+/**
+ * Refresh the disk cache: fetch the file listing again, make sure every file the
+ * index refers to is cached and fresh, and prune entries that are no longer referenced
+ * @param options - Refresh options
+ * @param options.force - Fetch every file again, even when its cached copy is fresh
+ * @returns Promise with a summary of the refresh and of the cache
+ * @throws InvalidArgumentError when the source is not cached or the server is offline
+ */
+export async function refreshCache({ force = false } = {}) {
+    const current = getRegistry();
+    const { source } = current;
+    if (!(source instanceof CachedSource)) {
+        throw new InvalidArgumentError(`The ${source.name} source is read from disk and is not cached`);
+    }
+    if (source.offline) {
+        throw new InvalidArgumentError('Cannot refresh the cache in offline mode');
+    }
+    const entries = buildIndex(await source.listFiles({ refresh: true }));
+    const paths = [...new Set(referencedFiles(entries))];
+    const counts = { updated: 0, unchanged: 0, cached: 0, stale: 0 };
+    const failed = [];
+    await mapConcurrent(paths, 8, async (filePath) => {
+        try {
+            counts[await source.refreshFile(filePath, { force })]++;
+        }
+        catch (error) {
+            failed.push({ path: filePath, error: error instanceof Error ? error.message : String(error) });
+        }
+    });
+    const pruned = await source.cache.prune([LISTING_KEY, ...paths.map(fileCacheKey)]);
+    // Rebuild the index and derived values from the refreshed files
+    current.invalidate();
+    logInfo('Component cache refreshed', { files: paths.length, ...counts, failed: failed.length });
+    return {
+        components: entries.length,
+        files: paths.length,
+        ...counts,
+        failed,
+        ...pruned,
+        cache: await source.cache.stats()
+    };
+}
@@ -0,0 +1,277 @@
+/**
+ * Ranked fuzzy search over component documents
+ */
+/**
+ * Relative weight of each searchable field
+ */
+export const FIELD_WEIGHTS = {
+    name: 10,
+    tags: 6,
+    props: 3,
+    category: 2,
+    keywords: 2
+};
+/**
+ * Identifiers too common in React code to be useful search keywords
+ */
+const STOP_WORDS = new Set([
+    'const', 'return', 'import', 'export', 'default', 'from', 'function', 'props', 'react', 'null', 'true',
+    'false', 'undefined', 'this', 'current', 'value', 'style', 'class', 'classname', 'length', 'void',
+    'else', 'state', 'effect', 'callback', 'memo', 'ref', 'use', 'set', 'get', 'new', 'math', 'window',
+    'document', 'event', 'index', 'item', 'items', 'data', 'options', 'children', 'width', 'height', 'type'
+]);
+/**
+ * Identifiers of React and the browser found in most components: they say nothing
+ * about what a component does. Hooks (`use` followed by a capital) are skipped too.
+ */
+const IGNORED_IDENTIFIERS = new Set([
+    'React', 'Fragment', 'forwardRef', 'createContext', 'createElement', 'cloneElement', 'Children', 'memo',
+    'addEventListener', 'removeEventListener', 'requestAnimationFrame', 'cancelAnimationFrame',
+    'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'getBoundingClientRect',
+    'querySelector', 'querySelectorAll', 'getComputedStyle', 'preventDefault', 'stopPropagation',
+    'console', 'Object', 'Array', 'Number', 'String', 'Boolean', 'Promise', 'JSON', 'parseInt', 'parseFloat'
+]);
+/**
+ * Split text into lowercase tokens, breaking camelCase and PascalCase words
+ * @param text - Text to tokenize
+ * @returns Tokens
+ */
+export function tokenize(text) {
+    return String(text)
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, bounded for speed
+ * @param a - First string
+ * @param b - Second string
+ * @param max - Distance above which the exact value does not matter
+ * @returns The edit distance, or max + 1 when it exceeds max
+ */
+export function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+/**
+ * How many typos a query token of this length may contain
+ * @param token - Query token
+ * @returns Allowed edit distance
+ */
+function allowedTypos(token) {
+    if (token.length <= 3) {
+        return 0;
+    }
+    return token.length <= 6 ? 1 : 2;
+}
+/**
+ * Score how well one query token matches one document token
+ * @param queryToken - Query token
+ * @param token - Document token
+ * @returns Match quality between 0 and 1
+ */
+function matchQuality(queryToken, token) {
+    if (token === queryToken) {
+        return 1;
+    }
+    if (queryToken.length >= 3 && token.startsWith(queryToken)) {
+        return 0.8;
+    }
+    if (queryToken.length >= 4 && token.includes(queryToken)) {
+        return 0.6;
+    }
+    const max = allowedTypos(queryToken);
+    if (max > 0) {
+        const distance = editDistance(queryToken, token, max);
+        if (distance <= max) {
+            return 0.7 - 0.15 * distance;
+        }
+    }
+    return 0;
+}
+/**
+ * Extract keywords from component source code: imported packages and frequent identifiers
+ * @param source - Source code
+ * @param limit - Maximum number of identifier keywords
+ * @returns Keywords with the first source line each appears on
+ */
+export function extractKeywords(source, limit = 40) {
+    const keywords = new Map();
+    const lines = source.split('\n');
+    for (const line of lines) {
+        const match = line.match(/^\s*import\s.*?from\s+['"]([^'"./][^'"]*)['"]/);
+        if (match) {
+            keywords.set(match[1], line.trim());
+        }
+    }
+    const counts = new Map();
+    const firstLine = new Map();
+    for (const line of lines) {
+        for (const identifier of line.match(/[A-Za-z_$][\w$]{3,}/g) || []) {
+            if (IGNORED_IDENTIFIERS.has(identifier) || /^use[A-Z]/.test(identifier)) {
+                continue;
+            }
+            // The whole identifier is substring-matched: keep it only when none of its parts is a stop word
+            const parts = tokenize(identifier);
+            const tokens = parts.some(part => STOP_WORDS.has(part)) ? parts : [identifier.toLowerCase(), ...parts];
+            for (const token of tokens) {
+                if (token.length < 4 || STOP_WORDS.has(token)) {
+                    continue;
+                }
+                counts.set(token, (counts.get(token) || 0) + 1);
+                if (!firstLine.has(token)) {
+                    firstLine.set(token, line.trim());
+                }
+            }
+        }
+    }
+    [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .forEach(([token]) => keywords.set(token, firstLine.get(token)));
+    return [...keywords.entries()].map(([keyword, line]) => ({ keyword, line }));
+}
+/**
+ * Build a search document for a component
+ * @param component - Component fields
+ * @param component.name - Component name
+ * @param component.category - Component category
+ * @param component.tags - Optional tags
+ * @param component.props - Optional prop names
+ * @param component.source - Optional source code, mined for keywords
+ * @returns Search document
+ */
+export function createSearchDocument({ name, category, tags = [], props = [], source }) {
+    const fields = {
+        name: [{ tokens: [name.toLowerCase(), ...tokenize(name)], snippet: name }],
+        category: [{ tokens: [category.toLowerCase(), ...tokenize(category)], snippet: category }],
+        tags: tags.map(tag => ({ tokens: [tag.toLowerCase(), ...tokenize(tag)], snippet: tag })),
+        props: props.map(prop => ({ tokens: [prop.toLowerCase(), ...tokenize(prop)], snippet: prop })),
+        keywords: source ? extractKeywords(source).map(({ keyword, line }) => ({ tokens: [keyword.toLowerCase(), ...tokenize(keyword)], snippet: line })) : []
+    };
+    return { name, category, fields };
+}
+/**
+ * Shorten a snippet around the first occurrence of a token
+ * @param snippet - Full snippet
+ * @param token - Token to center on
+ * @param width - Maximum snippet length
+ * @returns Shortened snippet
+ */
+function excerpt(snippet, token, width = 80) {
+    if (snippet.length <= width) {
+        return snippet;
+    }
+    const position = Math.max(0, snippet.toLowerCase().indexOf(token));
+    const start = Math.max(0, Math.min(position - Math.floor(width / 3), snippet.length - width));
+    return `${start > 0 ? '…' : ''}${snippet.slice(start, start + width).trim()}${start + width < snippet.length ? '…' : ''}`;
+}
+/**
+ * Rank documents against a query
+ * @param documents - Search documents
+ * @param query - Free-text query
+ * @param options - Search options
+ * @param options.limit - Maximum number of results
+ * @returns Results sorted by descending score: { name, category, score, matches: [{ field, term, snippet }] }
+ */
+export function rankDocuments(documents, query, { limit = 10 } = {}) {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) {
+        return [];
+    }
+    const compactQuery = queryTokens.join('');
+    const results = [];
+    for (const document of documents) {
+        let score = 0;
+        let matchedTokens = 0;
+        const matches = [];
+        for (const queryToken of queryTokens) {
+            let best = null;
+            for (const [field, values] of Object.entries(document.fields)) {
+                for (const value of values) {
+                    for (const token of value.tokens) {
+                        const quality = matchQuality(queryToken, token);
+                        const weighted = quality * FIELD_WEIGHTS[field];
+                        if (quality > 0 && (!best || weighted > best.weighted)) {
+                            best = { weighted, field, term: queryToken, token, snippet: value.snippet };
+                        }
+                    }
+                }
+            }
+            if (best) {
+                matchedTokens++;
+                score += best.weighted;
+                matches.push({ field: best.field, term: best.term, snippet: excerpt(best.snippet, best.token) });
+            }
+        }
+        if (matchedTokens === 0) {
+            continue;
+        }
+        // Whole-name matches in any word order ("text glitch" -> GlitchText) rank first
+        const nameTokens = tokenize(document.name);
+        if (document.name.toLowerCase() === compactQuery ||
+            (nameTokens.length === queryTokens.length && [...nameTokens].sort().join('') === [...queryTokens].sort().join(''))) {
+            score += 2 * FIELD_WEIGHTS.name;
+        }
+        else if (editDistance(compactQuery, document.name.toLowerCase(), allowedTypos(compactQuery)) <= allowedTypos(compactQuery)) {
+            score += FIELD_WEIGHTS.name;
+        }
+        // Penalize documents that leave query words unmatched
+        score *= (matchedTokens / queryTokens.length) ** 2;
+        results.push({ name: document.name, category: document.category, score: Math.round(score * 100) / 100, matches });
+    }
+    return results
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+/**
+ * Find the component names closest to a misspelled or partial name
+ * @param name - Requested name
+ * @param candidates - Components as { name, category }
+ * @param limit - Maximum number of suggestions
+ * @returns Closest candidates, best first
+ */
+export function suggestNames(name, candidates, limit = 3) {
+    const wanted = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (!wanted) {
+        return [];
+    }
+    const max = Math.max(2, Math.floor(wanted.length / 3));
+    return candidates
+        .map(candidate => {
+            const candidateName = candidate.name.toLowerCase();
+            // Partial names ("glitch" -> GlitchText) count as close matches
+            const distance = wanted.length >= 3 && candidateName.includes(wanted)
+                ? 1
+                : editDistance(wanted, candidateName, max);
+            return { candidate, distance };
+        })
+        .filter(({ distance }) => distance <= max)
+        .sort((a, b) => a.distance - b.distance || a.candidate.name.localeCompare(b.candidate.name))
+        .slice(0, limit)
+        .map(({ candidate }) => ({ name: candidate.name, category: candidate.category }));
+}
@@ -0,0 +1,180 @@
+/**
+ * The subset of npm semver needed to compare dependency ranges:
+ * exact versions, ^, ~, comparison operators, x-ranges, hyphen ranges and ||.
+ * Prerelease tags are ignored.
+ */
+/**
+ * Parse a version, allowing missing minor and patch parts (`1`, `1.2`, `1.x`)
+ * @param text - Version text, optionally prefixed with `v` or `=`
+ * @returns { parts: [major, minor, patch], specified: number of explicit numeric parts }, or null
+ */
+function parsePartial(text) {
+    const match = text.trim().replace(/^[=v]+/, '').match(/^(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:[-+].*)?$/);
+    if (!match) {
+        return null;
+    }
+    const raw = match.slice(1, 4);
+    const specified = raw.findIndex(part => part === undefined || /[xX*]/.test(part));
+    return {
+        parts: raw.map(part => (part === undefined || /[xX*]/.test(part) ? 0 : Number(part))),
+        specified: specified === -1 ? 3 : specified
+    };
+}
+/**
+ * Parse a full version such as `3.12.5`
+ * @param text - Version text
+ * @returns [major, minor, patch], or null when the text is not a version
+ */
+export function parseVersion(text) {
+    const parsed = parsePartial(text);
+    return parsed && parsed.specified === 3 ? parsed.parts : null;
+}
+/**
+ * Compare two versions
+ * @param a - First version
+ * @param b - Second version
+ * @returns Negative, zero or positive
+ */
+export function compareVersions(a, b) {
+    return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+/**
+ * Expand one comparator of a range into bounds
+ * @param comparator - e.g. `^1.2.3`, `>=2`, `1.x`
+ * @returns Array of { operator, version } bounds, or null when unsupported
+ */
+function expandComparator(comparator) {
+    const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*(.+)$/);
+    if (!match) {
+        return null;
+    }
+    const [, operator = '', versionText] = match;
+    const parsed = parsePartial(versionText);
+    if (!parsed) {
+        return null;
+    }
+    const { parts: [major, minor, patch], specified } = parsed;
+    if (specified === 0) {
+        // `*`, `x`: anything, unless bounded by an operator
+        return operator === '<' || operator === '<=' ? [{ operator: '<', version: [0, 0, 0] }] : [];
+    }
+    const lower = [major, minor, patch];
+    // Upper bound of an x-range (`1` -> 2.0.0, `1.2` -> 1.3.0)
+    const xUpper = specified === 1 ? [major + 1, 0, 0] : [major, minor + 1, 0];
+    switch (operator) {
+        case '^': {
+            const upper = major > 0 || specified === 1
+                ? [major + 1, 0, 0]
+                : minor > 0 || specified === 2 ? [0, minor + 1, 0] : [0, 0, patch + 1];
+            return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+        }
+        case '~':
+            return [{ operator: '>=', version: lower }, { operator: '<', version: specified === 1 ? [major + 1, 0, 0] : [major, minor + 1, 0] }];
+        case '>':
+            return specified === 3 ? [{ operator: '>', version: lower }] : [{ operator: '>=', version: xUpper }];
+        case '<=':
+            return specified === 3 ? [{ operator: '<=', version: lower }] : [{ operator: '<', version: xUpper }];
+        case '>=':
+        case '<':
+            return [{ operator, version: lower }];
+        default:
+            return specified === 3
+                ? [{ operator: '>=', version: lower }, { operator: '<=', version: lower }]
+                : [{ operator: '>=', version: lower }, { operator: '<', version: xUpper }];
+    }
+}
+/**
+ * Parse a range into alternatives of bounds
+ * @param range - npm version range
+ * @returns Array (one per `||` alternative) of bound arrays, or null when the range is not a semver range
+ */
+export function parseRange(range) {
+    const text = String(range).trim();
+    if (text === '' || text === '*' || text === 'latest') {
+        return [[]];
+    }
+    const alternatives = [];
+    for (const alternative of text.split('||')) {
+        const hyphen = alternative.trim().match(/^(\S+)\s+-\s+(\S+)$/);
+        const comparators = hyphen
+            ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+            : alternative.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+        const bounds = [];
+        for (const comparator of comparators) {
+            const expanded = expandComparator(comparator);
+            if (!expanded) {
+                return null;
+            }
+            bounds.push(...expanded);
+        }
+        alternatives.push(bounds);
+    }
+    return alternatives;
+}
+/**
+ * Whether a version satisfies a range
+ * @param version - [major, minor, patch] or version text
+ * @param range - npm version range
+ * @returns True when satisfied; null when the range cannot be interpreted
+ */
+export function satisfies(version, range) {
+    const parsedVersion = typeof version === 'string' ? parseVersion(version) : version;
+    const alternatives = parseRange(range);
+    if (!parsedVersion || !alternatives) {
+        return null;
+    }
+    return alternatives.some(bounds => bounds.every(({ operator, version: bound }) => {
+        const comparison = compareVersions(parsedVersion, bound);
+        switch (operator) {
+            case '>=': return comparison >= 0;
+            case '>': return comparison > 0;
+            case '<=': return comparison <= 0;
+            default: return comparison < 0;
+        }
+    }));
+}
+/**
+ * Lowest version that satisfies a range
+ * @param range - npm version range
+ * @returns [major, minor, patch], or null when none can be determined
+ */
+export function minVersion(range) {
+    const alternatives = parseRange(range);
+    if (!alternatives) {
+        return null;
+    }
+    const candidates = alternatives.map(bounds => {
+        let lowest = [0, 0, 0];
+        for (const { operator, version } of bounds) {
+            const candidate = operator === '>' ? [version[0], version[1], version[2] + 1] : version;
+            if ((operator === '>=' || operator === '>') && compareVersions(candidate, lowest) > 0) {
+                lowest = candidate;
+            }
+        }
+        return lowest;
+    }).filter(candidate => satisfies(candidate, range));
+    return candidates.sort(compareVersions)[0] || null;
+}
+/**
+ * Whether two ranges accept at least one common version
+ * @param a - First range
+ * @param b - Second range
+ * @returns True when they overlap; null when either range cannot be interpreted
+ */
+export function rangesIntersect(a, b) {
+    const lowestA = minVersion(a);
+    const lowestB = minVersion(b);
+    if (!lowestA || !lowestB) {
+        return null;
+    }
+    // Two intervals overlap iff the lowest version of one of them satisfies the other
+    return Boolean(satisfies(lowestA, b) || satisfies(lowestB, a));
+}
+/**
+ * Format a version
+ * @param version - [major, minor, patch]
+ * @returns Version text
+ */
+export function formatVersion(version) {
+    return version.join('.');
+}
@@ -0,0 +1,141 @@
+import { DEFAULT_CACHE_TTL } from '../disk-cache.js';
+import { RateLimitedError, SourceUnavailableError } from '../errors.js';
+import { logWarn } from '../logger.js';
+import { circuitBreakers } from '../circuit-breaker.js';
+/**
+ * Cache key of the file listing
+ */
+export const LISTING_KEY = 'tree';
+/**
+ * Time to live of the file listing, in seconds; new components show up after at most this long
+ */
+const LISTING_TTL = 60 * 60;
+/**
+ * Cache key of a file
+ * @param relativePath - Repository-relative POSIX path
+ * @returns Cache key
+ */
+export function fileCacheKey(relativePath) {
+    return `file:${relativePath}`;
+}
+/**
+ * Component source that keeps the files of another (remote) source in a disk cache.
+ *
+ * Fresh entries are served from disk; expired ones are fetched again, falling back to
+ * the stale copy when the upstream is unreachable or rate limited. In offline mode
+ * the wrapped source is never called.
+ */
+export class CachedSource {
+    /**
+     * @param source - Source to cache
+     * @param options - Cache options
+     * @param options.cache - DiskCache instance
+     * @param options.ttl - Time to live of cached files, in seconds
+     * @param options.offline - Serve only from the cache
+     */
+    constructor(source, { cache, ttl = DEFAULT_CACHE_TTL, offline = false }) {
+        this.name = source.name;
+        this.source = source;
+        this.cache = cache;
+        this.ttl = ttl;
+        this.offline = offline;
+    }
+    /**
+     * Look up a cache entry; when the disk cache fails, continue as if it were empty
+     * (in offline mode there is nothing to fall back on, so the error is thrown)
+     * @param key - Cache key
+     * @returns Promise with the entry, see DiskCache.get
+     */
+    async readCache(key) {
+        try {
+            return await circuitBreakers.cache.execute(() => this.cache.get(key));
+        }
+        catch (error) {
+            if (this.offline) {
+                throw error;
+            }
+            logWarn(`Disk cache unavailable, reading ${key} from upstream: ${error.message}`);
+            return null;
+        }
+    }
+    /**
+     * Store a cache entry; a failing disk cache only costs the next lookup a download
+     * @param key - Cache key
+     * @param content - Content to store
+     * @param ttl - Time to live, in seconds
+     */
+    async writeCache(key, content, ttl) {
+        try {
+            await circuitBreakers.cache.execute(() => this.cache.set(key, content, ttl));
+        }
+        catch (error) {
+            logWarn(`Cannot cache ${key}: ${error.message}`);
+        }
+    }
+    /**
+     * Read an entry through the cache
+     * @param key - Cache key
+     * @param ttl - Time to live of a new entry, in seconds
+     * @param load - Loads the value from the wrapped source
+     * @param options - Lookup options
+     * @param options.refresh - Ignore a fresh cached copy
+     * @returns Promise with { content, status }: status is 'cached', 'stale', 'updated' or 'unchanged'
+     */
+    async lookup(key, ttl, load, { refresh = false } = {}) {
+        const cached = await this.readCache(key);
+        if (cached && (this.offline || (cached.fresh && !refresh))) {
+            return { content: cached.content, status: 'cached' };
+        }
+        if (this.offline) {
+            throw new SourceUnavailableError(`Offline mode: ${key.replace(/^file:/, '')} is not in the cache (${this.cache.dir}); run refresh_cache while online`, {
+                data: { key, cacheDir: this.cache.dir }
+            });
+        }
+        let content;
+        try {
+            content = await load();
+        }
+        catch (error) {
+            if (cached && (error instanceof SourceUnavailableError || error instanceof RateLimitedError)) {
+                logWarn(`Serving stale cached copy of ${key} fetched at ${cached.fetchedAt}: ${error.message}`);
+                return { content: cached.content, status: 'stale' };
+            }
+            throw error;
+        }
+        await this.writeCache(key, content, ttl);
+        return { content, status: cached && cached.content === content ? 'unchanged' : 'updated' };
+    }
+    /**
+     * List every file of the wrapped source
+     * @param options - Lookup options
+     * @param options.refresh - Fetch the listing again even when the cached one is fresh
+     * @returns Promise with repository-relative POSIX paths
+     */
+    async listFiles({ refresh = false } = {}) {
+        const { content, status } = await this.lookup(LISTING_KEY, Math.min(LISTING_TTL, this.ttl), async () => JSON.stringify(await this.source.listFiles()), { refresh });
+        if (status === 'updated' || status === 'unchanged') {
+            await this.cache.setMeta({ ref: this.source.ref ?? null, treeSha: this.source.treeSha ?? null, listedAt: new Date().toISOString() });
+        }
+        return JSON.parse(content);
+    }
+    /**
+     * Read a file through the cache
+     * @param relativePath - Repository-relative POSIX path
+     * @returns Promise with the file content, or null when the file does not exist
+     */
+    async readFile(relativePath) {
+        const { content } = await this.lookup(fileCacheKey(relativePath), this.ttl, () => this.source.readFile(relativePath));
+        return content;
+    }
+    /**
+     * Make sure a file is cached and fresh
+     * @param relativePath - Repository-relative POSIX path
+     * @param options - Refresh options
+     * @param options.force - Fetch the file even when the cached copy is fresh
+     * @returns Promise with the lookup status ('cached', 'stale', 'updated' or 'unchanged')
+     */
+    async refreshFile(relativePath, { force = false } = {}) {
+        const { status } = await this.lookup(fileCacheKey(relativePath), this.ttl, () => this.source.readFile(relativePath), { refresh: force });
+        return status;
+    }
+}
@@ -0,0 +1,91 @@
+import { SOURCE_ROOTS } from '../constants.js';
+import { GitHubClient } from '../github-client.js';
+import { NotFoundError, SourceUnavailableError } from '../errors.js';
+/**
+ * Default upstream repository
+ */
+export const DEFAULT_GITHUB_REPOSITORY = {
+    owner: 'DavidHDev',
+    repo: 'react-bits',
+    ref: 'main'
+};
+/**
+ * Component source backed by the React Bits repository on GitHub.
+ * The file list comes from the git trees API, file contents from the raw content host.
+ */
+export class GitHubSource {
+    /**
+     * @param options - Source options
+     * @param options.owner - Repository owner
+     * @param options.repo - Repository name
+     * @param options.ref - Branch, tag or commit to read from
+     * @param options.token - Personal access token
+     * @param options.apiUrl - Base URL of the REST API
+     * @param options.rawUrl - Base URL serving raw file contents
+     * @param options.client - Preconfigured GitHubClient (takes precedence over token and URLs)
+     */
+    constructor({ owner, repo, ref, token, apiUrl, rawUrl, client } = {}) {
+        this.name = 'github';
+        this.owner = owner || DEFAULT_GITHUB_REPOSITORY.owner;
+        this.repo = repo || DEFAULT_GITHUB_REPOSITORY.repo;
+        this.ref = ref || DEFAULT_GITHUB_REPOSITORY.ref;
+        this.client = client || new GitHubClient({ token, apiUrl, rawUrl });
+        // Identifies cached files; the API host is included so mirrors do not share entries
+        this.cacheKey = `github:${this.client.apiUrl.replace(/^https?:\/\//, '')}/${this.owner}/${this.repo}@${this.ref}`;
+        // Git tree hash of the last listing
+        this.treeSha = null;
+    }
+    /**
+     * List every file below the source roots at the configured ref
+     * @returns Promise with repository-relative POSIX paths
+     */
+    async listFiles() {
+        const tree = await this.client.getJson(`/repos/${this.owner}/${this.repo}/git/trees/${encodeURIComponent(this.ref)}?recursive=1`);
+        if (!tree) {
+            throw new NotFoundError(`GitHub ref not found: ${this.owner}/${this.repo}@${this.ref}`);
+        }
+        if (tree.truncated) {
+            throw new SourceUnavailableError(`GitHub tree for ${this.owner}/${this.repo}@${this.ref} is truncated`);
+        }
+        this.treeSha = tree.sha || null;
+        return tree.tree
+            .filter(item => item.type === 'blob')
+            .map(item => item.path)
+            .filter(filePath => SOURCE_ROOTS.some(root => filePath.startsWith(`${root}/`)));
+    }
+    /**
+     * Read a file at the configured ref
+     * @param relativePath - Repository-relative POSIX path
+     * @returns Promise with the file content, or null when the file does not exist
+     */
+    async readFile(relativePath) {
+        const encodedPath = relativePath.split('/').map(encodeURIComponent).join('/');
+        return this.client.getRaw(`/${this.owner}/${this.repo}/${encodeURIComponent(this.ref)}/${encodedPath}`);
+    }
+    /**
+     * List the commits between two refs that touched a path
+     * @param base - Older branch, tag or commit
+     * @param head - Newer branch, tag or commit
+     * @param relativePath - Repository-relative POSIX path of a file or directory
+     * @returns Promise with { sha, message, author, date }, oldest first
+     * @throws NotFoundError when one of the refs does not exist
+     */
+    async listCommits(base, head, relativePath) {
+        const repository = `/repos/${this.owner}/${this.repo}`;
+        const comparison = await this.client.getJson(`${repository}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`);
+        if (!comparison) {
+            throw new NotFoundError(`Cannot compare ${base}...${head} in ${this.owner}/${this.repo}: ref not found`);
+        }
+        // The comparison does not say which files each commit touched; the path history does
+        const history = await this.client.getJson(`${repository}/commits?sha=${encodeURIComponent(head)}&path=${encodeURIComponent(relativePath)}&per_page=100`) || [];
+        const touching = new Set(history.map(commit => commit.sha));
+        return comparison.commits
+            .filter(commit => touching.has(commit.sha))
+            .map(commit => ({
+                sha: commit.sha,
+                message: commit.commit.message.split('\n')[0],
+                author: commit.commit.author?.name ?? null,
+                date: commit.commit.author?.date ?? null
+            }));
+    }
+}
@@ -0,0 +1,26 @@
+import { LocalSource } from './local-source.js';
+import { SnapshotSource } from './snapshot-source.js';
+import { GitHubSource } from './github-source.js';
+import { CachedSource } from './cached-source.js';
+export { LocalSource, SnapshotSource, GitHubSource, CachedSource };
+/**
+ * Source constructors keyed by source type
+ */
+export const sourceTypes = {
+    local: LocalSource,
+    snapshot: SnapshotSource,
+    github: GitHubSource
+};
+/**
+ * Create a component source from options
+ * @param options - Source options; `type` selects the implementation, the rest is passed through
+ * @returns The source instance
+ */
+export function createSource(options) {
+    const { type, ...sourceOptions } = options;
+    const SourceType = sourceTypes[type];
+    if (!SourceType) {
+        throw new Error(`Unknown component source type: ${type}`);
+    }
+    return new SourceType(sourceOptions);
+}
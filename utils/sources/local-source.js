@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SOURCE_ROOTS } from '../constants.js';
+import { SourceUnavailableError } from '../errors.js';
+import { resolveInside } from '../validation.js';
+import { circuitBreakers } from '../circuit-breaker.js';
+/**
+ * Component source backed by a local checkout of the React Bits repository
+ * (or any directory laid out the same way).
+ */
+export class LocalSource {
+    /**
+     * @param options - Source options
+     * @param options.rootDir - Root of the React Bits checkout
+     */
+    constructor({ rootDir }) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+    }
+    /**
+     * List every file below the source roots
+     * @returns Promise with repository-relative POSIX paths
+     */
+    async listFiles() {
+        const files = [];
+        for (const root of SOURCE_ROOTS) {
+            await this.walk(root, files);
+        }
+        return files;
+    }
+    /**
+     * Read a file from the checkout
+     * @param relativePath - Repository-relative POSIX path
+     * @returns Promise with the file content, or null when the file does not exist
+     * @throws InvalidArgumentError when the path leads outside the checkout
+     */
+    async readFile(relativePath) {
+        const filePath = resolveInside(this.rootDir, relativePath);
+        return circuitBreakers.filesystem.execute(async () => {
+            try {
+                return await fs.readFile(filePath, 'utf8');
+            }
+            catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw new SourceUnavailableError(`Cannot read ${relativePath} from ${this.rootDir}: ${error.message}`, { cause: error });
+            }
+        });
+    }
+    /**
+     * Recursively collect files below a directory
+     * @param relativeDir - Repository-relative directory
+     * @param files - Accumulator for the discovered paths
+     */
+    async walk(relativeDir, files) {
+        const entries = await circuitBreakers.filesystem.execute(async () => {
+            try {
+                return await fs.readdir(path.join(this.rootDir, ...relativeDir.split('/')), { withFileTypes: true });
+            }
+            catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw new SourceUnavailableError(`Cannot list ${relativeDir} in ${this.rootDir}: ${error.message}`, { cause: error });
+            }
+        });
+        for (const entry of entries) {
+            const relativePath = `${relativeDir}/${entry.name}`;
+            if (entry.isDirectory()) {
+                await this.walk(relativePath, files);
+            }
+            else if (entry.isFile()) {
+                files.push(relativePath);
+            }
+        }
+    }
+}
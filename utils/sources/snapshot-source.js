@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import { SourceUnavailableError } from '../errors.js';
+import { circuitBreakers } from '../circuit-breaker.js';
+/**
+ * Component source backed by a JSON snapshot of the React Bits repository.
+ *
+ * The snapshot maps repository-relative paths to file contents:
+ *   { "ref": "main", "generatedAt": "...", "files": { "src/content/...": "..." } }
+ */
+export class SnapshotSource {
+    /**
+     * @param options - Source options
+     * @param options.file - Path to the snapshot JSON file
+     */
+    constructor({ file }) {
+        this.name = 'snapshot';
+        this.file = file;
+        this.snapshot = null;
+    }
+    /**
+     * Load and memoize the snapshot file
+     * @returns Promise with the parsed snapshot
+     */
+    async load() {
+        if (!this.snapshot) {
+            let snapshot;
+            try {
+                snapshot = JSON.parse(await circuitBreakers.filesystem.execute(() => fs.readFile(this.file, 'utf8')));
+            }
+            catch (error) {
+                throw new SourceUnavailableError(`Cannot read React Bits snapshot ${this.file}: ${error.message}`, { cause: error });
+            }
+            if (!snapshot || typeof snapshot.files !== 'object') {
+                throw new SourceUnavailableError(`Invalid React Bits snapshot: ${this.file}`);
+            }
+            this.snapshot = snapshot;
+        }
+        return this.snapshot;
+    }
+    /**
+     * List every file contained in the snapshot
+     * @returns Promise with repository-relative POSIX paths
+     */
+    async listFiles() {
+        const snapshot = await this.load();
+        return Object.keys(snapshot.files);
+    }
+    /**
+     * Read a file from the snapshot
+     * @param relativePath - Repository-relative POSIX path
+     * @returns Promise with the file content, or null when the snapshot does not contain it
+     */
+    async readFile(relativePath) {
+        const snapshot = await this.load();
+        return snapshot.files[relativePath] ?? null;
+    }
+}
+/**
+ * Build a snapshot from any other source
+ * @param source - Source to copy files from
+ * @param paths - Repository-relative paths to include
+ * @param ref - Upstream ref the files were taken from, if known
+ * @returns Promise with the snapshot object, ready to be serialized as JSON
+ */
+export async function createSnapshot(source, paths, ref) {
+    const files = {};
+    for (const relativePath of paths) {
+        const content = await source.readFile(relativePath);
+        if (content !== null) {
+            files[relativePath] = content;
+        }
+    }
+    return {
+        ref: ref || null,
+        generatedAt: new Date().toISOString(),
+        files
+    };
+}
@@ -0,0 +1,121 @@
+/**
+ * Visual taxonomy of components, derived from their source so it stays
+ * correct for any upstream revision: tags, rendering technology and interaction model.
+ */
+/**
+ * Tag vocabulary, with what each tag means
+ */
+export const TAGS = {
+    'cursor': 'Follows or reacts to the mouse cursor position',
+    'hover': 'Reacts when the pointer enters or leaves it',
+    'click': 'Reacts to clicks or taps',
+    'drag': 'Can be dragged or swiped',
+    'scroll-triggered': 'Animates when scrolled into view or with the scroll position',
+    'webgl': 'Renders with WebGL (three.js, react-three-fiber, OGL or raw WebGL)',
+    '3d': 'Renders a 3D scene or uses 3D CSS transforms',
+    'canvas': 'Draws on a <canvas> element',
+    'svg': 'Renders SVG',
+    'text-reveal': 'Reveals text progressively (split letters, blur, decrypt, fade)',
+    'gallery': 'Displays a collection of images or cards',
+    'particles': 'Animates many small particles',
+    'physics': 'Simulates physics',
+    'text': 'Animates text'
+};
+/**
+ * Rendering technologies, from the heaviest to the lightest; a component is
+ * classified under the first one it uses
+ */
+export const RENDERINGS = ['webgl', 'canvas-2d', 'svg', 'css'];
+/**
+ * Interaction models; `none` is for ambient animations that play on their own
+ */
+export const INTERACTIONS = ['cursor', 'hover', 'click', 'drag', 'scroll', 'none'];
+/**
+ * Source patterns detecting each tag (names are matched separately)
+ */
+const TAG_PATTERNS = {
+    'cursor': /\b(?:window|document)\.addEventListener\(\s*['"](?:mousemove|pointermove)['"]/,
+    'hover': /\bon(?:Mouse|Pointer)(?:Enter|Leave|Over)\b|\bwhileHover\b|:hover\b|\bhover:/,
+    'click': /\bonClick\b|\bwhileTap\b/,
+    'drag': /\bdrag(?:Constraints|Elastic)?\b|\bonDrag\w*\b|\buseDrag\b|\bDraggable\b/,
+    'scroll-triggered': /\bScrollTrigger\b|\bIntersectionObserver\b|\buseInView\b|\bwhileInView\b|\buseScroll\b|addEventListener\(\s*['"]scroll['"]/,
+    'webgl': /from\s+['"](?:three|ogl|postprocessing|@react-three\/[\w-]+)['"]|getContext\(\s*['"](?:webgl2?|experimental-webgl)['"]|\bWebGLRenderer\b/,
+    '3d': /from\s+['"](?:three|@react-three\/[\w-]+)['"]|\bperspective\b|preserve-3d|\brotate[XY]\b|\btranslateZ\b/,
+    'canvas': /<canvas\b|\bgetContext\(|from\s+['"]@react-three\/fiber['"]/,
+    'svg': /<svg\b/,
+    'particles': /\bparticles?\b/i,
+    'physics': /from\s+['"](?:matter-js|@react-three\/rapier|cannon(?:-es)?)['"]/
+};
+/**
+ * Name patterns detecting each tag
+ */
+const NAME_PATTERNS = {
+    'cursor': /Cursor|Crosshair/,
+    'gallery': /Gallery|Carousel|Masonry|Slider|Stack/,
+    'particles': /Particle/,
+    'text-reveal': /Split|Reveal|Blur|Decrypt|Scramble|Fade/
+};
+/**
+ * Classify a component from its name, category and source files
+ * @param component - Component to classify
+ * @param component.name - Component name
+ * @param component.category - Component category
+ * @param component.source - Source code, with any companion stylesheet appended
+ * @returns { tags, rendering, interactions }
+ */
+export function classifyComponent({ name, category, source = '' }) {
+    const tags = new Set();
+    for (const [tag, pattern] of Object.entries(TAG_PATTERNS)) {
+        if (pattern.test(source)) {
+            tags.add(tag);
+        }
+    }
+    for (const [tag, pattern] of Object.entries(NAME_PATTERNS)) {
+        if (pattern.test(name)) {
+            tags.add(tag);
+        }
+    }
+    if (category === 'TextAnimations') {
+        tags.add('text');
+        // Text revealed on scroll counts as a reveal even without a telling name
+        if (tags.has('scroll-triggered')) {
+            tags.add('text-reveal');
+        }
+    }
+    else {
+        tags.delete('text-reveal');
+    }
+    if (tags.has('webgl')) {
+        tags.add('canvas');
+    }
+    const rendering = tags.has('webgl')
+        ? 'webgl'
+        : tags.has('canvas') ? 'canvas-2d' : tags.has('svg') ? 'svg' : 'css';
+    const interactions = [
+        tags.has('cursor') && 'cursor',
+        tags.has('hover') && 'hover',
+        tags.has('click') && 'click',
+        tags.has('drag') && 'drag',
+        tags.has('scroll-triggered') && 'scroll'
+    ].filter(Boolean);
+    return {
+        tags: Object.keys(TAGS).filter(tag => tags.has(tag)),
+        rendering,
+        interactions: interactions.length > 0 ? interactions : ['none']
+    };
+}
+/**
+ * Count how many components have each value of a facet
+ * @param items - Classified components
+ * @param facet - Facet name (tags, rendering, interactions or category)
+ * @returns Counts keyed by value, most frequent first
+ */
+export function countFacet(items, facet) {
+    const counts = {};
+    for (const item of items) {
+        for (const value of [].concat(item[facet])) {
+            counts[value] = (counts[value] || 0) + 1;
+        }
+    }
+    return Object.fromEntries(Object.entries(counts).sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b)));
+}
@@ -0,0 +1,499 @@
+import { VARIANTS } from './constants.js';
+import { findComponent, getComponentFiles } from './file-reader.js';
+import { extractProps, findComponentParams, readBalanced, splitTopLevel } from './props-extractor.js';
+import { declarationToUtility, formatCssRule, parseCss, PSEUDO_VARIANTS, utilityToDeclarations } from './css-tailwind.js';
+import { InvalidArgumentError } from './errors.js';
+/**
+ * Escape text for use in a regular expression
+ * @param text - Literal text
+ * @returns Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+/**
+ * Rewrite the contents of the string literals in a piece of code, including the
+ * static parts of template literals and the strings nested in their expressions
+ * @param code - JavaScript code
+ * @param rewrite - Function mapping a string's content to its new content
+ * @returns Rewritten code
+ */
+function rewriteStringLiterals(code, rewrite) {
+    let output = '';
+    let i = 0;
+    while (i < code.length) {
+        const char = code[i];
+        if (char === '\'' || char === '"') {
+            let end = i + 1;
+            while (end < code.length && code[end] !== char) {
+                end += code[end] === '\\' ? 2 : 1;
+            }
+            output += char + rewrite(code.slice(i + 1, end)) + char;
+            i = end + 1;
+        }
+        else if (char === '`') {
+            output += '`';
+            let segmentStart = i + 1;
+            let j = i + 1;
+            while (j < code.length && code[j] !== '`') {
+                if (code[j] === '\\') {
+                    j += 2;
+                }
+                else if (code.startsWith('${', j)) {
+                    const expression = readBalanced(code, j + 1) ?? '';
+                    output += rewrite(code.slice(segmentStart, j)) + '${' + rewriteStringLiterals(expression, rewrite) + '}';
+                    j += expression.length + 3;
+                    segmentStart = j;
+                }
+                else {
+                    j++;
+                }
+            }
+            output += rewrite(code.slice(segmentStart, j)) + '`';
+            i = j + 1;
+        }
+        else {
+            output += char;
+            i++;
+        }
+    }
+    return output;
+}
+/**
+ * Rewrite the class lists of every className attribute
+ * @param source - Component source
+ * @param rewrite - Function mapping a class list (a string literal's content) to its new content
+ * @returns Rewritten source
+ */
+function rewriteClassNames(source, rewrite) {
+    const pattern = /\bclassName\s*=\s*/g;
+    let output = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(source))) {
+        const start = match.index + match[0].length;
+        const char = source[start];
+        let end;
+        let replacement;
+        if (char === '"' || char === '\'') {
+            end = source.indexOf(char, start + 1);
+            replacement = char + rewrite(source.slice(start + 1, end)) + char;
+        }
+        else if (char === '{') {
+            const expression = readBalanced(source, start) ?? '';
+            end = start + expression.length + 1;
+            replacement = `{${rewriteStringLiterals(expression, rewrite)}}`;
+        }
+        else {
+            continue;
+        }
+        output += source.slice(last, start) + replacement;
+        last = end + 1;
+        pattern.lastIndex = last;
+    }
+    return output + source.slice(last);
+}
+/**
+ * Apply a function to the class tokens of a class list, keeping its surrounding whitespace
+ * @param classList - Class list
+ * @param mapTokens - Function mapping the tokens to new tokens
+ * @returns New class list
+ */
+function mapClassList(classList, mapTokens) {
+    const tokens = classList.split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) {
+        return classList;
+    }
+    const [leading] = classList.match(/^\s*/);
+    const [trailing] = classList.match(/\s*$/);
+    return `${leading}${mapTokens(tokens).join(' ')}${trailing}`;
+}
+/**
+ * Import line of a component's companion stylesheet
+ */
+const STYLESHEET_IMPORT_PATTERN = /^import\s+['"]\.\/[\w.-]+\.css['"];?[ \t]*\r?\n?/m;
+/**
+ * Quote character used by a file's imports, so inserted imports match it
+ * @param source - Component source
+ * @returns `'` or `"`
+ */
+function importQuote(source) {
+    return source.match(/^import\s[^'"\n]*(['"])/m)?.[1] || '\'';
+}
+/**
+ * Insert a line after the last import statement
+ * @param source - Component source
+ * @param line - Line to insert
+ * @returns New source
+ */
+function insertAfterImports(source, line) {
+    const imports = [...source.matchAll(/^import\s[\s\S]*?from\s+['"][^'"]+['"];?[ \t]*$|^import\s+['"][^'"]+['"];?[ \t]*$/gm)];
+    if (imports.length === 0) {
+        return `${line}\n\n${source}`;
+    }
+    const last = imports[imports.length - 1];
+    const end = last.index + last[0].length;
+    return `${source.slice(0, end)}\n${line}${source.slice(end)}`;
+}
+/**
+ * Convert a CSS-styled component to Tailwind utilities. Rules for a single class
+ * (optionally with :hover, :focus or :active) are translated declaration by
+ * declaration; everything else stays in the stylesheet and is reported.
+ * @param source - Component source
+ * @param css - Companion stylesheet
+ * @param report - Report collecting changes and untranslated items
+ * @returns { source, css } where css holds the rules that could not be translated (null when none)
+ */
+function cssToTailwind(source, css, report) {
+    const used = new Set();
+    rewriteClassNames(source, (classList) => {
+        classList.split(/\s+/).filter(Boolean).forEach(token => used.add(token));
+        return classList;
+    });
+    const utilities = new Map();
+    const leftovers = [];
+    for (const block of parseCss(css)) {
+        if (block.type === 'other') {
+            leftovers.push(block.text);
+            report.untranslated.push({ kind: 'css', detail: `${block.text.split('{')[0].trim()} block (at-rules and nested rules are not converted)` });
+            continue;
+        }
+        for (const selector of block.selectors) {
+            const match = selector.match(new RegExp(`^\\.([\\w-]+)(?::(${PSEUDO_VARIANTS.join('|')}))?$`));
+            if (!match) {
+                leftovers.push(formatCssRule(selector, block.declarations));
+                report.untranslated.push({ kind: 'selector', detail: `${selector} (only single-class selectors are converted)` });
+                continue;
+            }
+            const [, className, pseudo] = match;
+            if (!used.has(className)) {
+                leftovers.push(formatCssRule(selector, block.declarations));
+                report.untranslated.push({ kind: 'selector', detail: `${selector} (class not found in a static className)` });
+                continue;
+            }
+            const kept = [];
+            for (const declaration of block.declarations) {
+                const utility = declarationToUtility(declaration.property, declaration.value);
+                if (utility) {
+                    const classUtilities = utilities.get(className) || [];
+                    classUtilities.push(pseudo ? `${pseudo}:${utility}` : utility);
+                    utilities.set(className, classUtilities);
+                }
+                else {
+                    kept.push(declaration);
+                    report.untranslated.push({ kind: 'declaration', detail: `${selector} { ${declaration.property}: ${declaration.value} }` });
+                }
+            }
+            if (kept.length > 0) {
+                leftovers.push(formatCssRule(selector, kept));
+            }
+        }
+    }
+    const leftoverCss = leftovers.join('\n\n');
+    // Classes still styled by the stylesheet or used outside className (querySelector, classList) stay
+    const outside = rewriteClassNames(source, () => '');
+    const stillNeeded = className => new RegExp(`\\.${escapeRegExp(className)}(?![\\w-])`).test(leftoverCss) ||
+        new RegExp(`['"\`.\\s]${escapeRegExp(className)}(?![\\w-])[^'"\`\\n]*['"\`]`).test(outside);
+    let converted = rewriteClassNames(source, classList => mapClassList(classList, tokens => tokens.flatMap(token => (utilities.has(token)
+        ? [...(stillNeeded(token) ? [token] : []), ...new Set(utilities.get(token))]
+        : [token]))));
+    for (const [className, classUtilities] of utilities) {
+        report.changes.push(`.${className} → ${[...new Set(classUtilities)].join(' ')}`);
+    }
+    if (!leftoverCss) {
+        converted = converted.replace(STYLESHEET_IMPORT_PATTERN, '');
+        report.changes.push('Removed the stylesheet import: every rule was converted');
+    }
+    return { source: converted, css: leftoverCss ? `/* Rules without a simple Tailwind equivalent */\n${leftoverCss}\n` : null };
+}
+/**
+ * Convert a Tailwind-styled component to a companion stylesheet. Each class list
+ * becomes a generated class; utilities without a known CSS equivalent stay in
+ * className, where they have no effect without Tailwind, and are reported.
+ * @param source - Component source
+ * @param name - Component name
+ * @param report - Report collecting changes and untranslated items
+ * @returns { source, css }
+ */
+function tailwindToCss(source, name, report) {
+    const base = name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    const generated = new Map();
+    const rules = [];
+    const reported = new Set();
+    const untranslated = (token, reason) => {
+        if (!reported.has(token)) {
+            reported.add(token);
+            report.untranslated.push({ kind: 'utility', detail: `${token} (${reason})` });
+        }
+    };
+    const converted = rewriteClassNames(source, classList => mapClassList(classList, (tokens) => {
+        const declarations = { '': [] };
+        const translated = [];
+        const kept = [];
+        for (const token of tokens) {
+            const match = token.match(new RegExp(`^(?:(${PSEUDO_VARIANTS.join('|')}):)?([^:]+)$`));
+            if (!match) {
+                kept.push(token);
+                untranslated(token, 'variant prefixes other than hover, focus and active are not converted');
+                continue;
+            }
+            const [, pseudo = '', utility] = match;
+            const utilityDeclarations = utilityToDeclarations(utility);
+            if (!utilityDeclarations) {
+                kept.push(token);
+                untranslated(token, 'not a known Tailwind utility; left in className');
+                continue;
+            }
+            translated.push(token);
+            declarations[pseudo] = declarations[pseudo] || [];
+            declarations[pseudo].push(...utilityDeclarations.map(([property, value]) => ({ property, value })));
+        }
+        if (translated.length === 0) {
+            return tokens;
+        }
+        const key = translated.join(' ');
+        if (!generated.has(key)) {
+            const className = `${base}-${generated.size + 1}`;
+            generated.set(key, className);
+            for (const [pseudo, pseudoDeclarations] of Object.entries(declarations)) {
+                if (pseudoDeclarations.length > 0) {
+                    rules.push(formatCssRule(`.${className}${pseudo ? `:${pseudo}` : ''}`, pseudoDeclarations));
+                }
+            }
+            report.changes.push(`${key} → .${className}`);
+        }
+        return [generated.get(key), ...kept];
+    }));
+    if (rules.length === 0) {
+        return { source: converted, css: null };
+    }
+    report.changes.push(`Added ${name}.css and its import`);
+    const quote = importQuote(converted);
+    return { source: insertAfterImports(converted, `import ${quote}./${name}.css${quote};`), css: `${rules.join('\n\n')}\n` };
+}
+/**
+ * TypeScript equivalents of PropTypes validators and inferred type names
+ */
+const TS_TYPES = {
+    string: 'string',
+    number: 'number',
+    bool: 'boolean',
+    boolean: 'boolean',
+    func: '(...args: any[]) => void',
+    function: '(...args: any[]) => void',
+    node: 'ReactNode',
+    element: 'ReactElement',
+    elementType: 'ElementType',
+    array: 'unknown[]',
+    object: 'Record<string, unknown>',
+    symbol: 'symbol',
+    any: 'any'
+};
+/**
+ * Convert an extracted prop type (PropTypes validator or inferred name) to TypeScript
+ * @param type - Extracted type
+ * @returns TypeScript type, or null when it cannot be converted
+ */
+function toTypeScriptType(type) {
+    if (!type) {
+        return null;
+    }
+    const text = type.trim().replace(/^PropTypes\./, '');
+    if (TS_TYPES[text]) {
+        return TS_TYPES[text];
+    }
+    let match;
+    if ((match = text.match(/^oneOf\(\[([\s\S]*)\]\)$/))) {
+        const literals = splitTopLevel(match[1], [',']);
+        return literals.every(literal => /^(['"`].*['"`]|-?\d[\d.]*|true|false|null)$/.test(literal)) ? literals.join(' | ') : null;
+    }
+    if ((match = text.match(/^oneOfType\(\[([\s\S]*)\]\)$/))) {
+        const types = splitTopLevel(match[1], [',']).map(toTypeScriptType);
+        return types.includes(null) ? null : types.join(' | ');
+    }
+    if ((match = text.match(/^arrayOf\(([\s\S]+)\)$/))) {
+        const itemType = toTypeScriptType(match[1]);
+        return itemType && (/[|\s]/.test(itemType) ? `(${itemType})[]` : `${itemType}[]`);
+    }
+    if ((match = text.match(/^objectOf\(([\s\S]+)\)$/))) {
+        const valueType = toTypeScriptType(match[1]);
+        return valueType && `Record<string, ${valueType}>`;
+    }
+    if ((match = text.match(/^(?:shape|exact)\(\{([\s\S]*)\}\)$/))) {
+        const members = splitTopLevel(match[1], [',']).map(member => {
+            const memberMatch = member.match(/^([A-Za-z_$][\w$]*)\s*:\s*([\s\S]+)$/);
+            if (!memberMatch) {
+                return null;
+            }
+            const required = /\.isRequired$/.test(memberMatch[2]);
+            const memberType = toTypeScriptType(memberMatch[2].replace(/\.isRequired$/, ''));
+            return memberType && `${memberMatch[1]}${required ? '' : '?'}: ${memberType}`;
+        });
+        return members.includes(null) ? null : `{ ${members.join('; ')} }`;
+    }
+    if ((match = text.match(/^instanceOf\(([\w.]+)\)$/))) {
+        return match[1];
+    }
+    return null;
+}
+/**
+ * Convert a JavaScript component to TypeScript: add a props interface built from the
+ * extracted prop types, annotate the props parameter and drop the PropTypes declaration
+ * @param source - JavaScript source
+ * @param name - Component name
+ * @param report - Report collecting changes and untranslated items
+ * @returns TypeScript source
+ */
+function javaScriptToTypeScript(source, name, report) {
+    const typeName = `${name}Props`;
+    const props = extractProps(source, name);
+    let output = source;
+    // PropTypes are redundant once the props are typed
+    const propTypes = new RegExp(`\\n?${name}\\.propTypes\\s*=\\s*\\{`).exec(output);
+    if (propTypes) {
+        const body = readBalanced(output, propTypes.index + propTypes[0].length - 1) ?? '';
+        const end = propTypes.index + propTypes[0].length + body.length + 1;
+        output = output.slice(0, propTypes.index) + output.slice(end).replace(/^;?[ \t]*\r?\n?/, '');
+        output = output.replace(/^import\s+PropTypes\s+from\s+['"]prop-types['"];?[ \t]*\r?\n?/m, '');
+        report.changes.push(`Replaced ${name}.propTypes with the ${typeName} interface`);
+    }
+    const reactTypes = new Set();
+    const members = Object.entries(props).map(([propName, prop]) => {
+        let type = toTypeScriptType(prop.type);
+        if (!type) {
+            type = 'any';
+            report.untranslated.push({ kind: 'type', detail: `${propName}: ${prop.type ? `${prop.type} has no TypeScript equivalent` : 'type unknown'}; typed as any` });
+        }
+        (type.match(/\b(ReactNode|ReactElement|ElementType)\b/g) || []).forEach(reactType => reactTypes.add(reactType));
+        const comment = prop.description ? `  /** ${prop.description} */\n` : '';
+        return `${comment}  ${propName}${prop.required ? '' : '?'}: ${type};`;
+    });
+    const paramsIndex = findComponentParams(output, name);
+    if (paramsIndex === -1) {
+        report.untranslated.push({ kind: 'component', detail: `Could not find the ${name} function; ${typeName} is declared but not applied` });
+    }
+    else {
+        const params = readBalanced(output, paramsIndex) ?? '';
+        const [firstParam] = splitTopLevel(params, [',']);
+        const firstIndex = firstParam ? output.indexOf(firstParam, paramsIndex) : -1;
+        let insertAt = -1;
+        if (firstParam?.startsWith('{')) {
+            insertAt = firstIndex + (readBalanced(output, firstIndex) ?? '').length + 2;
+        }
+        else if (firstParam && /^[A-Za-z_$][\w$]*$/.test(firstParam)) {
+            insertAt = firstIndex + firstParam.length;
+        }
+        if (insertAt !== -1 && !/^\s*:/.test(output.slice(insertAt))) {
+            output = `${output.slice(0, insertAt)}: ${typeName}${output.slice(insertAt)}`;
+            report.changes.push(`Typed the props parameter as ${typeName}`);
+        }
+        else if (firstParam) {
+            report.untranslated.push({ kind: 'component', detail: `The props parameter of ${name} was not annotated` });
+        }
+    }
+    if (members.length > 0) {
+        // Declare the interface right before the component
+        const declaration = new RegExp(`^.*\\b(?:function\\s+${name}\\b|(?:const|let|var)\\s+${name}\\b)`, 'm').exec(output) ||
+            /^export\s+default\s+function\b/m.exec(output);
+        const at = declaration ? declaration.index : output.length;
+        const interfaceText = `interface ${typeName} {\n${members.join('\n')}\n}\n\n`;
+        output = output.slice(0, at) + interfaceText + output.slice(at);
+        report.changes.push(`Added the ${typeName} interface (${members.length} prop${members.length === 1 ? '' : 's'})`);
+    }
+    if (reactTypes.size > 0) {
+        const quote = importQuote(output);
+        output = insertAfterImports(output, `import type { ${[...reactTypes].sort().join(', ')} } from ${quote}react${quote};`);
+    }
+    // What strict TypeScript will still ask for
+    const untypedRefs = (output.match(/\buseRef\(/g) || []).length;
+    if (untypedRefs > 0) {
+        report.untranslated.push({ kind: 'type', detail: `${untypedRefs} useRef call${untypedRefs === 1 ? ' has' : 's have'} no type argument; add the element type (e.g. useRef<HTMLDivElement>(null))` });
+    }
+    const narrowStates = (output.match(/\buseState\(\s*(?:null|\[\])\s*\)/g) || []).length;
+    if (narrowStates > 0) {
+        report.untranslated.push({ kind: 'type', detail: `${narrowStates} useState(null/[]) call${narrowStates === 1 ? ' needs' : 's need'} a type argument` });
+    }
+    const untypedParams = (output.match(/\(\s*[A-Za-z_$][\w$]*(?:\s*,\s*[A-Za-z_$][\w$]*)*\s*\)\s*=>|\bfunction\s*[\w$]*\s*\(\s*[A-Za-z_$][\w$]*(?:\s*,\s*[A-Za-z_$][\w$]*)*\s*\)/g) || []).length;
+    if (untypedParams > 0) {
+        report.untranslated.push({ kind: 'type', detail: `${untypedParams} inner function${untypedParams === 1 ? ' has' : 's have'} untyped parameters (implicit any under strict mode)` });
+    }
+    return output;
+}
+/**
+ * Convert a component to another code variant: JS to TS (props interface from
+ * the extracted prop types) and plain CSS to Tailwind or back (simple rules only).
+ * Everything that could not be translated is listed in `untranslated`.
+ * @param componentName - Component name (case-insensitive)
+ * @param options - Transform options
+ * @param options.category - Category used to disambiguate
+ * @param options.language - Target language (default: the source variant's)
+ * @param options.styling - Target styling (default: the source variant's)
+ * @param options.from - Variant to convert from (default: the closest available one)
+ * @returns Promise with { name, category, from, to, upstream, files, changes, untranslated }
+ * @throws InvalidArgumentError when no target is given, `from` does not exist, or TS would have to become JS
+ */
+export async function transformComponent(componentName, { category, language, styling, from } = {}) {
+    if (!language && !styling) {
+        throw new InvalidArgumentError('Specify the target language, styling or both');
+    }
+    const entry = await findComponent(componentName, category);
+    const available = Object.keys(entry.variants);
+    const targetOf = key => `${language || VARIANTS[key].language}-${styling || VARIANTS[key].styling}`;
+    let base = from;
+    if (base && !entry.variants[base]) {
+        throw new InvalidArgumentError(`Variant '${base}' is not available for ${entry.name} (available: ${available.join(', ')})`, {
+            data: { componentName: entry.name, availableVariants: available }
+        });
+    }
+    if (!base) {
+        // Fewest conversions first; TypeScript cannot be turned back into JavaScript
+        const distance = key => (VARIANTS[key].language !== VARIANTS[targetOf(key)].language) + (VARIANTS[key].styling !== VARIANTS[targetOf(key)].styling);
+        base = available
+            .filter(key => VARIANTS[key].language === 'js' || VARIANTS[targetOf(key)].language === 'ts')
+            .sort((a, b) => distance(a) - distance(b))[0];
+    }
+    if (!base || (VARIANTS[base].language === 'ts' && VARIANTS[targetOf(base)].language === 'js')) {
+        throw new InvalidArgumentError(`Converting TypeScript to JavaScript is not supported (available variants of ${entry.name}: ${available.join(', ')})`, {
+            data: { componentName: entry.name, availableVariants: available }
+        });
+    }
+    const target = targetOf(base);
+    const component = await getComponentFiles(entry.name, { category: entry.category, language: VARIANTS[base].language, styling: VARIANTS[base].styling });
+    const report = { changes: [], untranslated: [] };
+    const directory = `src/${VARIANTS[target].root}/${entry.category}/${entry.name}`;
+    const [main, ...companions] = component.files;
+    const stylesheet = companions.find(file => file.fileName.endsWith('.css'));
+    const helpers = companions.filter(file => file !== stylesheet);
+    let source = main.content;
+    let css = stylesheet?.content ?? null;
+    if (base === target) {
+        report.changes.push(`${target} is provided upstream; returned unchanged`);
+    }
+    if (VARIANTS[base].styling === 'css' && VARIANTS[target].styling === 'tailwind') {
+        ({ source, css } = cssToTailwind(source, css || '', report));
+    }
+    else if (VARIANTS[base].styling === 'tailwind' && VARIANTS[target].styling === 'css') {
+        ({ source, css } = tailwindToCss(source, entry.name, report));
+    }
+    if (VARIANTS[base].language === 'js' && VARIANTS[target].language === 'ts') {
+        source = javaScriptToTypeScript(source, entry.name, report);
+        helpers.filter(file => /\.jsx?$/.test(file.fileName)).forEach(file => {
+            report.untranslated.push({ kind: 'file', detail: `${file.fileName} left in JavaScript` });
+        });
+    }
+    const files = [
+        { path: `${directory}/${entry.name}.${VARIANTS[target].extension}`, content: source },
+        ...(css !== null ? [{ path: `${directory}/${entry.name}.css`, content: css }] : []),
+        ...helpers.map(file => ({ path: `${directory}/${file.fileName}`, content: file.content }))
+    ];
+    return {
+        name: entry.name,
+        category: entry.category,
+        from: base,
+        to: target,
+        upstream: available.includes(target),
+        files,
+        changes: report.changes,
+        untranslated: report.untranslated
+    };
+}
@@ -0,0 +1,287 @@
+import { VARIANTS } from './constants.js';
+import { getComponentMetadata, getComponentSource } from './file-reader.js';
+import { readBalanced, splitTopLevel } from './props-extractor.js';
+import { suggestNames } from './search.js';
+import { getConfig } from './config.js';
+import { InvalidArgumentError } from './errors.js';
+/**
+ * Key of the object that passes raw JavaScript instead of a JSON value,
+ * e.g. { "$expression": "() => setDone(true)" } for a callback prop
+ */
+export const EXPRESSION_KEY = '$expression';
+/**
+ * Longest single-line JSX tag before attributes are put one per line
+ */
+const MAX_LINE_LENGTH = 80;
+/**
+ * Whether a value is a raw expression object
+ * @param value - Prop value
+ * @returns True for { $expression: string }
+ */
+function isExpression(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.keys(value).length === 1 && typeof value[EXPRESSION_KEY] === 'string';
+}
+/**
+ * Whether a value is a plain JSON object
+ * @param value - Value to test
+ * @returns True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+/**
+ * Remove parentheses wrapping a whole type, e.g. `((t: number) => number)`
+ * @param type - Type text
+ * @returns Unwrapped type text
+ */
+function unwrapParens(type) {
+    let text = type.trim();
+    while (text.startsWith('(') && readBalanced(text, 0)?.length === text.length - 2) {
+        text = text.slice(1, -1).trim();
+    }
+    return text;
+}
+/**
+ * Check a JSON value against an extracted prop type. Understands TypeScript
+ * primitives, literals, unions, arrays, object and function types, and the
+ * PropTypes validators; anything else (type references, indexed types) is not checked.
+ * @param type - Type text, as extracted from the source
+ * @param value - JSON value
+ * @returns True when the value matches, false when it does not, null when the type cannot be checked
+ */
+export function checkPropType(type, value) {
+    if (!type) {
+        return null;
+    }
+    const text = unwrapParens(type.replace(/^PropTypes\./, ''));
+    const alternatives = splitTopLevel(text, ['|']);
+    if (alternatives.length > 1) {
+        const results = alternatives.map(alternative => checkPropType(alternative, value));
+        return results.includes(true) ? true : results.includes(null) ? null : false;
+    }
+    let match;
+    if (/^(string|String)$/.test(text)) {
+        return typeof value === 'string';
+    }
+    if (/^(number|Number)$/.test(text)) {
+        return typeof value === 'number';
+    }
+    if (/^(boolean|Boolean|bool)$/.test(text)) {
+        return typeof value === 'boolean';
+    }
+    if (text === 'true' || text === 'false') {
+        return value === (text === 'true');
+    }
+    if (/^-?\d/.test(text)) {
+        return value === Number(text);
+    }
+    if ((match = text.match(/^(['"`])(.*)\1$/))) {
+        return value === match[2];
+    }
+    if (text === 'null' || text === 'undefined') {
+        return value === null;
+    }
+    if (/^(any|unknown)$/.test(text)) {
+        return true;
+    }
+    if (/^(\(.*\)|\w+)\s*=>/.test(text) || /^(function|func|Function)$/.test(text)) {
+        return false;
+    }
+    if (/^(node|element|elementType|(React\.)?(ReactNode|ReactElement)|JSX\.Element)$/.test(text)) {
+        return typeof value === 'string' || typeof value === 'number' || value === null ? true : Array.isArray(value) ? null : false;
+    }
+    if ((match = text.match(/^(.+)\[\]$/)) || (match = text.match(/^(?:Readonly)?Array<(.+)>$/)) || (match = text.match(/^arrayOf\((.+)\)$/))) {
+        if (!Array.isArray(value)) {
+            return false;
+        }
+        const results = value.map(item => checkPropType(match[1], item));
+        return results.includes(false) ? false : results.includes(null) ? null : true;
+    }
+    if (text === 'array') {
+        return Array.isArray(value);
+    }
+    if ((match = text.match(/^oneOf\(\[([\s\S]*)\]\)$/))) {
+        const results = splitTopLevel(match[1], [',']).map(literal => checkPropType(literal, value));
+        return results.includes(true) ? true : results.includes(null) ? null : false;
+    }
+    if ((match = text.match(/^oneOfType\(\[([\s\S]*)\]\)$/))) {
+        return checkPropType(splitTopLevel(match[1], [',']).join(' | '), value);
+    }
+    if (text.startsWith('{') || /^(object|Object|Record<.*>|(shape|exact|objectOf)\([\s\S]*\))$/.test(text)) {
+        return isPlainObject(value);
+    }
+    return null;
+}
+/**
+ * Format a JSON value as a JavaScript literal
+ * @param value - JSON value (or raw expression object)
+ * @returns JavaScript source
+ */
+function toJsLiteral(value) {
+    if (isExpression(value)) {
+        return value[EXPRESSION_KEY];
+    }
+    if (typeof value === 'string') {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(toJsLiteral).join(', ')}]`;
+    }
+    if (isPlainObject(value)) {
+        const entries = Object.entries(value).map(([key, item]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : toJsLiteral(key)}: ${toJsLiteral(item)}`);
+        return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+    }
+    return String(value);
+}
+/**
+ * Format a prop as a JSX attribute
+ * @param name - Prop name
+ * @param value - Prop value
+ * @returns Attribute source
+ */
+function toJsxAttribute(name, value) {
+    if (value === true) {
+        return name;
+    }
+    if (typeof value === 'string' && !/["\n\\{}]/.test(value)) {
+        return `${name}="${value}"`;
+    }
+    return `${name}={${toJsLiteral(value)}}`;
+}
+/**
+ * Whether a value matches an extracted default value, so it can be left out
+ * @param value - Prop value
+ * @param defaultValue - Default value source text
+ * @returns True when both denote the same value
+ */
+function isDefaultValue(value, defaultValue) {
+    if (defaultValue === undefined || isExpression(value)) {
+        return false;
+    }
+    const normalize = text => text.replace(/\s+/g, '').replace(/"/g, '\'').replace(/,([}\]])/g, '$1');
+    return normalize(toJsLiteral(value)) === normalize(defaultValue);
+}
+/**
+ * Work out how a component is imported
+ * @param source - Component source
+ * @param name - Component name
+ * @returns 'default' or 'named'
+ */
+function detectExportStyle(source, name) {
+    if (!source || /\bexport\s+default\b/.test(source)) {
+        return 'default';
+    }
+    return new RegExp(`\\bexport\\s+(?:const|function|class)\\s+${name}\\b|\\bexport\\s*\\{[^}]*\\b${name}\\b`).test(source) ? 'named' : 'default';
+}
+/**
+ * Default import path: the install location (see installComponent) seen from a file in src/
+ * @param name - Component name
+ * @returns Import path
+ */
+function defaultImportPath(name) {
+    const componentsDir = (getConfig().componentsDir || 'src/components').replace(/\\/g, '/').replace(/\/+$/, '');
+    const fromSrc = componentsDir.startsWith('src/') ? componentsDir.slice(4) : componentsDir;
+    return `./${fromSrc.replace(/^\.\//, '')}/${name}/${name}`;
+}
+/**
+ * Validate prop values against a component's extracted props and build a minimal JSX snippet.
+ *
+ * Unknown props, values of the wrong type and missing required props are errors; values
+ * equal to the default are left out, and props whose type cannot be checked are reported
+ * as warnings. Functions and JSX can be passed as { "$expression": "<source>" }.
+ * @param componentName - Component name (case-insensitive)
+ * @param props - Desired prop values
+ * @param options - Generation options
+ * @param options.category - Category used to disambiguate
+ * @param options.language - Language of the variant whose props are checked
+ * @param options.styling - Styling of the variant whose props are checked
+ * @param options.importPath - Module path to import the component from (default: the install location)
+ * @returns Promise with { name, category, variant, importPath, snippet, props, omitted, diagnostics }
+ * @throws InvalidArgumentError listing every error diagnostic
+ */
+export async function generateUsage(componentName, props = {}, { category, language, styling, importPath } = {}) {
+    const metadata = await getComponentMetadata(componentName, { category, language, styling });
+    const variant = VARIANTS[metadata.analyzedVariant];
+    const source = await getComponentSource(metadata.name, { category: metadata.category, language: variant.language, styling: variant.styling });
+    const known = metadata.props;
+    const hasProps = Object.keys(known).length > 0;
+    const diagnostics = [];
+    const applied = {};
+    const omitted = [];
+    if (!hasProps && Object.keys(props).length > 0) {
+        diagnostics.push({ level: 'warning', message: `No props could be extracted for ${metadata.name}; values were not checked` });
+    }
+    for (const [propName, value] of Object.entries(props)) {
+        const prop = known[propName];
+        if (!prop && hasProps) {
+            const suggestions = suggestNames(propName, Object.keys(known).map(name => ({ name }))).map(suggestion => suggestion.name);
+            diagnostics.push({
+                level: 'error',
+                prop: propName,
+                message: `Unknown prop '${propName}'${suggestions.length > 0 ? `. Did you mean: ${suggestions.join(', ')}?` : ''}`
+            });
+            continue;
+        }
+        if (prop && !isExpression(value)) {
+            const valid = checkPropType(prop.type, value);
+            if (valid === false) {
+                const hint = /=>|^(PropTypes\.)?func(tion)?$/i.test(prop.type) ? ` Pass { "${EXPRESSION_KEY}": "<code>" } for functions` : '';
+                diagnostics.push({
+                    level: 'error',
+                    prop: propName,
+                    message: `Prop '${propName}' expects ${prop.type}, got ${JSON.stringify(value)}.${hint}`
+                });
+                continue;
+            }
+            if (valid === null && prop.type) {
+                diagnostics.push({ level: 'warning', prop: propName, message: `Type ${prop.type} of '${propName}' cannot be checked; value used as is` });
+            }
+            if (isDefaultValue(value, prop.default)) {
+                omitted.push(propName);
+                diagnostics.push({ level: 'info', prop: propName, message: `'${propName}' equals its default (${prop.default}) and was left out` });
+                continue;
+            }
+        }
+        applied[propName] = value;
+    }
+    for (const [propName, prop] of Object.entries(known)) {
+        if (prop.required && !(propName in props)) {
+            diagnostics.push({ level: 'error', prop: propName, message: `Missing required prop '${propName}'${prop.type ? ` (${prop.type})` : ''}` });
+        }
+    }
+    const errors = diagnostics.filter(diagnostic => diagnostic.level === 'error');
+    if (errors.length > 0) {
+        throw new InvalidArgumentError(`Invalid props for ${metadata.name}:\n${errors.map(error => `  - ${error.message}`).join('\n')}`, {
+            data: { componentName: metadata.name, diagnostics }
+        });
+    }
+    const modulePath = importPath || defaultImportPath(metadata.name);
+    const importLine = detectExportStyle(source, metadata.name) === 'named'
+        ? `import { ${metadata.name} } from '${modulePath}';`
+        : `import ${metadata.name} from '${modulePath}';`;
+    const { children, ...attributes } = applied;
+    const attributeList = Object.entries(attributes).map(([name, value]) => toJsxAttribute(name, value));
+    const inline = `<${metadata.name}${attributeList.map(attribute => ` ${attribute}`).join('')}`;
+    const opening = inline.length + 2 <= MAX_LINE_LENGTH || attributeList.length <= 1
+        ? inline
+        : `<${metadata.name}\n${attributeList.map(attribute => `  ${attribute}`).join('\n')}\n`;
+    let element;
+    if (children === undefined) {
+        element = `${opening}${opening.endsWith('\n') ? '/>' : ' />'}`;
+    }
+    else {
+        const content = typeof children === 'string' && !/[{}<>]/.test(children) ? children : `{${toJsLiteral(children)}}`;
+        element = `${opening}>\n  ${content}\n</${metadata.name}>`;
+    }
+    return {
+        name: metadata.name,
+        category: metadata.category,
+        variant: metadata.analyzedVariant,
+        importPath: modulePath,
+        snippet: `${importLine}\n\n${element}`,
+        props: applied,
+        omitted,
+        diagnostics
+    };
+}
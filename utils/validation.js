@@ -0,0 +1,159 @@
+import path from 'path';
+import { InvalidArgumentError } from './errors.js';
+/**
+ * Input validation shared by every tool, prompt and resource: component names are
+ * normalized, hostile strings (path traversal, control characters, oversized values)
+ * are rejected before they reach the registry or the file system.
+ */
+/**
+ * Longest accepted component name
+ */
+export const MAX_NAME_LENGTH = 100;
+/**
+ * Longest accepted string parameter
+ */
+export const MAX_STRING_LENGTH = 1000;
+/**
+ * Longest accepted file system path
+ */
+export const MAX_PATH_LENGTH = 4096;
+/**
+ * Parameters holding file system paths, which may contain separators
+ */
+const PATH_PARAMS = ['projectRoot', 'packageJsonPath', 'localPath', 'componentsDir', 'importPath'];
+/**
+ * Parameters holding component names
+ */
+const NAME_PARAMS = ['componentName', 'componentNames', 'component1', 'component2'];
+/**
+ * Parameters passed through untouched: values are free-form JSON (generate_usage props)
+ */
+const RAW_PARAMS = ['props'];
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/;
+/**
+ * Normalize a component name: trimmed, and words separated by spaces, hyphens or
+ * underscores joined in PascalCase ("split-text", "Split Text" and "split_text" all
+ * become "SplitText"). Lookups are case-insensitive, so other casings are kept.
+ * @param name - Component name as given by the client
+ * @param param - Parameter name, for error messages
+ * @returns Normalized name
+ * @throws InvalidArgumentError for empty or oversized names, path separators, `..` and control characters
+ */
+export function normalizeComponentName(name, param = 'componentName') {
+    if (typeof name !== 'string') {
+        throw new InvalidArgumentError(`${param} must be a string`, { data: { param } });
+    }
+    const trimmed = name.trim();
+    if (!trimmed) {
+        throw new InvalidArgumentError(`${param} must not be empty`, { data: { param } });
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+        throw new InvalidArgumentError(`${param} is longer than ${MAX_NAME_LENGTH} characters`, { data: { param } });
+    }
+    if (CONTROL_CHARACTERS.test(trimmed) || /[\\/]/.test(trimmed) || trimmed.includes('..')) {
+        throw new InvalidArgumentError(`${param} must not contain path separators, '..' or control characters`, { data: { param } });
+    }
+    if (!/^[A-Za-z0-9][A-Za-z0-9\s_-]*$/.test(trimmed)) {
+        throw new InvalidArgumentError(`${param} may only contain letters, digits, spaces, hyphens and underscores: ${JSON.stringify(trimmed)}`, { data: { param } });
+    }
+    const words = trimmed.split(/[\s_-]+/).filter(Boolean);
+    return words.length === 1 ? words[0] : words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+/**
+ * Resolve a relative path below a root directory
+ * @param root - Root directory
+ * @param relativePath - POSIX path relative to the root
+ * @returns Absolute path
+ * @throws InvalidArgumentError when the path is absolute or resolves outside the root
+ */
+export function resolveInside(root, relativePath) {
+    const base = path.resolve(root);
+    const resolved = path.resolve(base, ...relativePath.split('/'));
+    const relative = path.relative(base, resolved);
+    if (CONTROL_CHARACTERS.test(relativePath) || path.isAbsolute(relativePath) || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new InvalidArgumentError(`Path escapes ${base}: ${relativePath}`, { data: { root: base, path: relativePath } });
+    }
+    return resolved;
+}
+/**
+ * Resolve a path that must lie inside one of several root directories
+ * @param roots - Allowed root directories
+ * @param target - Absolute path, or a path relative to the first root
+ * @param param - Parameter name, for the error message
+ * @returns Absolute path
+ * @throws InvalidArgumentError when the path is outside every root
+ */
+export function resolveInsideRoots(roots, target, param) {
+    const resolved = path.resolve(roots[0], target);
+    for (const root of roots) {
+        try {
+            return resolveInside(root, path.relative(path.resolve(root), resolved).split(path.sep).join('/'));
+        }
+        catch {
+            // Outside this root; try the next one
+        }
+    }
+    throw new InvalidArgumentError(`${param} must be inside ${roots.map(root => path.resolve(root)).join(' or ')}: ${target}`, {
+        data: { param, roots: roots.map(root => path.resolve(root)) }
+    });
+}
+/**
+ * Check a string parameter
+ * @param value - Parameter value
+ * @param param - Parameter name
+ * @param maxLength - Longest accepted value
+ * @returns The value
+ * @throws InvalidArgumentError for control characters and oversized values
+ */
+function checkString(value, param, maxLength) {
+    if (value.length > maxLength) {
+        throw new InvalidArgumentError(`${param} is longer than ${maxLength} characters`, { data: { param } });
+    }
+    if (CONTROL_CHARACTERS.test(value)) {
+        throw new InvalidArgumentError(`${param} must not contain control characters`, { data: { param } });
+    }
+    return value;
+}
+/**
+ * Validate and sanitize tool (or prompt) arguments before schema parsing:
+ * component names are normalized, every other string is checked for control
+ * characters and length. Types and enums are left to the tool's zod schema.
+ * @param toolName - Tool or prompt name, for logs and error details
+ * @param params - Raw arguments
+ * @returns Sanitized copy of the arguments
+ * @throws InvalidArgumentError naming the offending parameter
+ */
+export function validateAndSanitizeParams(toolName, params = {}) {
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        throw new InvalidArgumentError(`Arguments of ${toolName} must be an object`, { data: { tool: toolName } });
+    }
+    const sanitized = {};
+    try {
+        for (const [param, value] of Object.entries(params)) {
+            if (RAW_PARAMS.includes(param)) {
+                sanitized[param] = value;
+            }
+            else if (NAME_PARAMS.includes(param)) {
+                sanitized[param] = Array.isArray(value)
+                    ? value.map((name, index) => normalizeComponentName(name, `${param}[${index}]`))
+                    : normalizeComponentName(value, param);
+            }
+            else if (typeof value === 'string') {
+                sanitized[param] = checkString(value, param, PATH_PARAMS.includes(param) ? MAX_PATH_LENGTH : MAX_STRING_LENGTH);
+            }
+            else if (Array.isArray(value)) {
+                sanitized[param] = value.map((item, index) => (typeof item === 'string' ? checkString(item, `${param}[${index}]`, MAX_STRING_LENGTH) : item));
+            }
+            else {
+                sanitized[param] = value;
+            }
+        }
+    }
+    catch (error) {
+        if (error instanceof InvalidArgumentError) {
+            error.data = { tool: toolName, ...error.data };
+        }
+        throw error;
+    }
+    return sanitized;
+}